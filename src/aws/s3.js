@@ -0,0 +1,79 @@
+import {findWildcardMatch} from "../oauth.js"
+import {parseS3URL} from "./s3Utils.js"
+
+// Support for Amazon S3 and S3-compatible stores.  Configuration (region, endpoint) is set per bucket, credentials
+// for AWS Signature V4 signing per bucket or host.  Bucket and host names can include "*" wildcards, as for
+// oauth.setToken.
+
+const DEFAULT_BUCKET = "*";
+
+const s3 = {
+
+    configs: {},
+
+    credentials: {},
+
+    /**
+     * Set the configuration for s3:// urls.
+     *
+     * @param config - {region, endpoint, pathStyle}
+     * @param bucket - bucket name or wildcard pattern.  If undefined the configuration applies to all buckets.
+     */
+    setConfig: function (config, bucket) {
+        this.configs[bucket || DEFAULT_BUCKET] = config;
+    },
+
+    getConfig: function (bucket) {
+        return findWildcardMatch(this.configs, bucket);
+    },
+
+    /**
+     * Set credentials used to sign requests with AWS Signature V4.
+     *
+     * @param credentials - {accessKeyId, secretAccessKey, sessionToken, region}, or a function returning the
+     *                      credentials or a promise for them
+     * @param bucketOrHost - bucket name, host name, or wildcard pattern
+     */
+    setCredentials: function (credentials, bucketOrHost) {
+        this.credentials[bucketOrHost || DEFAULT_BUCKET] = credentials;
+    },
+
+    getCredentials: function (bucket, host) {
+        return findWildcardMatch(this.credentials, bucket) || findWildcardMatch(this.credentials, host);
+    },
+
+    removeCredentials: function (bucketOrHost) {
+        delete this.credentials[bucketOrHost || DEFAULT_BUCKET];
+    },
+
+    /**
+     * Return the list of configured S3-compatible endpoints.
+     */
+    endpoints: function () {
+        return Object.values(this.configs).filter(c => c && c.endpoint).map(c => c.endpoint);
+    },
+
+    /**
+     * Return signing information for the url, or undefined if no credentials are registered for it.
+     *
+     * @param url - an https url
+     * @returns {Promise<{credentials, region}|undefined>}
+     */
+    getSigningInfo: async function (url) {
+        const parsed = parseS3URL(url, this.endpoints());
+        if (!parsed) {
+            return undefined;
+        }
+        const host = new URL(url).hostname;
+        let credentials = this.getCredentials(parsed.bucket, host);
+        if (!credentials) {
+            return undefined;
+        }
+        credentials = await (typeof credentials === 'function' ? credentials() : credentials);
+        const config = this.getConfig(parsed.bucket) || {};
+        const region = credentials.region || config.region || parsed.region || "us-east-1";
+        return {credentials, region};
+    }
+}
+
+export default s3
@@ -0,0 +1,119 @@
+/**
+ * Utilities for Amazon S3 and S3-compatible (e.g. MinIO) urls.
+ */
+
+function isS3URL(url) {
+    return url.startsWith("s3://");
+}
+
+/**
+ * Return true if the url is a (virtual-hosted or path style) amazonaws.com S3 url.
+ */
+function isAmazonS3Host(host) {
+    return /(^|\.)s3([.-][a-z0-9-]+)*\.amazonaws\.com$/.test(host);
+}
+
+/**
+ * Return the region embedded in an amazonaws.com host name, e.g. "us-west-2" for bucket.s3.us-west-2.amazonaws.com
+ * or s3-us-west-2.amazonaws.com.  Returns undefined for legacy global endpoints.
+ */
+function regionFromHost(host) {
+    const match = /(?:^|\.)s3[.-](?:dualstack\.)?([a-z]{2}(?:-gov)?-[a-z]+-\d)\.amazonaws\.com$/.exec(host);
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Parse the bucket and key from an S3 url.  Known forms include
+ *
+ * s3://BUCKET/KEY
+ * https://BUCKET.s3.amazonaws.com/KEY
+ * https://BUCKET.s3.REGION.amazonaws.com/KEY
+ * https://s3.REGION.amazonaws.com/BUCKET/KEY
+ * ENDPOINT/BUCKET/KEY   -- path style, for endpoints in the optional list of known S3-compatible endpoints
+ *
+ * @param url
+ * @param endpoints - optional list of S3-compatible endpoint urls
+ * @returns {{bucket, key, region}|undefined}
+ */
+function parseS3URL(url, endpoints) {
+
+    if (isS3URL(url)) {
+        const i = url.indexOf('/', 5);
+        const qIdx = url.indexOf('?');
+        if (i < 0) {
+            return {bucket: url.substring(5, qIdx < 0 ? url.length : qIdx), key: ""};
+        }
+        return {
+            bucket: url.substring(5, i),
+            key: qIdx < 0 ? url.substring(i + 1) : url.substring(i + 1, qIdx)
+        }
+    }
+
+    let u;
+    try {
+        u = new URL(url);
+    } catch (e) {
+        return undefined;
+    }
+    const path = u.pathname.substring(1);
+
+    if (isAmazonS3Host(u.hostname)) {
+        const region = regionFromHost(u.hostname);
+        if (u.hostname.startsWith("s3.") || u.hostname.startsWith("s3-")) {
+            const idx = path.indexOf("/");
+            return idx < 0 ?
+                {bucket: path, key: "", region} :
+                {bucket: path.substring(0, idx), key: decodeURIComponent(path.substring(idx + 1)), region};
+        } else {
+            const bucket = u.hostname.substring(0, u.hostname.indexOf(".s3"));
+            return {bucket, key: decodeURIComponent(path), region};
+        }
+    }
+
+    if (endpoints) {
+        for (let endpoint of endpoints) {
+            const e = new URL(endpoint);
+            if (e.host === u.host) {
+                const idx = path.indexOf("/");
+                return idx < 0 ?
+                    {bucket: path, key: ""} :
+                    {bucket: path.substring(0, idx), key: decodeURIComponent(path.substring(idx + 1))};
+            }
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Translate s3:// urls to https.
+ *
+ * @param s3Url
+ * @param config - optional {region, endpoint, pathStyle}.  If "endpoint" is specified (e.g. "http://localhost:9000"
+ *                 for MinIO) path-style urls are created unless pathStyle === false.
+ * @returns {string}
+ */
+function translateS3URL(s3Url, config) {
+
+    config = config || {};
+    const {bucket, key} = parseS3URL(s3Url);
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    const qIdx = s3Url.indexOf('?');
+    const paramString = qIdx > 0 ? s3Url.substring(qIdx) : "";
+
+    if (config.endpoint) {
+        const endpoint = config.endpoint.endsWith("/") ? config.endpoint.substring(0, config.endpoint.length - 1) : config.endpoint;
+        if (config.pathStyle === false) {
+            const u = new URL(endpoint);
+            return `${u.protocol}//${bucket}.${u.host}${u.pathname === "/" ? "" : u.pathname}/${encodedKey}${paramString}`;
+        } else {
+            return `${endpoint}/${bucket}/${encodedKey}${paramString}`;
+        }
+    } else if (config.region) {
+        return `https://${bucket}.s3.${config.region}.amazonaws.com/${encodedKey}${paramString}`;
+    } else {
+        return `https://${bucket}.s3.amazonaws.com/${encodedKey}${paramString}`;
+    }
+}
+
+export {isS3URL, isAmazonS3Host, regionFromHost, parseS3URL, translateS3URL}
@@ -0,0 +1,152 @@
+import {nodeModule} from "../nodeUtils.js"
+
+/**
+ * AWS Signature Version 4 request signing.
+ * See https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+ *
+ * Hashing uses the Web Crypto API (window.crypto.subtle, or the Node crypto module's webcrypto).
+ */
+
+const EMPTY_SHA256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+let subtleCrypto;
+
+async function getSubtle() {
+    if (!subtleCrypto) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            subtleCrypto = crypto.subtle;
+        } else {
+            subtleCrypto = (await nodeModule("crypto")).webcrypto.subtle;
+        }
+    }
+    return subtleCrypto;
+}
+
+/**
+ * Sign a request.
+ *
+ * @param request - {method, url, headers}
+ * @param credentials - {accessKeyId, secretAccessKey, sessionToken}
+ * @param region - e.g. "us-east-1"
+ * @param service - defaults to "s3"
+ * @param date - signing date, defaults to now
+ * @returns {Promise<{}>} headers to add to the request.  The "host" header is signed but not returned, it is set
+ *          by the browser or http client.
+ */
+async function signRequest(request, credentials, region, service, date) {
+
+    service = service || "s3";
+    date = date || new Date();
+
+    const u = new URL(request.url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.substring(0, 8);
+    const payloadHash = (request.body === undefined || request.body === null) ? EMPTY_SHA256 : UNSIGNED_PAYLOAD;
+
+    const headers = {};
+    for (let key of Object.keys(request.headers || {})) {
+        headers[key.toLowerCase()] = String(request.headers[key]).trim().replace(/\s+/g, " ");
+    }
+    headers["host"] = u.host;
+    headers["x-amz-date"] = amzDate;
+    headers["x-amz-content-sha256"] = payloadHash;
+    if (credentials.sessionToken) {
+        headers["x-amz-security-token"] = credentials.sessionToken;
+    }
+
+    // Only sign headers we control or that affect the response, browsers may add or modify others
+    const signedHeaderNames = Object.keys(headers)
+        .filter(h => h === "host" || h === "range" || h.startsWith("x-amz-") || h === "content-type")
+        .sort();
+    const canonicalHeaders = signedHeaderNames.map(h => `${h}:${headers[h]}\n`).join("");
+    const signedHeaders = signedHeaderNames.join(";");
+
+    const canonicalRequest = [
+        (request.method || "GET").toUpperCase(),
+        canonicalPath(u.pathname),
+        canonicalQueryString(u.search),
+        canonicalHeaders,
+        signedHeaders,
+        payloadHash
+    ].join("\n");
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        "AWS4-HMAC-SHA256",
+        amzDate,
+        scope,
+        toHex(await sha256(canonicalRequest))
+    ].join("\n");
+
+    let key = await hmac(encode("AWS4" + credentials.secretAccessKey), dateStamp);
+    key = await hmac(key, region);
+    key = await hmac(key, service);
+    key = await hmac(key, "aws4_request");
+    const signature = toHex(await hmac(key, stringToSign));
+
+    const result = {
+        "Authorization": `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        "x-amz-date": amzDate,
+        "x-amz-content-sha256": payloadHash
+    }
+    if (credentials.sessionToken) {
+        result["x-amz-security-token"] = credentials.sessionToken;
+    }
+    return result;
+}
+
+/**
+ * S3 object keys are encoded once, the "/" separators are preserved.
+ */
+function canonicalPath(pathname) {
+    return pathname.split("/").map(segment => uriEncode(decodeURIComponent(segment))).join("/") || "/";
+}
+
+function canonicalQueryString(search) {
+    if (!search || search === "?") {
+        return "";
+    }
+    const params = search.substring(1).split("&")
+        .filter(p => p.length > 0)
+        .map(p => {
+            const idx = p.indexOf("=");
+            const key = idx < 0 ? p : p.substring(0, idx);
+            const value = idx < 0 ? "" : p.substring(idx + 1);
+            return [uriEncode(decodeURIComponent(key)), uriEncode(decodeURIComponent(value.replace(/\+/g, " ")))];
+        });
+    params.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0));
+    return params.map(p => `${p[0]}=${p[1]}`).join("&");
+}
+
+/**
+ * RFC 3986 encoding, as required by SigV4
+ */
+function uriEncode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function encode(str) {
+    return new TextEncoder().encode(str);
+}
+
+async function sha256(str) {
+    const subtle = await getSubtle();
+    return new Uint8Array(await subtle.digest("SHA-256", encode(str)));
+}
+
+async function hmac(key, str) {
+    const subtle = await getSubtle();
+    const cryptoKey = await subtle.importKey("raw", key, {name: "HMAC", hash: "SHA-256"}, false, ["sign"]);
+    return new Uint8Array(await subtle.sign("HMAC", cryptoKey, encode(str)));
+}
+
+function toHex(bytes) {
+    let hex = "";
+    for (let b of bytes) {
+        hex += (b < 16 ? "0" : "") + b.toString(16);
+    }
+    return hex;
+}
+
+export {signRequest}
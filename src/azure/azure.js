@@ -0,0 +1,56 @@
+import {findWildcardMatch} from "../oauth.js"
+import {parseAzureURL} from "./azureUtils.js"
+
+// Support for Azure Blob Storage.  SAS tokens are set per storage account or per container, in the form
+// "account" or "account/container".  Names can include "*" wildcards, as for oauth.setToken.
+
+const DEFAULT_VERSION = "2021-08-06";
+
+const azure = {
+
+    sasTokens: {},
+
+    /**
+     * Value of the x-ms-version header sent with Blob Storage requests.  Range requests, and requests authorized
+     * with bearer tokens, require a service version.
+     */
+    version: DEFAULT_VERSION,
+
+    setVersion: function (version) {
+        this.version = version || DEFAULT_VERSION;
+    },
+
+    /**
+     * Set a SAS token for an account or container.
+     *
+     * @param sasToken - the token query string, e.g. "sv=2021-08-06&ss=b&sig=...", or a function returning the token
+     *                   or a promise for it
+     * @param accountOrContainer - "account", "account/container", or a wildcard pattern
+     */
+    setSasToken: function (sasToken, accountOrContainer) {
+        this.sasTokens[accountOrContainer] = sasToken;
+    },
+
+    getSasToken: function (account, container) {
+        return findWildcardMatch(this.sasTokens, `${account}/${container}`) ||
+            findWildcardMatch(this.sasTokens, account);
+    },
+
+    removeSasToken: function (accountOrContainer) {
+        delete this.sasTokens[accountOrContainer];
+    },
+
+    /**
+     * Return the SAS token for the url, resolving token functions, or undefined if none is registered.
+     *
+     * @param url - an https://ACCOUNT.blob.core.windows.net url
+     * @returns {Promise<string|undefined>}
+     */
+    resolveSasToken: async function (url) {
+        const {account, container} = parseAzureURL(url);
+        const token = this.getSasToken(account, container);
+        return typeof token === 'function' ? token() : token;
+    }
+}
+
+export default azure
@@ -0,0 +1,85 @@
+/**
+ * Utilities for Azure Blob Storage urls.
+ */
+
+const BLOB_HOST_SUFFIX = ".blob.core.windows.net";
+
+function isAzureURL(url) {
+    return url.startsWith("az://") || isAzureBlobHost(url);
+}
+
+function isAzureBlobHost(url) {
+    try {
+        return new URL(url).hostname.endsWith(BLOB_HOST_SUFFIX);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Parse the account, container, and blob name from an Azure url.  Known forms include
+ *
+ * az://ACCOUNT/CONTAINER/BLOB
+ * https://ACCOUNT.blob.core.windows.net/CONTAINER/BLOB
+ *
+ * @param url
+ * @returns {{account, container, blob}}
+ */
+function parseAzureURL(url) {
+
+    let account;
+    let path;
+    if (url.startsWith("az://")) {
+        const qIdx = url.indexOf("?");
+        const rest = url.substring(5, qIdx < 0 ? url.length : qIdx);
+        const idx = rest.indexOf("/");
+        account = idx < 0 ? rest : rest.substring(0, idx);
+        path = idx < 0 ? "" : rest.substring(idx + 1);
+    } else {
+        const u = new URL(url);
+        if (!u.hostname.endsWith(BLOB_HOST_SUFFIX)) {
+            throw Error(`Unrecognized Azure Blob Storage URI: ${url}`);
+        }
+        account = u.hostname.substring(0, u.hostname.length - BLOB_HOST_SUFFIX.length);
+        path = decodeURIComponent(u.pathname.substring(1));
+    }
+
+    const idx = path.indexOf("/");
+    const container = idx < 0 ? path : path.substring(0, idx);
+    const blob = idx < 0 ? "" : path.substring(idx + 1);
+    if (!account || !container) {
+        throw Error(`Unrecognized Azure Blob Storage URI: ${url}`);
+    }
+    return {account, container, blob};
+}
+
+/**
+ * Translate az:// urls to https
+ *
+ * @param azUrl
+ * @returns {string}
+ */
+function translateAzureURL(azUrl) {
+    const {account, container, blob} = parseAzureURL(azUrl);
+    const encodedBlob = blob.split("/").map(encodeURIComponent).join("/");
+    const qIdx = azUrl.indexOf("?");
+    const paramString = qIdx > 0 ? azUrl.substring(qIdx) : "";
+    return `https://${account}${BLOB_HOST_SUFFIX}/${container}/${encodedBlob}${paramString}`;
+}
+
+/**
+ * Return true if the url already carries a SAS signature.
+ */
+function isSASSigned(url) {
+    return /[?&]sig=/.test(url);
+}
+
+/**
+ * Append a SAS token (with or without leading "?") to the url.
+ */
+function addSASToken(url, sasToken) {
+    const token = sasToken.startsWith("?") ? sasToken.substring(1) : sasToken;
+    return url + (url.includes("?") ? "&" : "?") + token;
+}
+
+export {isAzureURL, isAzureBlobHost, parseAzureURL, translateAzureURL, isSASSigned, addSASToken}
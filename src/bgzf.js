@@ -1,4 +1,5 @@
 import pako from "./vendor/pako.js";
+import {decompress, isCompressed, registerDecompressor} from "./decompressors.js";
 
 const deflateRaw = pako.deflateRaw;
 const deflate = pako.deflate;
@@ -8,22 +9,26 @@ const gzip = pako.gzip;
 
 const FEXTRA = 4;  // gzip spec F.EXTRA flag
 
+/**
+ * Test if the data is compressed in a format known to the decompressor registry (gzip, BGZF, bzip2, zstd, or
+ * formats registered with registerDecompressor).
+ */
 function isgzipped(data) {
-    const b = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
-    return b[0] ===31 && b[1] === 139;
+    return isCompressed(data);
 }
 
 /**
- * Pako does not properly ungzip block compressed files if > 1 block is present.  Test for bgzip and use wrapper.
+ * Decompress data in any format known to the decompressor registry.  BGZF files with more than one block are
+ * decoded block by block, see unbgzf.
+ *
+ * @returns {Uint8Array}
  */
 function ungzip(data) {
     const ba = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
-    const b = ba[3] & FEXTRA;
-    if (b !== 0 && ba[12] === 66 && ba[13] === 67) {
-        return unbgzf(ba.buffer);
-    } else {
-        return pako.ungzip(ba);
+    if (!isCompressed(ba)) {
+        throw Error("Data is not compressed in a recognized format");
     }
+    return decompress(ba);
 }
 
 // Uncompress data,  assumed to be series of bgzipped blocks
@@ -166,6 +171,9 @@ function uncompressString(enc) {
 
 
 /**
+ * Decode a data URI.  Base64 data flagged as gzipped (gzip argument or ";gzip" in the media type) is decompressed,
+ * any format known to the decompressor registry is accepted.
+ *
  * @param dataURI
  * @returns {Array<number>|Uint8Array}
  */
@@ -185,7 +193,7 @@ function decodeDataURI(dataURI, gzip) {
 
         let plain
         if (gzip || info.indexOf('gzip') > 0) {
-            plain = pako.ungzip(bytes)
+            plain = decompress(bytes)
         } else {
             plain = bytes
         }
@@ -196,5 +204,8 @@ function decodeDataURI(dataURI, gzip) {
 }
 
 
-export {unbgzf, bgzBlockSize, deflateRaw, deflate, gzip, inflate, inflateRaw, ungzip, isgzipped, compressString, uncompressString, decodeDataURI};
+export {
+    unbgzf, bgzBlockSize, deflateRaw, deflate, gzip, inflate, inflateRaw, ungzip, isgzipped, compressString,
+    uncompressString, decodeDataURI, decompress, isCompressed, registerDecompressor
+};
 
@@ -0,0 +1,37 @@
+/**
+ * Helpers for binary data.
+ */
+
+/**
+ * Return a Uint8Array view of an ArrayBuffer, typed array, or DataView, without copying.
+ */
+function toUint8Array(data) {
+    if (data instanceof Uint8Array) {
+        return data;
+    } else if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+        return new Uint8Array(data);
+    }
+}
+
+/**
+ * Concatenate Uint8Arrays.  If at most one of them is non-empty it is returned as is, without copying.
+ */
+function concat(arrays) {
+    const nonEmpty = arrays.filter(a => a.length > 0);
+    if (nonEmpty.length === 1) {
+        return nonEmpty[0];
+    }
+    let length = 0;
+    for (let a of nonEmpty) length += a.length;
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (let a of nonEmpty) {
+        result.set(a, offset);
+        offset += a.length;
+    }
+    return result;
+}
+
+export {toUint8Array, concat}
@@ -0,0 +1,249 @@
+/**
+ * Storage backends for the persistent cache.  A store holds entries of the form
+ *
+ *   {key, url, range, status, headers, etag, lastModified, size, storedAt, lastAccess, data}
+ *
+ * where data is an ArrayBuffer, and implements the async methods
+ *
+ *   get(key)               - the entry, or undefined
+ *   put(entry)
+ *   touch(key, lastAccess) - update the last access time of an entry
+ *   delete(key)
+ *   metadata()             - all entries, without data
+ *   clear()
+ */
+
+/**
+ * In-memory store.  Not persistent, used for testing and when no browser storage is available.
+ */
+class MemoryStore {
+
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async put(entry) {
+        this.entries.set(entry.key, entry);
+    }
+
+    async touch(key, lastAccess) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.lastAccess = lastAccess;
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async metadata() {
+        return Array.from(this.entries.values()).map(withoutData);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * IndexedDB store.  Metadata and data are kept in separate object stores so that listing and touching entries
+ * does not read the data.
+ */
+class IndexedDBStore {
+
+    constructor(options) {
+        options = options || {};
+        this.dbName = options.dbName || "igv-utils-cache";
+        this.db = undefined;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (!this.db) {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = function () {
+                    const db = request.result;
+                    db.createObjectStore("metadata", {keyPath: "key"});
+                    db.createObjectStore("data");
+                }
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    async transaction(mode, fn) {
+        const db = await this.open();
+        return new Promise(function (resolve, reject) {
+            const tx = db.transaction(["metadata", "data"], mode);
+            let result;
+            Promise.resolve(fn(tx.objectStore("metadata"), tx.objectStore("data"))).then(r => result = r);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        })
+    }
+
+    async get(key) {
+        let metadata, data;
+        await this.transaction("readonly", function (metadataStore, dataStore) {
+            idbRequest(metadataStore.get(key)).then(m => metadata = m);
+            idbRequest(dataStore.get(key)).then(d => data = d);
+        });
+        return metadata && data ? Object.assign({}, metadata, {data}) : undefined;
+    }
+
+    async put(entry) {
+        await this.transaction("readwrite", function (metadataStore, dataStore) {
+            metadataStore.put(withoutData(entry));
+            dataStore.put(entry.data, entry.key);
+        });
+    }
+
+    async touch(key, lastAccess) {
+        await this.transaction("readwrite", function (metadataStore) {
+            idbRequest(metadataStore.get(key)).then(function (metadata) {
+                if (metadata) {
+                    metadata.lastAccess = lastAccess;
+                    metadataStore.put(metadata);
+                }
+            });
+        });
+    }
+
+    async delete(key) {
+        await this.transaction("readwrite", function (metadataStore, dataStore) {
+            metadataStore.delete(key);
+            dataStore.delete(key);
+        });
+    }
+
+    async metadata() {
+        let result = [];
+        await this.transaction("readonly", function (metadataStore) {
+            idbRequest(metadataStore.getAll()).then(r => result = r);
+        });
+        return result;
+    }
+
+    async clear() {
+        await this.transaction("readwrite", function (metadataStore, dataStore) {
+            metadataStore.clear();
+            dataStore.clear();
+        });
+    }
+}
+
+function idbRequest(request) {
+    return new Promise(function (resolve, reject) {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    })
+}
+
+/**
+ * Cache API (CacheStorage) store.  Data is stored as Response bodies under synthetic urls, metadata for all entries
+ * in a single JSON index so that touching an entry does not rewrite its data.
+ */
+class CacheStorageStore {
+
+    constructor(options) {
+        options = options || {};
+        this.cacheName = options.cacheName || "igv-utils-cache";
+        this.index = undefined;
+    }
+
+    static isAvailable() {
+        return typeof caches !== 'undefined';
+    }
+
+    async cache() {
+        return caches.open(this.cacheName);
+    }
+
+    async loadIndex() {
+        if (!this.index) {
+            const response = await (await this.cache()).match(entryURL("index"));
+            this.index = new Map(response ? (await response.json()).map(m => [m.key, m]) : []);
+        }
+        return this.index;
+    }
+
+    async saveIndex() {
+        const json = JSON.stringify(Array.from(this.index.values()));
+        await (await this.cache()).put(entryURL("index"), new Response(json, {headers: {"Content-Type": "application/json"}}));
+    }
+
+    async get(key) {
+        const metadata = (await this.loadIndex()).get(key);
+        if (!metadata) {
+            return undefined;
+        }
+        const response = await (await this.cache()).match(entryURL("data", key));
+        return response ? Object.assign({}, metadata, {data: await response.arrayBuffer()}) : undefined;
+    }
+
+    async put(entry) {
+        await (await this.cache()).put(entryURL("data", entry.key), new Response(entry.data));
+        (await this.loadIndex()).set(entry.key, withoutData(entry));
+        await this.saveIndex();
+    }
+
+    async touch(key, lastAccess) {
+        const metadata = (await this.loadIndex()).get(key);
+        if (metadata) {
+            metadata.lastAccess = lastAccess;
+            await this.saveIndex();
+        }
+    }
+
+    async delete(key) {
+        await (await this.cache()).delete(entryURL("data", key));
+        (await this.loadIndex()).delete(key);
+        await this.saveIndex();
+    }
+
+    async metadata() {
+        return Array.from((await this.loadIndex()).values());
+    }
+
+    async clear() {
+        await caches.delete(this.cacheName);
+        this.index = new Map();
+    }
+}
+
+function entryURL(type, key) {
+    return `https://igv-utils.cache/${type}${key !== undefined ? "/" + encodeURIComponent(key) : ""}`;
+}
+
+function withoutData(entry) {
+    const metadata = Object.assign({}, entry);
+    delete metadata.data;
+    return metadata;
+}
+
+/**
+ * Return the best available persistent store, falling back to memory.
+ */
+function createDefaultStore() {
+    if (IndexedDBStore.isAvailable()) {
+        return new IndexedDBStore();
+    } else if (CacheStorageStore.isAvailable()) {
+        return new CacheStorageStore();
+    } else {
+        return new MemoryStore();
+    }
+}
+
+export {MemoryStore, IndexedDBStore, CacheStorageStore, createDefaultStore}
@@ -0,0 +1,395 @@
+/**
+ * bzip2 decompression in plain JavaScript.  Concatenated streams, as written by parallel compressors (pbzip2,
+ * lbzip2), are supported.  Block and stream CRCs are verified.  Randomized blocks, which have not been written
+ * since bzip2 0.9.5, are not supported.
+ */
+
+const BLOCK_MAGIC_HI = 0x314159;
+const BLOCK_MAGIC_LO = 0x265359;
+const EOS_MAGIC_HI = 0x177245;
+const EOS_MAGIC_LO = 0x385090;
+
+const MAX_GROUPS = 6;
+const GROUP_SIZE = 50;
+const MAX_CODE_LENGTH = 20;
+const MAX_SELECTORS = 18002;
+
+const CRC_TABLE = crcTable();
+
+/**
+ * Return true if the bytes start with a bzip2 stream header, "BZh" followed by the block size digit.
+ */
+function isBzip2(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x42 && bytes[1] === 0x5A && bytes[2] === 0x68 &&
+        bytes[3] >= 0x31 && bytes[3] <= 0x39;
+}
+
+/**
+ * Decompress bzip2 data.
+ *
+ * @param bytes - Uint8Array
+ * @returns {Uint8Array}
+ */
+function bunzip2(bytes) {
+
+    const reader = new BitReader(bytes);
+    const blocks = [];
+    let length = 0;
+
+    while (true) {
+        if (!isBzip2(bytes.subarray(reader.bytePosition()))) {
+            throw Error("Invalid bzip2 stream header");
+        }
+        reader.read(24);
+        const blockSize = (reader.read(8) - 0x30) * 100000;
+
+        let streamCRC = 0;
+        while (true) {
+            const hi = reader.read(24);
+            const lo = reader.read(24);
+            if (hi === BLOCK_MAGIC_HI && lo === BLOCK_MAGIC_LO) {
+                const expectedCRC = reader.read32();
+                const block = decodeBlock(reader, blockSize);
+                const crc = blockCRC(block);
+                if (crc !== expectedCRC) {
+                    throw Error("bzip2 block CRC mismatch");
+                }
+                streamCRC = (((streamCRC << 1) | (streamCRC >>> 31)) ^ crc) >>> 0;
+                blocks.push(block);
+                length += block.length;
+            } else if (hi === EOS_MAGIC_HI && lo === EOS_MAGIC_LO) {
+                if (reader.read32() !== streamCRC) {
+                    throw Error("bzip2 stream CRC mismatch");
+                }
+                break;
+            } else {
+                throw Error("Invalid bzip2 block header");
+            }
+        }
+
+        // Streams are padded to a byte boundary.  Another stream may follow.
+        reader.alignToByte();
+        const position = reader.bytePosition();
+        if (position >= bytes.length || !isBzip2(bytes.subarray(position))) {
+            break;
+        }
+    }
+
+    if (blocks.length === 1) {
+        return blocks[0];
+    }
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (let block of blocks) {
+        result.set(block, offset);
+        offset += block.length;
+    }
+    return result;
+}
+
+/**
+ * Decode one block: Huffman coded MTF/RLE2 symbols, inverse Burrows-Wheeler transform, and the initial run length
+ * encoding.
+ */
+function decodeBlock(reader, blockSize) {
+
+    if (reader.read(1)) {
+        throw Error("Randomized bzip2 blocks are not supported");
+    }
+    const origPtr = reader.read(24);
+
+    // Symbol map, the byte values used in the block
+    const seqToUnseq = [];
+    const used = reader.read(16);
+    for (let i = 0; i < 16; i++) {
+        if (used & (0x8000 >> i)) {
+            const bits = reader.read(16);
+            for (let j = 0; j < 16; j++) {
+                if (bits & (0x8000 >> j)) {
+                    seqToUnseq.push(i * 16 + j);
+                }
+            }
+        }
+    }
+    if (seqToUnseq.length === 0) {
+        throw Error("Invalid bzip2 block, no symbols");
+    }
+    const alphaSize = seqToUnseq.length + 2;
+
+    const nGroups = reader.read(3);
+    if (nGroups < 2 || nGroups > MAX_GROUPS) {
+        throw Error("Invalid bzip2 block, bad number of Huffman tables");
+    }
+    const nSelectors = reader.read(15);
+    if (nSelectors < 1) {
+        throw Error("Invalid bzip2 block, no selectors");
+    }
+
+    // Selectors, MTF coded
+    const groupMTF = [];
+    for (let i = 0; i < nGroups; i++) groupMTF.push(i);
+    const selectors = new Uint8Array(Math.min(nSelectors, MAX_SELECTORS));
+    for (let i = 0; i < nSelectors; i++) {
+        let j = 0;
+        while (reader.read(1)) {
+            if (++j >= nGroups) {
+                throw Error("Invalid bzip2 selector");
+            }
+        }
+        const group = groupMTF[j];
+        groupMTF.splice(j, 1);
+        groupMTF.unshift(group);
+        if (i < MAX_SELECTORS) {
+            selectors[i] = group;
+        }
+    }
+
+    // Huffman tables, delta coded code lengths
+    const tables = [];
+    for (let t = 0; t < nGroups; t++) {
+        const lengths = new Uint8Array(alphaSize);
+        let len = reader.read(5);
+        for (let s = 0; s < alphaSize; s++) {
+            while (true) {
+                if (len < 1 || len > MAX_CODE_LENGTH) {
+                    throw Error("Invalid bzip2 Huffman code length");
+                }
+                if (!reader.read(1)) break;
+                len += reader.read(1) ? -1 : 1;
+            }
+            lengths[s] = len;
+        }
+        tables.push(new HuffmanTable(lengths));
+    }
+
+    // Symbols.  RUNA and RUNB encode runs of the front MTF symbol, EOB ends the block.
+    const RUNA = 0;
+    const RUNB = 1;
+    const EOB = alphaSize - 1;
+    const mtf = Uint8Array.from(seqToUnseq);
+    const counts = new Int32Array(256);
+    const tt = new Int32Array(blockSize);
+    let count = 0;
+    let run = 0;
+    let runWeight = 1;
+    let selector = 0;
+    let groupRemaining = 0;
+    let table;
+
+    while (true) {
+        if (groupRemaining === 0) {
+            if (selector >= selectors.length) {
+                throw Error("Invalid bzip2 block, selectors exhausted");
+            }
+            table = tables[selectors[selector++]];
+            groupRemaining = GROUP_SIZE;
+        }
+        groupRemaining--;
+        const symbol = table.decode(reader);
+
+        if (symbol === RUNA || symbol === RUNB) {
+            run += symbol === RUNA ? runWeight : 2 * runWeight;
+            runWeight <<= 1;
+            if (run > blockSize) {
+                throw Error("Invalid bzip2 block, run exceeds block size");
+            }
+            continue;
+        }
+
+        if (run > 0) {
+            if (count + run > blockSize) {
+                throw Error("Invalid bzip2 block, data exceeds block size");
+            }
+            const b = mtf[0];
+            counts[b] += run;
+            tt.fill(b, count, count + run);
+            count += run;
+            run = 0;
+            runWeight = 1;
+        }
+
+        if (symbol === EOB) {
+            break;
+        }
+
+        if (count >= blockSize) {
+            throw Error("Invalid bzip2 block, data exceeds block size");
+        }
+        const index = symbol - 1;
+        const b = mtf[index];
+        mtf.copyWithin(1, 0, index);
+        mtf[0] = b;
+        counts[b]++;
+        tt[count++] = b;
+    }
+
+    if (origPtr >= count) {
+        throw Error("Invalid bzip2 block, bad origPtr");
+    }
+
+    // Inverse Burrows-Wheeler transform.  The low 8 bits of tt hold the byte, the high bits the link.
+    const cftab = new Int32Array(256);
+    for (let i = 0, sum = 0; i < 256; i++) {
+        cftab[i] = sum;
+        sum += counts[i];
+    }
+    for (let i = 0; i < count; i++) {
+        const b = tt[i] & 0xff;
+        tt[cftab[b]++] |= i << 8;
+    }
+
+    // Undo the initial run length encoding, 4 equal bytes are followed by a repeat count
+    let output = new Uint8Array(count + (count >> 2) + 256);
+    let outLength = 0;
+    let pos = tt[origPtr] >> 8;
+    let last = -1;
+    let repeat = 0;
+    for (let i = 0; i < count; i++) {
+        const entry = tt[pos];
+        const b = entry & 0xff;
+        pos = entry >> 8;
+        if (repeat === 4) {
+            if (outLength + b > output.length) {
+                output = grow(output, outLength + b);
+            }
+            output.fill(last, outLength, outLength + b);
+            outLength += b;
+            repeat = 0;
+            last = -1;
+            continue;
+        }
+        if (b === last) {
+            repeat++;
+        } else {
+            last = b;
+            repeat = 1;
+        }
+        if (outLength >= output.length) {
+            output = grow(output, outLength + 1);
+        }
+        output[outLength++] = b;
+    }
+    return output.subarray(0, outLength);
+}
+
+function grow(array, minLength) {
+    const result = new Uint8Array(Math.max(minLength, array.length * 2));
+    result.set(array);
+    return result;
+}
+
+/**
+ * Canonical Huffman decoding table.  Codes are assigned in order of code length, then symbol.
+ */
+class HuffmanTable {
+
+    constructor(lengths) {
+        let minLen = MAX_CODE_LENGTH;
+        let maxLen = 0;
+        for (let len of lengths) {
+            minLen = Math.min(minLen, len);
+            maxLen = Math.max(maxLen, len);
+        }
+        const count = new Int32Array(maxLen + 1);
+        for (let len of lengths) count[len]++;
+
+        this.minLen = minLen;
+        this.maxLen = maxLen;
+        this.count = count;
+        this.firstCode = new Int32Array(maxLen + 1);
+        this.firstIndex = new Int32Array(maxLen + 1);
+        this.symbols = new Int32Array(lengths.length);
+
+        let code = 0;
+        let index = 0;
+        for (let len = 1; len <= maxLen; len++) {
+            this.firstCode[len] = code;
+            this.firstIndex[len] = index;
+            for (let s = 0; s < lengths.length; s++) {
+                if (lengths[s] === len) {
+                    this.symbols[index++] = s;
+                }
+            }
+            code = (code + count[len]) << 1;
+        }
+    }
+
+    decode(reader) {
+        let len = this.minLen;
+        let code = reader.read(len);
+        while (len <= this.maxLen) {
+            const offset = code - this.firstCode[len];
+            if (offset < this.count[len]) {
+                return this.symbols[this.firstIndex[len] + offset];
+            }
+            code = (code << 1) | reader.read(1);
+            len++;
+        }
+        throw Error("Invalid bzip2 Huffman code");
+    }
+}
+
+/**
+ * Reads bits most significant bit first.
+ */
+class BitReader {
+
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;      // Next byte
+        this.buffer = 0;
+        this.bitCount = 0;      // Unread bits in buffer
+    }
+
+    /**
+     * Read n <= 24 bits.
+     */
+    read(n) {
+        while (this.bitCount < n) {
+            if (this.position >= this.bytes.length) {
+                throw Error("Unexpected end of bzip2 data");
+            }
+            this.buffer = (this.buffer << 8) | this.bytes[this.position++];
+            this.bitCount += 8;
+        }
+        this.bitCount -= n;
+        return (this.buffer >>> this.bitCount) & ((1 << n) - 1);
+    }
+
+    read32() {
+        return ((this.read(16) << 16) | this.read(16)) >>> 0;
+    }
+
+    alignToByte() {
+        this.bitCount -= this.bitCount % 8;
+    }
+
+    /**
+     * Position of the next unread byte.  Only meaningful when aligned to a byte boundary.
+     */
+    bytePosition() {
+        return this.position - (this.bitCount >> 3);
+    }
+}
+
+function blockCRC(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff];
+    }
+    return ~crc >>> 0;
+}
+
+function crcTable() {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i << 24;
+        for (let j = 0; j < 8; j++) {
+            c = (c & 0x80000000) ? (c << 1) ^ 0x04c11db7 : c << 1;
+        }
+        table[i] = c;
+    }
+    return table;
+}
+
+export {isBzip2, bunzip2}
@@ -0,0 +1,772 @@
+/**
+ * Zstandard decompression in plain JavaScript, following RFC 8878.  Concatenated and skippable frames are
+ * supported.  Frames that require a dictionary are not supported, and content checksums are not verified.
+ */
+
+const ZSTD_MAGIC = 0xFD2FB528;
+
+const BLOCK_RAW = 0;
+const BLOCK_RLE = 1;
+const BLOCK_COMPRESSED = 2;
+
+const LITERALS_RAW = 0;
+const LITERALS_RLE = 1;
+const LITERALS_COMPRESSED = 2;
+const LITERALS_TREELESS = 3;
+
+const MODE_PREDEFINED = 0;
+const MODE_RLE = 1;
+const MODE_FSE = 2;
+const MODE_REPEAT = 3;
+
+const LL_BASELINES = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512,
+    1024, 2048, 4096, 8192, 16384, 32768, 65536
+];
+const LL_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+];
+const ML_BASELINES = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
+    33, 34, 35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539
+];
+const ML_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2,
+    3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16
+];
+
+// Predefined distributions, RFC 8878 section 3.1.1.3.2.2
+const LL_DEFAULT = buildFSETable([
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1
+], 6);
+const ML_DEFAULT = buildFSETable([
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1
+], 6);
+const OF_DEFAULT = buildFSETable([
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+], 5);
+
+const LL_MAX_LOG = 9;
+const ML_MAX_LOG = 9;
+const OF_MAX_LOG = 8;
+const HUFFMAN_WEIGHTS_MAX_LOG = 6;
+const HUFFMAN_MAX_BITS = 11;
+
+/**
+ * Return true if the bytes start with a zstd frame or a skippable frame.
+ */
+function isZstd(bytes) {
+    if (bytes.length < 4) {
+        return false;
+    }
+    const magic = readUint32(bytes, 0);
+    return magic === ZSTD_MAGIC || isSkippable(magic);
+}
+
+function isSkippable(magic) {
+    return (magic & 0xFFFFFFF0) >>> 0 === 0x184D2A50;
+}
+
+/**
+ * Decompress zstd data.
+ *
+ * @param bytes - Uint8Array
+ * @returns {Uint8Array}
+ */
+function unzstd(bytes) {
+    const output = new Output(bytes.length * 4);
+    let position = 0;
+    while (position < bytes.length) {
+        if (position + 4 > bytes.length) {
+            throw Error("Truncated zstd frame");
+        }
+        const magic = readUint32(bytes, position);
+        if (magic === ZSTD_MAGIC) {
+            position = decodeFrame(bytes, position + 4, output);
+        } else if (isSkippable(magic)) {
+            position += 8 + readUint32(bytes, position + 4);
+        } else {
+            throw Error("Invalid zstd frame magic number");
+        }
+    }
+    if (position > bytes.length) {
+        throw Error("Truncated zstd frame");
+    }
+    return output.result();
+}
+
+function decodeFrame(bytes, position, output) {
+
+    const descriptor = bytes[position++];
+    const contentSizeFlag = descriptor >> 6;
+    const singleSegment = (descriptor >> 5) & 1;
+    const hasChecksum = (descriptor >> 2) & 1;
+    const dictionaryIdFlag = descriptor & 3;
+    if (descriptor & 0x08) {
+        throw Error("Invalid zstd frame header, reserved bit set");
+    }
+
+    if (!singleSegment) {
+        position++;      // Window descriptor, the whole output is kept
+    }
+
+    const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag];
+    let dictionaryId = 0;
+    for (let i = 0; i < dictionaryIdSize; i++) {
+        dictionaryId += bytes[position + i] * Math.pow(2, 8 * i);
+    }
+    position += dictionaryIdSize;
+    if (dictionaryId !== 0) {
+        throw Error("zstd frames that require a dictionary are not supported");
+    }
+
+    const contentSizeSize = contentSizeFlag === 0 ? singleSegment : [0, 2, 4, 8][contentSizeFlag];
+    if (contentSizeSize > 0 && contentSizeSize <= 4) {
+        let contentSize = 0;
+        for (let i = 0; i < contentSizeSize; i++) {
+            contentSize += bytes[position + i] * Math.pow(2, 8 * i);
+        }
+        output.reserve(contentSizeSize === 2 ? contentSize + 256 : contentSize);
+    }
+    position += contentSizeSize;
+
+    const state = {
+        repeatOffsets: [1, 4, 8],
+        huffmanTable: undefined,
+        llTable: undefined,
+        ofTable: undefined,
+        mlTable: undefined,
+        frameStart: output.length
+    };
+
+    let last = false;
+    while (!last) {
+        if (position + 3 > bytes.length) {
+            throw Error("Truncated zstd block");
+        }
+        const header = bytes[position] | (bytes[position + 1] << 8) | (bytes[position + 2] << 16);
+        position += 3;
+        last = (header & 1) === 1;
+        const type = (header >> 1) & 3;
+        const size = header >> 3;
+
+        if (type === BLOCK_RAW) {
+            checkAvailable(bytes, position, size);
+            output.append(bytes.subarray(position, position + size));
+            position += size;
+        } else if (type === BLOCK_RLE) {
+            checkAvailable(bytes, position, 1);
+            output.fill(bytes[position], size);
+            position += 1;
+        } else if (type === BLOCK_COMPRESSED) {
+            checkAvailable(bytes, position, size);
+            decodeCompressedBlock(bytes, position, position + size, output, state);
+            position += size;
+        } else {
+            throw Error("Invalid zstd block type");
+        }
+    }
+
+    if (hasChecksum) {
+        position += 4;
+    }
+    return position;
+}
+
+function decodeCompressedBlock(bytes, start, end, output, state) {
+    const {literals, position} = decodeLiterals(bytes, start, end, state);
+    decodeSequences(bytes, position, end, literals, output, state);
+}
+
+/**
+ * Decode the literals section.  Returns the literals and the position of the sequences section.
+ */
+function decodeLiterals(bytes, position, end, state) {
+
+    const b0 = bytes[position];
+    const type = b0 & 3;
+    const sizeFormat = (b0 >> 2) & 3;
+
+    if (type === LITERALS_RAW || type === LITERALS_RLE) {
+        let size;
+        if ((sizeFormat & 1) === 0) {
+            size = b0 >> 3;
+            position += 1;
+        } else if (sizeFormat === 1) {
+            size = (b0 >> 4) + (bytes[position + 1] << 4);
+            position += 2;
+        } else {
+            size = (b0 >> 4) + (bytes[position + 1] << 4) + (bytes[position + 2] << 12);
+            position += 3;
+        }
+        if (type === LITERALS_RAW) {
+            checkAvailable(bytes, position, size);
+            return {literals: bytes.subarray(position, position + size), position: position + size};
+        } else {
+            checkAvailable(bytes, position, 1);
+            return {literals: new Uint8Array(size).fill(bytes[position]), position: position + 1};
+        }
+    }
+
+    // Huffman compressed literals
+    const b1 = bytes[position + 1];
+    const b2 = bytes[position + 2];
+    let regeneratedSize, compressedSize, headerSize;
+    const streams = sizeFormat === 0 ? 1 : 4;
+    if (sizeFormat <= 1) {
+        regeneratedSize = (b0 >> 4) | ((b1 & 0x3F) << 4);
+        compressedSize = (b1 >> 6) | (b2 << 2);
+        headerSize = 3;
+    } else if (sizeFormat === 2) {
+        const b3 = bytes[position + 3];
+        regeneratedSize = (b0 >> 4) | (b1 << 4) | ((b2 & 0x03) << 12);
+        compressedSize = (b2 >> 2) | (b3 << 6);
+        headerSize = 4;
+    } else {
+        const b3 = bytes[position + 3];
+        const b4 = bytes[position + 4];
+        regeneratedSize = (b0 >> 4) | (b1 << 4) | ((b2 & 0x3F) << 12);
+        compressedSize = (b2 >> 6) | (b3 << 2) | (b4 << 10);
+        headerSize = 5;
+    }
+    position += headerSize;
+    checkAvailable(bytes, position, compressedSize);
+    const literalsEnd = position + compressedSize;
+
+    if (type === LITERALS_COMPRESSED) {
+        const {table, position: next} = decodeHuffmanTable(bytes, position, literalsEnd);
+        state.huffmanTable = table;
+        position = next;
+    } else if (!state.huffmanTable) {
+        throw Error("Invalid zstd block, treeless literals without a previous Huffman table");
+    }
+
+    const literals = new Uint8Array(regeneratedSize);
+    const table = state.huffmanTable;
+    if (streams === 1) {
+        decodeHuffmanStream(bytes, position, literalsEnd, table, literals, 0, regeneratedSize);
+    } else {
+        const size1 = bytes[position] | (bytes[position + 1] << 8);
+        const size2 = bytes[position + 2] | (bytes[position + 3] << 8);
+        const size3 = bytes[position + 4] | (bytes[position + 5] << 8);
+        const streamSize = (regeneratedSize + 3) >> 2;
+        let streamStart = position + 6;
+        let outputStart = 0;
+        const sizes = [size1, size2, size3, literalsEnd - streamStart - size1 - size2 - size3];
+        for (let i = 0; i < 4; i++) {
+            const count = i < 3 ? streamSize : regeneratedSize - 3 * streamSize;
+            if (sizes[i] < 0 || count < 0) {
+                throw Error("Invalid zstd literals section");
+            }
+            decodeHuffmanStream(bytes, streamStart, streamStart + sizes[i], table, literals, outputStart, count);
+            streamStart += sizes[i];
+            outputStart += count;
+        }
+    }
+    return {literals, position: literalsEnd};
+}
+
+/**
+ * Decode a Huffman tree description.  Returns a decoding table indexed by the next maxBits bits of the stream.
+ */
+function decodeHuffmanTable(bytes, position, end) {
+
+    const header = bytes[position++];
+    let weights;
+    if (header < 128) {
+        // FSE compressed weights
+        checkAvailable(bytes, position, header);
+        const weightsEnd = position + header;
+        const {table, position: streamStart} = readFSETable(bytes, position, weightsEnd, 255, HUFFMAN_WEIGHTS_MAX_LOG);
+        weights = decodeHuffmanWeights(bytes, streamStart, weightsEnd, table);
+        position = weightsEnd;
+    } else {
+        const count = header - 127;
+        const size = (count + 1) >> 1;
+        checkAvailable(bytes, position, size);
+        weights = [];
+        for (let i = 0; i < count; i++) {
+            const b = bytes[position + (i >> 1)];
+            weights.push(i % 2 === 0 ? b >> 4 : b & 0xF);
+        }
+        position += size;
+    }
+
+    // The weight of the last symbol is implied, the weights must sum to a power of 2
+    let total = 0;
+    for (let w of weights) {
+        if (w > HUFFMAN_MAX_BITS) {
+            throw Error("Invalid zstd Huffman weight");
+        }
+        if (w > 0) total += 1 << (w - 1);
+    }
+    if (total === 0) {
+        throw Error("Invalid zstd Huffman weights");
+    }
+    const maxBits = highBit(total) + 1;
+    const remainder = (1 << maxBits) - total;
+    if (remainder & (remainder - 1)) {
+        throw Error("Invalid zstd Huffman weights, not a power of 2");
+    }
+    weights.push(highBit(remainder) + 1);
+    if (maxBits > HUFFMAN_MAX_BITS) {
+        throw Error("Invalid zstd Huffman table, code too long");
+    }
+
+    // Symbols with the lowest weights have the longest codes, and the lowest prefix values
+    const rankStart = new Int32Array(maxBits + 2);
+    const rankCount = new Int32Array(maxBits + 2);
+    for (let w of weights) rankCount[w]++;
+    let next = 0;
+    for (let w = 1; w <= maxBits; w++) {
+        rankStart[w] = next;
+        next += rankCount[w] << (w - 1);
+    }
+    const size = 1 << maxBits;
+    const symbols = new Uint8Array(size);
+    const lengths = new Uint8Array(size);
+    for (let s = 0; s < weights.length; s++) {
+        const w = weights[s];
+        if (w === 0) continue;
+        const length = 1 << (w - 1);
+        const start = rankStart[w];
+        symbols.fill(s, start, start + length);
+        lengths.fill(maxBits + 1 - w, start, start + length);
+        rankStart[w] += length;
+    }
+    return {table: {maxBits, symbols, lengths}, position};
+}
+
+function decodeHuffmanWeights(bytes, start, end, table) {
+    const reader = new BackwardBitReader(bytes, start, end);
+    const weights = [];
+    let state1 = reader.read(table.accuracyLog);
+    let state2 = reader.read(table.accuracyLog);
+    while (true) {
+        weights.push(table.symbols[state1]);
+        state1 = table.baselines[state1] + reader.read(table.bits[state1]);
+        if (reader.overflow()) {
+            weights.push(table.symbols[state2]);
+            break;
+        }
+        weights.push(table.symbols[state2]);
+        state2 = table.baselines[state2] + reader.read(table.bits[state2]);
+        if (reader.overflow()) {
+            weights.push(table.symbols[state1]);
+            break;
+        }
+        if (weights.length > 255) {
+            throw Error("Invalid zstd Huffman weights");
+        }
+    }
+    return weights;
+}
+
+function decodeHuffmanStream(bytes, start, end, table, output, offset, count) {
+    const reader = new BackwardBitReader(bytes, start, end);
+    const {maxBits, symbols, lengths} = table;
+    for (let i = 0; i < count; i++) {
+        const index = reader.peek(maxBits);
+        output[offset + i] = symbols[index];
+        reader.skip(lengths[index]);
+    }
+    if (reader.remaining() !== 0) {
+        throw Error("Invalid zstd Huffman stream");
+    }
+}
+
+/**
+ * Decode and execute the sequences section.
+ */
+function decodeSequences(bytes, position, end, literals, output, state) {
+
+    let count = bytes[position++];
+    if (count >= 128) {
+        if (count < 255) {
+            count = ((count - 128) << 8) + bytes[position++];
+        } else {
+            count = bytes[position] + (bytes[position + 1] << 8) + 0x7F00;
+            position += 2;
+        }
+    }
+
+    if (count === 0) {
+        output.append(literals);
+        return;
+    }
+
+    const modes = bytes[position++];
+    if (modes & 3) {
+        throw Error("Invalid zstd sequences section, reserved bits set");
+    }
+    let table;
+    ({table, position} = sequenceTable(bytes, position, end, (modes >> 6) & 3, LL_DEFAULT, state.llTable, 35, LL_MAX_LOG));
+    state.llTable = table;
+    ({table, position} = sequenceTable(bytes, position, end, (modes >> 4) & 3, OF_DEFAULT, state.ofTable, 31, OF_MAX_LOG));
+    state.ofTable = table;
+    ({table, position} = sequenceTable(bytes, position, end, (modes >> 2) & 3, ML_DEFAULT, state.mlTable, 52, ML_MAX_LOG));
+    state.mlTable = table;
+
+    const llTable = state.llTable;
+    const ofTable = state.ofTable;
+    const mlTable = state.mlTable;
+    const reps = state.repeatOffsets;
+
+    const reader = new BackwardBitReader(bytes, position, end);
+    let llState = reader.read(llTable.accuracyLog);
+    let ofState = reader.read(ofTable.accuracyLog);
+    let mlState = reader.read(mlTable.accuracyLog);
+
+    let literalPosition = 0;
+    for (let i = 0; i < count; i++) {
+        const llCode = llTable.symbols[llState];
+        const ofCode = ofTable.symbols[ofState];
+        const mlCode = mlTable.symbols[mlState];
+        if (llCode > 35 || mlCode > 52 || ofCode > 31) {
+            throw Error("Invalid zstd sequence code");
+        }
+
+        const offsetValue = Math.pow(2, ofCode) + reader.read(ofCode);
+        const matchLength = ML_BASELINES[mlCode] + reader.read(ML_BITS[mlCode]);
+        const literalLength = LL_BASELINES[llCode] + reader.read(LL_BITS[llCode]);
+
+        let offset;
+        if (offsetValue > 3) {
+            offset = offsetValue - 3;
+            reps[2] = reps[1];
+            reps[1] = reps[0];
+            reps[0] = offset;
+        } else {
+            const index = literalLength === 0 ? offsetValue : offsetValue - 1;
+            if (index === 0) {
+                offset = reps[0];
+            } else {
+                offset = index === 3 ? reps[0] - 1 : reps[index];
+                if (index !== 1) {
+                    reps[2] = reps[1];
+                }
+                reps[1] = reps[0];
+                reps[0] = offset;
+            }
+        }
+
+        if (i < count - 1) {
+            llState = llTable.baselines[llState] + reader.read(llTable.bits[llState]);
+            mlState = mlTable.baselines[mlState] + reader.read(mlTable.bits[mlState]);
+            ofState = ofTable.baselines[ofState] + reader.read(ofTable.bits[ofState]);
+        }
+
+        if (literalPosition + literalLength > literals.length) {
+            throw Error("Invalid zstd sequence, literal length exceeds literals");
+        }
+        output.append(literals.subarray(literalPosition, literalPosition + literalLength));
+        literalPosition += literalLength;
+
+        if (offset === 0 || offset > output.length - state.frameStart) {
+            throw Error("Invalid zstd sequence, offset exceeds output");
+        }
+        output.copyMatch(offset, matchLength);
+    }
+
+    if (reader.remaining() !== 0) {
+        throw Error("Invalid zstd sequences bitstream");
+    }
+    output.append(literals.subarray(literalPosition));
+}
+
+function sequenceTable(bytes, position, end, mode, defaultTable, previousTable, maxSymbol, maxLog) {
+    switch (mode) {
+        case MODE_PREDEFINED:
+            return {table: defaultTable, position};
+        case MODE_RLE:
+            checkAvailable(bytes, position, 1);
+            return {table: rleTable(bytes[position]), position: position + 1};
+        case MODE_FSE:
+            return readFSETable(bytes, position, end, maxSymbol, maxLog);
+        default:
+            if (!previousTable) {
+                throw Error("Invalid zstd sequences section, repeat mode without a previous table");
+            }
+            return {table: previousTable, position};
+    }
+}
+
+/**
+ * Read an FSE table description.  Returns the decoding table and the position following the description.
+ */
+function readFSETable(bytes, position, end, maxSymbol, maxLog) {
+
+    const reader = new ForwardBitReader(bytes, position, end);
+    const accuracyLog = reader.read(4) + 5;
+    if (accuracyLog > maxLog) {
+        throw Error("Invalid zstd FSE table, accuracy log too large");
+    }
+
+    const probabilities = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let nbBits = accuracyLog + 1;
+    while (remaining > 1) {
+        if (probabilities.length > maxSymbol) {
+            throw Error("Invalid zstd FSE table, too many symbols");
+        }
+        const max = 2 * threshold - 1 - remaining;
+        let value;
+        const low = reader.peek(nbBits - 1);
+        if (low < max) {
+            value = low;
+            reader.skip(nbBits - 1);
+        } else {
+            value = reader.peek(nbBits);
+            if (value >= threshold) {
+                value -= max;
+            }
+            reader.skip(nbBits);
+        }
+        const probability = value - 1;
+        remaining -= probability < 0 ? -probability : probability;
+        probabilities.push(probability);
+
+        if (probability === 0) {
+            // Repeat flags for following zero probability symbols
+            while (true) {
+                const repeat = reader.read(2);
+                for (let i = 0; i < repeat; i++) probabilities.push(0);
+                if (repeat !== 3) break;
+            }
+        }
+        while (remaining < threshold) {
+            nbBits--;
+            threshold >>= 1;
+        }
+    }
+    if (remaining !== 1 || probabilities.length > maxSymbol + 1) {
+        throw Error("Invalid zstd FSE table");
+    }
+    return {table: buildFSETable(probabilities, accuracyLog), position: reader.bytePosition()};
+}
+
+/**
+ * Build an FSE decoding table from normalized probabilities.  A probability of -1 denotes "less than 1".
+ */
+function buildFSETable(probabilities, accuracyLog) {
+
+    const size = 1 << accuracyLog;
+    const symbols = new Uint8Array(size);
+    const bits = new Uint8Array(size);
+    const baselines = new Int32Array(size);
+    const next = new Int32Array(probabilities.length);
+
+    let highThreshold = size - 1;
+    for (let s = 0; s < probabilities.length; s++) {
+        if (probabilities[s] === -1) {
+            symbols[highThreshold--] = s;
+            next[s] = 1;
+        } else {
+            next[s] = probabilities[s];
+        }
+    }
+
+    const step = (size >> 1) + (size >> 3) + 3;
+    const mask = size - 1;
+    let position = 0;
+    for (let s = 0; s < probabilities.length; s++) {
+        for (let i = 0; i < probabilities[s]; i++) {
+            symbols[position] = s;
+            do {
+                position = (position + step) & mask;
+            } while (position > highThreshold);
+        }
+    }
+    if (position !== 0) {
+        throw Error("Invalid zstd FSE table, probabilities do not fill the table");
+    }
+
+    for (let u = 0; u < size; u++) {
+        const s = symbols[u];
+        const nextState = next[s]++;
+        const nb = accuracyLog - highBit(nextState);
+        bits[u] = nb;
+        baselines[u] = (nextState << nb) - size;
+    }
+    return {accuracyLog, symbols, bits, baselines};
+}
+
+function rleTable(symbol) {
+    return {accuracyLog: 0, symbols: new Uint8Array([symbol]), bits: new Uint8Array(1), baselines: new Int32Array(1)};
+}
+
+/**
+ * Reads bits least significant bit first, as used for FSE table descriptions.
+ */
+class ForwardBitReader {
+
+    constructor(bytes, start, end) {
+        this.bytes = bytes;
+        this.start = start;
+        this.end = end;
+        this.position = 0;     // bits
+    }
+
+    peek(n) {
+        let value = 0;
+        for (let i = 0; i < n; i++) {
+            const bit = this.position + i;
+            const index = this.start + (bit >> 3);
+            if (index >= this.end) {
+                throw Error("Truncated zstd FSE table");
+            }
+            value |= ((this.bytes[index] >> (bit & 7)) & 1) << i;
+        }
+        return value;
+    }
+
+    skip(n) {
+        this.position += n;
+    }
+
+    read(n) {
+        const value = this.peek(n);
+        this.skip(n);
+        return value;
+    }
+
+    bytePosition() {
+        return this.start + ((this.position + 7) >> 3);
+    }
+}
+
+/**
+ * Reads a bitstream backwards, from the highest bit towards the first, as used for Huffman and FSE coded data.
+ * The stream is terminated by a 1 bit in its last byte.  Reads past the start of the stream return zeros.
+ */
+class BackwardBitReader {
+
+    constructor(bytes, start, end) {
+        if (end <= start || bytes[end - 1] === 0) {
+            throw Error("Invalid zstd bitstream");
+        }
+        this.bytes = bytes;
+        this.start = start;
+        this.end = end;
+        this.position = (end - start - 1) * 8 + highBit(bytes[end - 1]);    // bits remaining
+    }
+
+    /**
+     * Return the next n bits without consuming them.
+     */
+    peek(n) {
+        if (n === 0) {
+            return 0;
+        }
+        const low = this.position - n;
+        if (low >= 0) {
+            return this.bits(low, n);
+        }
+        const available = this.position;
+        return available > 0 ? this.bits(0, available) * Math.pow(2, -low) : 0;
+    }
+
+    skip(n) {
+        this.position -= n;
+    }
+
+    read(n) {
+        const value = this.peek(n);
+        this.position -= n;
+        return value;
+    }
+
+    remaining() {
+        return this.position;
+    }
+
+    overflow() {
+        return this.position < 0;
+    }
+
+    /**
+     * Return the n bits starting at bit offset "low" of the stream, read as a little endian integer.
+     */
+    bits(low, n) {
+        const first = this.start + (low >> 3);
+        const last = this.start + ((low + n - 1) >> 3);
+        let value = 0;
+        let scale = 1;
+        for (let i = first; i <= last; i++) {
+            value += this.bytes[i] * scale;
+            scale *= 256;
+        }
+        return Math.floor(value / Math.pow(2, low & 7)) % Math.pow(2, n);
+    }
+}
+
+/**
+ * Growable output buffer.
+ */
+class Output {
+
+    constructor(capacity) {
+        this.buffer = new Uint8Array(Math.max(capacity, 1024));
+        this.length = 0;
+    }
+
+    reserve(additional) {
+        const required = this.length + additional;
+        if (required > this.buffer.length) {
+            const buffer = new Uint8Array(Math.max(required, this.buffer.length * 2));
+            buffer.set(this.buffer.subarray(0, this.length));
+            this.buffer = buffer;
+        }
+    }
+
+    append(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    fill(value, count) {
+        this.reserve(count);
+        this.buffer.fill(value, this.length, this.length + count);
+        this.length += count;
+    }
+
+    /**
+     * Copy length bytes starting offset bytes back.  The source and destination may overlap.
+     */
+    copyMatch(offset, length) {
+        this.reserve(length);
+        const buffer = this.buffer;
+        let source = this.length - offset;
+        if (offset >= length) {
+            buffer.copyWithin(this.length, source, source + length);
+        } else {
+            for (let i = 0; i < length; i++) {
+                buffer[this.length + i] = buffer[source + i];
+            }
+        }
+        this.length += length;
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+function checkAvailable(bytes, position, size) {
+    if (position + size > bytes.length) {
+        throw Error("Truncated zstd data");
+    }
+}
+
+function readUint32(bytes, position) {
+    return (bytes[position] | (bytes[position + 1] << 8) | (bytes[position + 2] << 16) | (bytes[position + 3] << 24)) >>> 0;
+}
+
+function highBit(value) {
+    return 31 - Math.clz32(value);
+}
+
+export {isZstd, unzstd}
@@ -0,0 +1,301 @@
+import pako from "./vendor/pako.js";
+import {isBzip2, bunzip2} from "./compression/bzip2.js";
+import {isZstd, unzstd} from "./compression/zstd.js";
+import {unbgzf} from "./bgzf.js";
+import {toUint8Array, concat} from "./byteUtils.js";
+
+/**
+ * Registry of decompressors, selected by the magic bytes at the start of the data.  gzip, BGZF, bzip2, and zstd
+ * are supported out of the box.  Applications can register others, e.g. xz:
+ *
+ *   igvxhr.registerDecompressor({
+ *       name: "xz",
+ *       magic: [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00],
+ *       decompress: (bytes) => xzDecompress(bytes)
+ *   })
+ *
+ * A decompressor is an object with
+ *   name       - unique name, registering a decompressor with the name of an existing one replaces it
+ *   magic      - array of leading bytes identifying the format, or
+ *   test       - function (bytes) => boolean, given at least headerSize leading bytes
+ *   headerSize - number of leading bytes needed by test, default 16
+ *   decompress - function (Uint8Array) => Uint8Array
+ *   stream     - optional async generator function (chunks) => chunks, decompressing an async iterable of
+ *                Uint8Arrays incrementally.  Without it streamed data is collected and passed to decompress.
+ *
+ * Decompressors registered by the application are tried before the built-in decompressors.
+ */
+
+const DEFAULT_HEADER_SIZE = 16;
+
+const FEXTRA = 4;  // gzip spec F.EXTRA flag
+
+const builtins = [
+    {
+        name: "bgzf",
+        test: (bytes) => bytes.length >= 14 && bytes[0] === 31 && bytes[1] === 139 && (bytes[3] & FEXTRA) !== 0 &&
+            bytes[12] === 66 && bytes[13] === 67,
+        headerSize: 14,
+        decompress: (bytes) => unbgzf(toArrayBuffer(bytes)),
+        stream: bgzfChunks
+    },
+    {
+        name: "gzip",
+        magic: [31, 139],
+        decompress: gunzip,
+        stream: gunzipChunks
+    },
+    {
+        name: "bzip2",
+        test: isBzip2,
+        headerSize: 4,
+        decompress: bunzip2
+    },
+    {
+        name: "zstd",
+        test: isZstd,
+        headerSize: 4,
+        decompress: unzstd
+    }
+];
+
+let decompressors = builtins.slice();
+
+/**
+ * Register a decompressor, see above.
+ */
+function registerDecompressor(decompressor) {
+    if (!decompressor || !decompressor.name || typeof decompressor.decompress !== 'function') {
+        throw Error("A decompressor must have a name and a decompress function");
+    }
+    if (!Array.isArray(decompressor.magic) && typeof decompressor.test !== 'function') {
+        throw Error(`Decompressor '${decompressor.name}' must define magic bytes or a test function`);
+    }
+    decompressors = decompressors.filter(d => d.name !== decompressor.name);
+    const firstBuiltin = decompressors.findIndex(d => builtins.includes(d));
+    decompressors.splice(firstBuiltin < 0 ? decompressors.length : firstBuiltin, 0, decompressor);
+}
+
+function removeDecompressor(name) {
+    decompressors = decompressors.filter(d => d.name !== name);
+}
+
+/**
+ * Remove all application decompressors and restore the built-in decompressors.
+ */
+function resetDecompressors() {
+    decompressors = builtins.slice();
+}
+
+/**
+ * Return the names of the registered decompressors, in the order they are tried.
+ */
+function getDecompressors() {
+    return decompressors.map(d => d.name);
+}
+
+/**
+ * Return the number of leading bytes needed to identify any registered format.
+ */
+function headerSize() {
+    let size = 0;
+    for (let d of decompressors) {
+        size = Math.max(size, Array.isArray(d.magic) ? d.magic.length : (d.headerSize || DEFAULT_HEADER_SIZE));
+    }
+    return size;
+}
+
+/**
+ * Return the decompressor for data starting with the given bytes, or undefined if the data is not compressed in a
+ * registered format.
+ */
+function findDecompressor(data) {
+    const bytes = toUint8Array(data);
+    return decompressors.find(d => Array.isArray(d.magic) ?
+        d.magic.length <= bytes.length && d.magic.every((b, i) => bytes[i] === b) :
+        d.test(bytes));
+}
+
+function isCompressed(data) {
+    return findDecompressor(data) !== undefined;
+}
+
+/**
+ * Decompress the data if it is compressed in a registered format, otherwise return it unchanged.
+ *
+ * @param data - ArrayBuffer or typed array
+ * @returns {Uint8Array}
+ */
+function decompress(data) {
+    const bytes = toUint8Array(data);
+    const decompressor = findDecompressor(bytes);
+    return decompressor ? toUint8Array(decompressor.decompress(bytes)) : bytes;
+}
+
+/**
+ * Decompress a chunk source (async iterable of Uint8Arrays) if its first bytes identify a registered format,
+ * otherwise pass it through unchanged.
+ */
+async function* decompressChunks(chunks) {
+
+    const iterator = chunks[Symbol.asyncIterator]();
+    try {
+        const needed = headerSize();
+        const head = [];
+        let headLength = 0;
+        let done = false;
+        while (headLength < needed) {
+            const next = await iterator.next();
+            if (next.done) {
+                done = true;
+                break;
+            }
+            head.push(next.value);
+            headLength += next.value.length;
+        }
+
+        const rest = async function* () {
+            yield* head;
+            if (!done) {
+                yield* {[Symbol.asyncIterator]: () => iterator};
+            }
+        }
+
+        const decompressor = findDecompressor(head.length === 1 ? head[0] : concat(head));
+        if (!decompressor) {
+            yield* rest();
+        } else if (typeof decompressor.stream === 'function') {
+            yield* decompressor.stream(rest());
+        } else {
+            const all = [];
+            for await (let chunk of rest()) {
+                all.push(chunk);
+            }
+            yield toUint8Array(decompressor.decompress(concat(all)));
+        }
+    } finally {
+        // Release the source if the consumer stops early, e.g. while the buffered head is being returned
+        if (typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+    }
+}
+
+/**
+ * Decompress gzip data.  BGZF data is handled by the "bgzf" decompressor, pako does not decode files with more than
+ * one BGZF block correctly.
+ */
+function gunzip(bytes) {
+    return pako.ungzip(bytes);
+}
+
+/**
+ * Inflate a BGZF chunk source block by block.  Each block is an independent gzip member whose compressed size is
+ * given by the BSIZE field of its header, blocks are inflated separately as soon as they are complete.
+ */
+async function* bgzfChunks(chunks) {
+
+    let pending = new Uint8Array(0);
+    for await (let chunk of chunks) {
+        pending = pending.length > 0 ? concat([pending, chunk]) : chunk;
+        let offset = 0;
+        while (true) {
+            const bsize = bgzfBlockSize(pending, offset);
+            if (bsize === undefined || offset + bsize > pending.length) break;
+            const xlen = pending[offset + 10] | (pending[offset + 11] << 8);
+            const cdata = pending.subarray(offset + 12 + xlen, offset + bsize - 8);
+            let data;
+            try {
+                data = pako.inflateRaw(cdata);
+            } catch (e) {
+                throw Error(`Error inflating BGZF block: ${e.message || e}`);
+            }
+            if (data.length > 0) {
+                yield data;
+            }
+            offset += bsize;
+        }
+        pending = pending.slice(offset);
+    }
+    if (pending.length > 0 && !isZeroPadding(pending)) {
+        throw Error("Error inflating BGZF stream: truncated block");
+    }
+}
+
+/**
+ * Return the total size of the BGZF block starting at offset, or undefined if the header is not complete yet.
+ */
+function bgzfBlockSize(bytes, offset) {
+    if (bytes.length - offset < 12 || bytes[offset] === 0) {
+        return undefined;    // Incomplete header, or zero padding after the last block
+    }
+    if (bytes[offset] !== 31 || bytes[offset + 1] !== 139 || (bytes[offset + 3] & FEXTRA) === 0) {
+        throw Error("Error inflating BGZF stream: invalid block header");
+    }
+    const xlen = bytes[offset + 10] | (bytes[offset + 11] << 8);
+    if (bytes.length - offset < 12 + xlen) {
+        return undefined;
+    }
+    // Find the "BC" subfield holding BSIZE, the block size - 1
+    let p = offset + 12;
+    const end = p + xlen;
+    while (p + 4 <= end) {
+        const slen = bytes[p + 2] | (bytes[p + 3] << 8);
+        if (bytes[p] === 66 && bytes[p + 1] === 67 && slen === 2) {
+            return (bytes[p + 4] | (bytes[p + 5] << 8)) + 1;
+        }
+        p += 4 + slen;
+    }
+    throw Error("Error inflating BGZF stream: missing BSIZE field");
+}
+
+/**
+ * Inflate a gzip chunk source incrementally.  Concatenated gzip members are supported.
+ */
+async function* gunzipChunks(chunks) {
+
+    let output = [];
+    let inflator;
+    for await (let chunk of chunks) {
+        if (!inflator || (inflator.ended && inflator.err === 0)) {
+            if (inflator && isZeroPadding(chunk)) continue;
+            inflator = newInflator(output);
+        }
+        inflator.push(chunk, false);
+        if (inflator.err) {
+            throw Error(`Error inflating gzip stream: ${inflator.msg}`);
+        }
+        if (output.length > 0) {
+            yield* output;
+            output.length = 0;
+        }
+    }
+}
+
+function newInflator(output) {
+    const inflator = new pako.Inflate();
+    inflator.onData = function (data) {
+        // pako reuses its output buffer unless it was filled
+        output.push(data.slice());
+    }
+    return inflator;
+}
+
+function isZeroPadding(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+        if (chunk[i] !== 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Return an ArrayBuffer holding exactly the bytes of the view, unbgzf reads blocks relative to the buffer start.
+ */
+function toArrayBuffer(bytes) {
+    return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength ? bytes.buffer : bytes.slice().buffer;
+}
+
+export {
+    registerDecompressor, removeDecompressor, resetDecompressors, getDecompressors, findDecompressor, isCompressed,
+    decompress, decompressChunks
+}
@@ -0,0 +1,310 @@
+/**
+ * Text decoding with byte order mark detection, explicit encodings, and an optional fallback for text that is not
+ * valid UTF-8.
+ *
+ *   options.encoding          - encoding label, default "utf-8".  "utf-16le", "utf-16be", "latin1" and
+ *                               "windows-1252" are always supported, other labels require TextDecoder support.  As
+ *                               in browsers, "latin1", "iso-8859-1" and "ascii" decode as windows-1252.
+ *   options.encodingFallback  - encoding used if UTF-8 text turns out to be invalid, e.g. "windows-1252" for files
+ *                               exported from Excel.  true selects windows-1252.
+ *
+ * A byte order mark (UTF-8, UTF-16LE, or UTF-16BE) takes precedence over options.encoding, and is removed.
+ */
+
+import {toUint8Array, concat} from "./byteUtils.js"
+
+const UTF8 = "utf-8";
+const UTF16LE = "utf-16le";
+const UTF16BE = "utf-16be";
+const WINDOWS_1252 = "windows-1252";
+
+const LABELS = {
+    "utf-8": UTF8, "utf8": UTF8, "unicode-1-1-utf-8": UTF8,
+    "utf-16le": UTF16LE, "utf-16": UTF16LE, "ucs-2": UTF16LE, "unicode": UTF16LE,
+    "utf-16be": UTF16BE, "unicodefffe": UTF16BE,
+    "windows-1252": WINDOWS_1252, "cp1252": WINDOWS_1252, "x-cp1252": WINDOWS_1252, "latin1": WINDOWS_1252,
+    "iso-8859-1": WINDOWS_1252, "iso8859-1": WINDOWS_1252, "l1": WINDOWS_1252, "ascii": WINDOWS_1252,
+    "us-ascii": WINDOWS_1252
+};
+
+// windows-1252 code points for bytes 0x80 - 0x9F.  Other bytes map to the same code point.
+const WINDOWS_1252_HIGH = [
+    0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D,
+    0x017D, 0x008F, 0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A,
+    0x0153, 0x009D, 0x017E, 0x0178
+];
+
+/**
+ * Decode bytes to a string.
+ *
+ * @param bytes - ArrayBuffer or typed array
+ * @param options - {encoding, encodingFallback}
+ * @returns {string}
+ */
+function decodeText(bytes, options) {
+    const decoder = createTextDecoder(options);
+    return decoder.decode(toUint8Array(bytes), {stream: false});
+}
+
+/**
+ * Create a decoder for text received in chunks.  decode(chunk, {stream: true}) returns the text decoded so far,
+ * a final decode() call without the stream flag flushes incomplete characters.
+ *
+ * @param options - {encoding, encodingFallback}
+ * @returns {{decode: function(Uint8Array=, {stream}=): string}}
+ */
+function createTextDecoder(options) {
+    options = options || {};
+    return new StreamingDecoder(normalizeEncoding(options.encoding || UTF8), fallbackEncoding(options.encodingFallback));
+}
+
+/**
+ * Return the canonical name for an encoding label.  Labels without a built-in decoder are returned lower-cased.
+ */
+function normalizeEncoding(label) {
+    const key = String(label).trim().toLowerCase();
+    return LABELS[key] || key;
+}
+
+function fallbackEncoding(fallback) {
+    if (!fallback) {
+        return undefined;
+    }
+    return fallback === true ? WINDOWS_1252 : normalizeEncoding(fallback);
+}
+
+/**
+ * Return the encoding indicated by a byte order mark, and the length of the mark, or undefined.
+ */
+function detectBOM(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return {encoding: UTF8, length: 3};
+    } else if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return {encoding: UTF16LE, length: 2};
+    } else if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return {encoding: UTF16BE, length: 2};
+    }
+    return undefined;
+}
+
+class StreamingDecoder {
+
+    constructor(encoding, fallback) {
+        this.encoding = encoding;
+        this.fallback = fallback;
+        this.head = undefined;         // Leading bytes held back until the byte order mark can be identified
+        this.decoder = undefined;
+    }
+
+    decode(chunk, options) {
+        const stream = options !== undefined && options.stream === true;
+        let bytes = chunk ? toUint8Array(chunk) : new Uint8Array(0);
+
+        if (!this.decoder) {
+            bytes = this.head ? concat([this.head, bytes]) : bytes;
+            if (bytes.length < 3 && stream && isBOMPrefix(bytes)) {
+                this.head = bytes;
+                return "";
+            }
+            this.head = undefined;
+            const bom = detectBOM(bytes);
+            if (bom) {
+                bytes = bytes.subarray(bom.length);
+            }
+            const encoding = bom ? bom.encoding : this.encoding;
+            const fallback = encoding === UTF8 ? this.fallback : undefined;
+            this.decoder = fallback ? new FallbackDecoder(fallback) : decoderFor(encoding);
+        }
+        return this.decoder.decode(bytes, stream);
+    }
+}
+
+function isBOMPrefix(bytes) {
+    const boms = [[0xEF, 0xBB, 0xBF], [0xFF, 0xFE], [0xFE, 0xFF]];
+    return boms.some(bom => bytes.every((b, i) => i < bom.length && bom[i] === b));
+}
+
+/**
+ * Decoder objects have a single method, decode(bytes, stream) => string.
+ */
+function decoderFor(encoding, fatal) {
+    switch (encoding) {
+        case UTF8:
+            return utf8Decoder(fatal);
+        case UTF16LE:
+            return new UTF16Decoder(true);
+        case UTF16BE:
+            return new UTF16Decoder(false);
+        case WINDOWS_1252:
+            return windows1252Decoder;
+        default:
+            if (typeof TextDecoder === 'undefined') {
+                throw Error(`Unsupported encoding: ${encoding}`);
+            }
+            let decoder;
+            try {
+                decoder = new TextDecoder(encoding, {ignoreBOM: true});
+            } catch (e) {
+                throw Error(`Unsupported encoding: ${encoding}`);
+            }
+            return {decode: (bytes, stream) => decoder.decode(bytes, {stream})};
+    }
+}
+
+function utf8Decoder(fatal) {
+    if (typeof TextDecoder === 'undefined') {
+        // Old browsers.  Characters split across chunks are not supported.
+        return {
+            decode: function (bytes) {
+                const text = decodeUTF8(bytes);
+                if (fatal && text.includes("\uFFFD")) {
+                    throw new TypeError("Invalid UTF-8");
+                }
+                return text;
+            }
+        };
+    }
+    const decoder = new TextDecoder(UTF8, {ignoreBOM: true, fatal: fatal === true});
+    return {decode: (bytes, stream) => decoder.decode(bytes, {stream})};
+}
+
+/**
+ * Decodes UTF-8 until an invalid sequence is found, then switches to the fallback encoding.  Streamed text already
+ * returned is not revisited, the chunk containing the invalid sequence and all following chunks are decoded with the
+ * fallback encoding.
+ */
+class FallbackDecoder {
+
+    constructor(fallback) {
+        this.fallback = fallback;
+        this.utf8 = utf8Decoder(true);
+        this.pending = new Uint8Array(0);     // Bytes of an incomplete UTF-8 character at the end of the last chunk
+        this.decoder = undefined;
+    }
+
+    decode(bytes, stream) {
+        if (this.decoder) {
+            return this.decoder.decode(bytes, stream);
+        }
+        try {
+            const text = this.utf8.decode(bytes, stream);
+            this.pending = stream ? incompleteTail(concat([this.pending, bytes])) : new Uint8Array(0);
+            return text;
+        } catch (e) {
+            this.decoder = decoderFor(this.fallback);
+            return this.decoder.decode(concat([this.pending, bytes]), stream);
+        }
+    }
+}
+
+/**
+ * Return the trailing bytes of an incomplete UTF-8 character, if any.
+ */
+function incompleteTail(bytes) {
+    const n = bytes.length;
+    for (let i = 1; i <= Math.min(3, n); i++) {
+        const b = bytes[n - i];
+        if ((b & 0xC0) === 0x80) continue;       // Continuation byte
+        const length = b >= 0xF0 ? 4 : b >= 0xE0 ? 3 : b >= 0xC0 ? 2 : 1;
+        return length > i ? bytes.slice(n - i) : new Uint8Array(0);
+    }
+    return new Uint8Array(0);
+}
+
+class UTF16Decoder {
+
+    constructor(littleEndian) {
+        this.littleEndian = littleEndian;
+        this.odd = undefined;       // Odd byte left over from the last chunk
+    }
+
+    decode(bytes, stream) {
+        if (this.odd !== undefined) {
+            bytes = concat([new Uint8Array([this.odd]), bytes]);
+            this.odd = undefined;
+        }
+        const length = bytes.length & ~1;
+        const parts = [];
+        const units = [];
+        for (let i = 0; i < length; i += 2) {
+            units.push(this.littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+            if (units.length === 8192) {
+                parts.push(String.fromCharCode.apply(null, units));
+                units.length = 0;
+            }
+        }
+        parts.push(String.fromCharCode.apply(null, units));
+        if (length < bytes.length) {
+            if (stream) {
+                this.odd = bytes[length];
+            } else {
+                parts.push("\uFFFD");
+            }
+        }
+        return parts.join("");
+    }
+}
+
+const windows1252Decoder = {
+    decode: function (bytes) {
+        const parts = [];
+        const codes = [];
+        for (let i = 0; i < bytes.length; i++) {
+            const b = bytes[i];
+            codes.push(b >= 0x80 && b <= 0x9F ? WINDOWS_1252_HIGH[b - 0x80] : b);
+            if (codes.length === 8192) {
+                parts.push(String.fromCharCode.apply(null, codes));
+                codes.length = 0;
+            }
+        }
+        parts.push(String.fromCharCode.apply(null, codes));
+        return parts.join("");
+    }
+}
+
+/**
+ * Use when TextDecoder is not available (primarily IE).
+ *
+ * From: https://gist.github.com/Yaffle/5458286
+ *
+ * @param octets
+ * @returns {string}
+ */
+function decodeUTF8(octets) {
+    var string = "";
+    var i = 0;
+    while (i < octets.length) {
+        var octet = octets[i];
+        var bytesNeeded = 0;
+        var codePoint = 0;
+        if (octet <= 0x7F) {
+            bytesNeeded = 0;
+            codePoint = octet & 0xFF;
+        } else if (octet <= 0xDF) {
+            bytesNeeded = 1;
+            codePoint = octet & 0x1F;
+        } else if (octet <= 0xEF) {
+            bytesNeeded = 2;
+            codePoint = octet & 0x0F;
+        } else if (octet <= 0xF4) {
+            bytesNeeded = 3;
+            codePoint = octet & 0x07;
+        }
+        if (octets.length - i - bytesNeeded > 0) {
+            var k = 0;
+            while (k < bytesNeeded) {
+                octet = octets[i + k + 1];
+                codePoint = (codePoint << 6) | (octet & 0x3F);
+                k += 1;
+            }
+        } else {
+            codePoint = 0xFFFD;
+            bytesNeeded = octets.length - i;
+        }
+        string += String.fromCodePoint(codePoint);
+        i += bytesNeeded + 1;
+    }
+    return string
+}
+
+export {decodeText, createTextDecoder, normalizeEncoding, detectBOM}
@@ -0,0 +1,130 @@
+/**
+ * Error types thrown by igvxhr.
+ */
+
+/**
+ * Thrown when a request is cancelled through an AbortSignal (options.signal).
+ */
+class AbortError extends Error {
+    constructor(message) {
+        super(message || "The operation was aborted");
+        this.name = "AbortError";
+    }
+}
+
+/**
+ * Thrown when the server responds with an error status.
+ *
+ *   status  - the HTTP status code
+ *   url     - the requested url
+ *   range   - the requested byte range {start, size}, if any
+ *   headers - response headers, keyed by lower-case name
+ *   body    - the response body as text, if any, e.g. a json error description
+ */
+class HttpError extends Error {
+    constructor(status, url, options) {
+        options = options || {};
+        super(options.message || `HTTP status ${status} loading ${url}`);
+        this.name = "HttpError";
+        this.status = status;
+        this.url = url;
+        this.range = options.range;
+        this.headers = options.headers || {};
+        this.body = options.body;
+    }
+}
+
+/**
+ * Thrown for status 416, a range starting beyond the end of the resource.
+ */
+class RangeNotSatisfiableError extends HttpError {
+    constructor(url, options) {
+        options = options || {};
+        super(416, url, Object.assign({message: `Unsatisfiable range ${formatRange(options.range)} for ${url}`}, options));
+        this.name = "RangeNotSatisfiableError";
+    }
+}
+
+/**
+ * Thrown when a resource requires authorization that could not be obtained, either because the server responded
+ * with 401 or 403, or because a sign-in (e.g. Google) failed or was blocked.  "status" is undefined in the
+ * latter case, and "reason" describes the failure.
+ */
+class AuthRequiredError extends HttpError {
+    constructor(status, url, options) {
+        options = options || {};
+        const message = options.message ||
+            (status === 403 ? `Access forbidden: ${url}` : `Authorization required: ${url}`);
+        super(status, url, Object.assign({}, options, {message}));
+        this.name = "AuthRequiredError";
+        this.reason = options.reason;
+    }
+}
+
+/**
+ * Thrown when the request fails without an HTTP response.  In browsers this includes CORS failures, which are
+ * not distinguishable from other network errors.
+ */
+class NetworkError extends Error {
+    constructor(url, options) {
+        options = options || {};
+        const cause = options.cause;
+        super(options.message ||
+            `Error accessing resource: ${url}` + (cause && cause.message ? ` (${cause.message})` : ""));
+        this.name = "NetworkError";
+        this.url = url;
+        this.range = options.range;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Thrown when a request exceeds options.timeout.
+ */
+class TimeoutError extends NetworkError {
+    constructor(url, options) {
+        super(url, Object.assign({message: `Timed out: ${url}`}, options));
+        this.name = "TimeoutError";
+    }
+}
+
+/**
+ * Thrown in consistency mode when a resource changes between reads, detected by a changed ETag or Last-Modified
+ * value (remote resources) or lastModified timestamp (local files).
+ *
+ *   url      - the url, or file name
+ *   previous - the validator recorded from the first read, e.g. {etag, lastModified}
+ *   current  - the validator of the failed read, undefined if the server responded 412 (Precondition Failed)
+ */
+class ResourceChangedError extends Error {
+    constructor(url, previous, current) {
+        super(`Resource has changed since it was first read: ${url}`);
+        this.name = "ResourceChangedError";
+        this.url = url;
+        this.previous = previous;
+        this.current = current;
+    }
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted.
+ *
+ * @param signal - an AbortSignal, or undefined
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError();
+    }
+}
+
+function formatRange(range) {
+    if (!range) {
+        return "";
+    }
+    return `bytes=${range.start}-${range.size ? range.start + range.size - 1 : ""}`;
+}
+
+export {
+    AbortError, HttpError, RangeNotSatisfiableError, AuthRequiredError, NetworkError, TimeoutError, ResourceChangedError,
+    throwIfAborted
+}
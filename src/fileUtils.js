@@ -83,7 +83,7 @@ function isFile(object) {
         return false;
     }
     return typeof object !== 'function' &&
-        (object instanceof File ||
+        ((typeof File !== 'undefined' && object instanceof File) ||
             (object.hasOwnProperty("name") && typeof object.slice === 'function' && typeof object.arrayBuffer === 'function'))
 }
 
@@ -0,0 +1,79 @@
+/**
+ * Remembers urls whose servers ignore Range headers, and keeps the full responses downloaded for them so later
+ * range reads can be answered by slicing.  Buffers are limited to maxBytes in total, least recently used buffers
+ * are evicted first.  Urls are remembered as range-incapable even after their buffer is evicted.
+ */
+class FullResourceCache {
+
+    /**
+     * @param options - {maxBytes}, default 256 MB.  Larger resources are not kept.
+     */
+    constructor(options) {
+        options = options || {};
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 256 * 1024 * 1024;
+        this.unsupported = new Set();
+        this.buffers = new Map();    // url -> ArrayBuffer, in order of last access
+        this.size = 0;
+    }
+
+    rangesUnsupported(url) {
+        return this.unsupported.has(url);
+    }
+
+    /**
+     * Record that the server for the url ignores Range headers, and keep the full response if it fits.
+     */
+    add(url, buffer) {
+        this.unsupported.add(url);
+        this.remove(url);
+        if (buffer instanceof ArrayBuffer && buffer.byteLength <= this.maxBytes) {
+            this.buffers.set(url, buffer);
+            this.size += buffer.byteLength;
+            this.evict();
+        }
+    }
+
+    /**
+     * Return the full response for the url, or undefined if it is not cached.
+     */
+    get(url) {
+        const buffer = this.buffers.get(url);
+        if (buffer) {
+            this.buffers.delete(url);
+            this.buffers.set(url, buffer);
+        }
+        return buffer;
+    }
+
+    remove(url) {
+        const buffer = this.buffers.get(url);
+        if (buffer) {
+            this.buffers.delete(url);
+            this.size -= buffer.byteLength;
+        }
+    }
+
+    evict() {
+        for (let [url, buffer] of this.buffers) {
+            if (this.size <= this.maxBytes) break;
+            this.buffers.delete(url);
+            this.size -= buffer.byteLength;
+        }
+    }
+
+    /**
+     * Forget the url, or all urls if undefined.
+     */
+    clear(url) {
+        if (url === undefined) {
+            this.unsupported.clear();
+            this.buffers.clear();
+            this.size = 0;
+        } else {
+            this.unsupported.delete(url);
+            this.remove(url);
+        }
+    }
+}
+
+export default FullResourceCache
@@ -0,0 +1,181 @@
+import {getExpiration} from "../signedUrls.js"
+
+// Support for GA4GH Data Repository Service (DRS) uris, https://ga4gh.github.io/data-repository-service-schemas/
+//
+//   drs://hostname/object_id     - hostname-based uri, resolved at https://hostname/ga4gh/drs/v1/objects/object_id
+//   drs://prefix:accession       - compact identifier, the prefix is mapped to a DRS server with registerPrefix or
+//                                  resolved through the identifiers.org resolver
+//
+// The object record is fetched and an access method selected, preferring https.  Methods without an access_url are
+// resolved through the access endpoint (objects/{id}/access/{access_id}).  Resolved urls are cached until they
+// expire, as given by the url signature or the default maxAge.
+
+const DRS_PATH = "/ga4gh/drs/v1/objects/";
+
+const IDENTIFIERS_RESOLVER = "https://resolver.api.identifiers.org/";
+
+// Access method types in order of preference.  s3 and gs urls are supported by igvxhr directly.
+const ACCESS_TYPES = ["https", "http", "s3", "gs"];
+
+const drs = {
+
+    prefixes: {},
+
+    cache: new Map(),
+
+    /**
+     * Milliseconds a resolved url is cached when its expiration is unknown.
+     */
+    maxAge: 15 * 60 * 1000,
+
+    /**
+     * Urls are re-resolved this many milliseconds before they expire.
+     */
+    expirationMargin: 60 * 1000,
+
+    isDrsURI: function (url) {
+        return typeof url === 'string' && url.startsWith("drs://");
+    },
+
+    /**
+     * Map a compact identifier prefix to a DRS server.
+     *
+     * @param prefix - e.g. "dg.4503"
+     * @param objectsURL - base url for object records, e.g. https://drs.example.org/ga4gh/drs/v1/objects/, or a
+     *                     function (accession) => object record url
+     */
+    registerPrefix: function (prefix, objectsURL) {
+        this.prefixes[prefix.toLowerCase()] = objectsURL;
+    },
+
+    removePrefix: function (prefix) {
+        delete this.prefixes[prefix.toLowerCase()];
+    },
+
+    /**
+     * Clear resolved urls for the uri, or all uris if undefined.
+     */
+    clearCache: function (uri) {
+        if (uri === undefined) {
+            this.cache.clear();
+        } else {
+            this.cache.delete(uri);
+        }
+    },
+
+    /**
+     * Resolve a DRS uri to a url and request headers.
+     *
+     * @param uri - drs:// uri
+     * @param loadJson - async function (url, options) => json, used to fetch object records and access urls
+     * @param options - options for the DRS requests, e.g. oauthToken, headers, signal
+     * @returns {Promise<{url, headers, expires}>}
+     */
+    resolve: async function (uri, loadJson, options) {
+
+        const cached = this.cache.get(uri);
+        if (cached && (cached.expires === undefined || Date.now() < cached.expires - this.expirationMargin)) {
+            return cached;
+        }
+
+        const objectURL = await this.objectURL(uri, loadJson, options);
+        const object = await loadJson(objectURL, options);
+        const accessMethods = (object && object.access_methods) || [];
+
+        let resolved;
+        for (let method of sortAccessMethods(accessMethods)) {
+            if (method.access_url && method.access_url.url) {
+                resolved = accessURL(method.access_url);
+            } else if (method.access_id) {
+                const accessEndpoint = `${objectURL}/access/${encodeURIComponent(method.access_id)}`;
+                resolved = accessURL(await loadJson(accessEndpoint, options));
+            }
+            if (resolved) break;
+        }
+        if (!resolved) {
+            throw Error(`No supported access method for DRS object ${uri}`);
+        }
+
+        const expires = getExpiration(resolved.url);
+        resolved.expires = expires !== undefined ? expires : Date.now() + this.maxAge;
+        this.cache.set(uri, resolved);
+        return resolved;
+    },
+
+    /**
+     * Return the object record url for a DRS uri.
+     */
+    objectURL: async function (uri, loadJson, options) {
+        const path = uri.substring("drs://".length);
+        const slash = path.indexOf("/");
+        if (slash > 0) {
+            return `https://${path.substring(0, slash)}${DRS_PATH}${path.substring(slash + 1)}`;
+        }
+
+        // Compact identifier
+        const colon = path.indexOf(":");
+        if (colon <= 0) {
+            throw Error(`Invalid DRS uri: ${uri}`);
+        }
+        const prefix = path.substring(0, colon).toLowerCase();
+        const accession = path.substring(colon + 1);
+        let objectsURL = this.prefixes[prefix];
+        if (objectsURL === undefined) {
+            objectsURL = await resolvePrefix(prefix, accession, loadJson, options);
+            this.prefixes[prefix] = objectsURL;
+        }
+        if (typeof objectsURL === 'function') {
+            return objectsURL(accession);
+        }
+        return objectsURL.endsWith("/") ? objectsURL + accession : `${objectsURL}/${accession}`;
+    }
+}
+
+function sortAccessMethods(accessMethods) {
+    const rank = (m) => {
+        const idx = ACCESS_TYPES.indexOf(m.type);
+        return (idx < 0 ? ACCESS_TYPES.length : idx) * 2 + (m.access_url ? 0 : 1);
+    }
+    return accessMethods
+        .filter(m => ACCESS_TYPES.includes(m.type))
+        .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Convert a DRS AccessURL ({url, headers: ["Name: value"]}) to {url, headers}.
+ */
+function accessURL(access) {
+    if (!access || !access.url) {
+        return undefined;
+    }
+    const headers = {};
+    for (let h of access.headers || []) {
+        const idx = h.indexOf(":");
+        if (idx > 0) {
+            headers[h.substring(0, idx).trim()] = h.substring(idx + 1).trim();
+        }
+    }
+    return {url: access.url, headers};
+}
+
+/**
+ * Resolve a compact identifier prefix through identifiers.org.  The resolved url for the accession has the form
+ * https://host/ga4gh/drs/v1/objects/ACCESSION, the accession is replaced with a function argument.
+ */
+async function resolvePrefix(prefix, accession, loadJson, options) {
+    const json = await loadJson(`${IDENTIFIERS_RESOLVER}${prefix}:${accession}`, {signal: options && options.signal});
+    const resources = json && json.payload && json.payload.resolvedResources;
+    if (!resources || resources.length === 0) {
+        throw Error(`Unknown DRS compact identifier prefix: ${prefix}`);
+    }
+    const resolvedURL = resources[0].compactIdentifierResolvedUrl;
+    const idx = resolvedURL.lastIndexOf(accession);
+    if (idx < 0) {
+        return () => resolvedURL;
+    }
+    const head = resolvedURL.substring(0, idx);
+    const tail = resolvedURL.substring(idx + accession.length);
+    return (acc) => head + acc + tail;
+}
+
+export default drs
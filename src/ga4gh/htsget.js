@@ -0,0 +1,191 @@
+import igvxhr from "../igvxhr.js"
+import {HttpError} from "../errors.js"
+import {decodeDataURI} from "../bgzf.js"
+import {toChunks} from "../streamUtils.js"
+
+/**
+ * Client for the GA4GH htsget protocol (http://samtools.github.io/hts-specs/htsget.html).  A ticket is requested
+ * for a region of a reads or variants resource, then the data blocks listed in the ticket are fetched and
+ * concatenated.  Blocks are http(s) urls, fetched with the headers given in the ticket, or inline data: URIs.
+ *
+ *   const bam = await Htsget.load("https://htsget.example.org", "NA12878", {
+ *       type: "reads", referenceName: "chr1", start: 10000, end: 20000
+ *   })
+ */
+
+const DEFAULT_FORMATS = {reads: "BAM", variants: "VCF"};
+
+/**
+ * Return the ticket url for a resource.
+ *
+ * @param endpoint - htsget server base url, e.g. https://htsget.example.org
+ * @param id - resource id
+ * @param options - {type, format, referenceName, start, end, class, fields, tags, notags}.  type is "reads"
+ *                  (default) or "variants", format defaults to BAM for reads and VCF for variants.  start and end
+ *                  are 0-based, end exclusive, as defined by the protocol.
+ */
+function ticketURL(endpoint, id, options) {
+    options = options || {};
+    const type = options.type || "reads";
+    if (!DEFAULT_FORMATS[type]) {
+        throw Error(`Unknown htsget type: ${type}`);
+    }
+    const params = [`format=${encodeURIComponent(options.format || DEFAULT_FORMATS[type])}`];
+    if (options.class) {
+        params.push(`class=${encodeURIComponent(options.class)}`);
+    }
+    if (options.referenceName !== undefined) {
+        params.push(`referenceName=${encodeURIComponent(options.referenceName)}`);
+        if (options.start !== undefined) {
+            params.push(`start=${Math.floor(options.start)}`);
+        }
+        if (options.end !== undefined) {
+            params.push(`end=${Math.ceil(options.end)}`);
+        }
+    }
+    for (let key of ["fields", "tags", "notags"]) {
+        if (options[key] !== undefined) {
+            const value = Array.isArray(options[key]) ? options[key].join(",") : options[key];
+            params.push(`${key}=${encodeURIComponent(value)}`);
+        }
+    }
+    const base = endpoint.endsWith("/") ? endpoint.substring(0, endpoint.length - 1) : endpoint;
+    return `${base}/${type}/${encodeURIComponent(id)}?${params.join("&")}`;
+}
+
+/**
+ * Request a ticket.
+ *
+ * @param url - ticket url, see ticketURL()
+ * @param options - igvxhr options for the ticket request, e.g. headers, oauthToken, signal
+ * @returns {Promise<{format, urls: [{url, headers, class}], md5}>}
+ */
+async function getTicket(url, options) {
+    let json;
+    try {
+        json = await igvxhr.loadJson(url, Object.assign({}, options));
+    } catch (e) {
+        // Errors are reported with a 4xx status and the error in the body
+        const htsget = e instanceof HttpError ? errorDescription(e.body) : undefined;
+        if (htsget) {
+            throw new HttpError(e.status, url, {
+                message: `htsget error ${htsget.error}: ${htsget.message}`,
+                headers: e.headers,
+                body: e.body
+            });
+        }
+        throw e;
+    }
+    if (!json || !json.htsget) {
+        throw Error(`Invalid htsget response from ${url}`);
+    }
+    if (json.htsget.error) {
+        throw Error(`htsget error ${json.htsget.error}: ${json.htsget.message}`);
+    }
+    if (!Array.isArray(json.htsget.urls)) {
+        throw Error(`htsget ticket from ${url} does not contain urls`);
+    }
+    return json.htsget;
+}
+
+/**
+ * Return the htsget object of an error response body, undefined if the body is not an htsget error.
+ */
+function errorDescription(body) {
+    try {
+        const json = body ? JSON.parse(body) : undefined;
+        return json && json.htsget && json.htsget.error ? json.htsget : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Fetch all blocks of a ticket and concatenate them.
+ *
+ * @param ticket - ticket returned by getTicket
+ * @param options - {signal}
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function loadData(ticket, options) {
+    const signal = options && options.signal;
+    const blocks = await Promise.all(ticket.urls.map(async function (block) {
+        if (block.url.startsWith("data:")) {
+            return decodeBlock(block.url);
+        } else {
+            const buffer = await igvxhr.loadArrayBuffer(block.url, {headers: block.headers || {}, signal});
+            return new Uint8Array(buffer);
+        }
+    }));
+    let length = 0;
+    for (let b of blocks) {
+        length += b.length;
+    }
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (let b of blocks) {
+        result.set(b, offset);
+        offset += b.length;
+    }
+    return result.buffer;
+}
+
+/**
+ * Fetch the blocks of a ticket in order, as a stream of Uint8Array chunks.
+ *
+ * @param ticket - ticket returned by getTicket
+ * @param options - {signal}
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+async function* streamData(ticket, options) {
+    const signal = options && options.signal;
+    for (let block of ticket.urls) {
+        if (block.url.startsWith("data:")) {
+            yield decodeBlock(block.url);
+        } else {
+            const body = await igvxhr.load(block.url, {headers: block.headers || {}, responseType: "stream", signal});
+            yield* toChunks(body);
+        }
+    }
+}
+
+/**
+ * Request a ticket and return the concatenated data.
+ *
+ * @param endpoint - htsget server base url
+ * @param id - resource id
+ * @param options - ticket parameters (see ticketURL), plus igvxhr options for the ticket request
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function load(endpoint, id, options) {
+    const ticket = await getTicket(ticketURL(endpoint, id, options), requestOptions(options));
+    return loadData(ticket, options);
+}
+
+/**
+ * Request a ticket and return the data as a stream of Uint8Array chunks.
+ *
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+async function* stream(endpoint, id, options) {
+    const ticket = await getTicket(ticketURL(endpoint, id, options), requestOptions(options));
+    yield* streamData(ticket, options);
+}
+
+function decodeBlock(dataURI) {
+    const data = decodeDataURI(dataURI);
+    return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+}
+
+function requestOptions(options) {
+    options = options || {};
+    const result = {};
+    for (let key of ["headers", "oauthToken", "signal", "withCredentials", "timeout", "retry"]) {
+        if (options[key] !== undefined) {
+            result[key] = options[key];
+        }
+    }
+    return result;
+}
+
+export {ticketURL, getTicket, loadData, streamData, load, stream}
@@ -24,14 +24,48 @@
  */
 
 import oauth from "./oauth.js";
-import {ungzip, isgzipped, decodeDataURI} from './bgzf.js';
+import {decodeDataURI} from './bgzf.js';
 import * as StringUtils from './stringUtils.js'
 import * as FileUtils from './fileUtils.js'
 import * as URIUtils from './uriUtils.js'
 import * as GoogleUtils from './google/googleUtils.js'
 import * as GoogleAuth from './google/googleAuth.js'
 import * as GoogleDrive from './google/googleDrive.js';
-import Throttle from "./throttle.js"
+import * as S3Utils from './aws/s3Utils.js'
+import s3 from './aws/s3.js'
+import {signRequest} from './aws/sigv4.js'
+import * as AzureUtils from './azure/azureUtils.js'
+import azure from './azure/azure.js'
+import {setRateLimit, setRateLimits, removeRateLimit, getRateLimits, resetRateLimits, getThrottle} from "./rateLimits.js"
+import {toChunks, sliceChunks, splitLines} from "./streamUtils.js"
+import {isLocalResource, getLocalResource} from "./localResource.js"
+import {decodeText} from "./encoding.js"
+import {
+    registerDecompressor, removeDecompressor, resetDecompressors, getDecompressors, decompress, decompressChunks
+} from "./decompressors.js"
+import {registerTransport, setTransport, getTransport} from "./transport/transports.js"
+import MockTransport from "./transport/mockTransport.js"
+import {parseContentRange} from "./transport/transportUtils.js"
+import {
+    AbortError, HttpError, RangeNotSatisfiableError, AuthRequiredError, NetworkError, TimeoutError, ResourceChangedError,
+    throwIfAborted
+} from "./errors.js"
+import ResourceValidators from "./resourceValidators.js"
+import InterceptorChain from "./interceptors.js"
+import InflightRequests from "./inflightRequests.js"
+import drs from "./ga4gh/drs.js"
+import ProgressMonitor from "./progress.js"
+import {
+    registerUrlMapper, removeUrlMapper, setDefaultUrlMappersEnabled, resetUrlMappers, getUrlMappers, mapUrl
+} from "./urlMappers.js"
+import RangeCache from "./rangeCache.js"
+import PersistentCache from "./persistentCache.js"
+import FullResourceCache from "./fullResourceCache.js"
+import {isExpiring, isPresigned, SignedUrlRefresher} from "./signedUrls.js"
+import {rangeHeader, getBoundary, parseMultipart, extractRange} from "./multipart.js"
+import {
+    DEFAULT_RETRY_POLICY, resolveRetryPolicy, isRetryableMethod, isRetryableStatus, isRetryableError, retryDelay, sleep
+} from "./retry.js"
 
 var NONE = 0;
 var GZIP = 1;
@@ -39,9 +73,17 @@ var BGZF = 2;
 var UNKNOWN = 3;
 let RANGE_WARNING_GIVEN = false;
 
-const googleThrottle = new Throttle({
-    requestsPerSecond: 8
-})
+const resourceValidators = new ResourceValidators();
+const tokenFunctionIds = new WeakMap();    // oauth token function -> id, see rangeCacheIdentity
+let nextTokenFunctionId = 1;
+
+const interceptors = new InterceptorChain();
+
+const inflightRequests = new InflightRequests();
+
+const listeners = new Map();
+
+const signedUrlRefresher = new SignedUrlRefresher();
 
 const igvxhr = {
 
@@ -51,18 +93,291 @@ const igvxhr = {
         this.apiKey = key;
     },
 
+    rangeCache: undefined,
+
+    /**
+     * Enable the in-memory range block cache.  Range requests for the same url are merged and served from memory
+     * where possible, see rangeCache.js.  Individual calls can bypass the cache with options.cache = false.
+     *
+     * @param options - {maxBytes, mergeGap, maxMergeSize}
+     */
+    enableRangeCache: function (options) {
+        this.rangeCache = new RangeCache(options);
+    },
+
+    disableRangeCache: function () {
+        this.rangeCache = undefined;
+    },
+
+    /**
+     * Clear cached range blocks for the url, or for all urls if url is undefined.
+     */
+    clearRangeCache: function (url) {
+        if (this.rangeCache) {
+            this.rangeCache.clear(url);
+        }
+    },
+
+    /**
+     * Identical concurrent GET requests (same resolved url, range, responseType, and credentials) share a single
+     * request.  Set to false to disable, or pass options.dedupe = false to opt out individual calls.
+     */
+    dedupeRequests: true,
+
+    /**
+     * Urls whose servers ignore Range headers, and their full responses, see fullResourceCache.js.  The size limit
+     * can be changed with igvxhr.fullResourceCache.maxBytes.
+     */
+    fullResourceCache: new FullResourceCache(),
+
+    /**
+     * Function (originalUrl) => url or Promise<url>, returning a new presigned url for an expiring one.  If set,
+     * presigned urls (S3, GCS, Azure SAS) are refreshed shortly before they expire, or after a 400/403 response that
+     * looks like an expired signature, and the request is retried with the new url.  The new url is used for later
+     * requests for the original url.  Individual calls can supply options.refreshUrl.
+     */
+    refreshUrl: undefined,
+
+    setRefreshUrl: function (refreshUrl) {
+        this.refreshUrl = refreshUrl;
+    },
+
+    /**
+     * Forget refreshed urls for the original url, or all urls if undefined.
+     */
+    clearRefreshedUrls: function (url) {
+        signedUrlRefresher.clear(url);
+    },
+
+    persistentCache: undefined,
+
+    /**
+     * Enable the persistent cache.  Responses are stored in IndexedDB or the Cache API (or options.store), and
+     * revalidated with conditional requests before reuse, see persistentCache.js.  Presigned urls and requests with
+     * an Authorization header are not cached unless options.allowSigned / options.allowAuthorized are set.
+     * Individual calls can bypass the cache with options.cache = false.
+     *
+     * @param options - {store, maxBytes, maxAge, allowSigned, allowAuthorized}
+     */
+    enablePersistentCache: function (options) {
+        this.persistentCache = new PersistentCache(options);
+    },
+
+    disablePersistentCache: function () {
+        this.persistentCache = undefined;
+    },
+
+    /**
+     * Clear cached content, the persistent cache and the in-memory range and full resource caches, for the url or
+     * for all urls if url is undefined.
+     *
+     * @returns {Promise}
+     */
+    clearCache: async function (url) {
+        this.clearRangeCache(url);
+        this.fullResourceCache.clear(url);
+        if (this.persistentCache) {
+            await this.persistentCache.clear(url === undefined ? undefined : resolveURL(url));
+        }
+    },
+
+    consistencyCheck: false,
+
+    /**
+     * Enable or disable consistency mode.  In consistency mode the ETag or Last-Modified value of the first response
+     * for each url is recorded, and later range reads are conditional on it (If-Match).  A ResourceChangedError is
+     * thrown if the resource has changed.  Local files are checked by lastModified.  Individual calls can override
+     * the global setting with options.consistency.
+     */
+    setConsistencyCheck: function (enabled) {
+        this.consistencyCheck = enabled === true;
+    },
+
+    /**
+     * Forget validators recorded in consistency mode for the url, or all urls if undefined, e.g. to accept a new
+     * version of a resource after a ResourceChangedError.
+     */
+    clearResourceValidators: function (url) {
+        resourceValidators.clear(url);
+    },
+
+    retryPolicy: Object.assign({}, DEFAULT_RETRY_POLICY),
+
+    /**
+     * Set the global retry policy.  Properties not specified keep their default values, see retry.js.
+     *
+     * @param policy - e.g. {maxAttempts: 4, initialDelay: 250, retryOn: [429, 503]}
+     */
+    setRetryPolicy: function (policy) {
+        this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, policy);
+    },
+
+    /**
+     * Aggregate progress of all requests in flight.  Use igvxhr.progress.addListener(callback) to receive
+     * {loaded, total, requests, url} events, see progress.js.
+     */
+    progress: new ProgressMonitor(),
+
     load: load,
 
+    /**
+     * Register a listener for igvxhr events.  Events are
+     *
+     *   "warning" - {type, message, url}, conditions the embedding application might want to show to the user.
+     *               Types are "rangeIgnored" (server ignored a Range header) and "popupBlocked" (Google sign-in
+     *               popup was blocked).  If no warning listener is registered warnings are logged to the console.
+     *   "fullDownload" - {url, size}, a range was requested but the server does not support ranges, the resource
+     *               is downloaded in full.  Full responses are kept in memory (see fullResourceCache) and later
+     *               range requests for the url are answered from them.
+     *
+     * @param event
+     * @param listener
+     */
+    on: function (event, listener) {
+        if (!listeners.has(event)) {
+            listeners.set(event, new Set());
+        }
+        listeners.get(event).add(listener);
+    },
+
+    off: function (event, listener) {
+        if (listeners.has(event)) {
+            listeners.get(event).delete(listener);
+        }
+    },
+
+    /**
+     * Register a url rewrite rule, e.g. to redirect to an internal mirror.  See urlMappers.js.
+     *
+     *   igvxhr.registerUrlMapper("//data.example.org", "//mirror.example.org", {name: "mirror"})
+     *   igvxhr.registerUrlMapper(/^ftp:\/\//, "https://")
+     *
+     * @param matcher - string, RegExp, or function (url) => boolean
+     * @param transform - string or function (url, match) => url
+     * @param options - {name, order}
+     * @returns the rule name, for removeUrlMapper
+     */
+    registerUrlMapper: registerUrlMapper,
+
+    removeUrlMapper: removeUrlMapper,
+
+    /**
+     * Enable or disable the built-in rewrites (Dropbox, Google Drive, Broad Institute igvdata, NCBI GEO ftp).
+     */
+    setDefaultUrlMappersEnabled: setDefaultUrlMappersEnabled,
+
+    resetUrlMappers: resetUrlMappers,
+
+    getUrlMappers: getUrlMappers,
+
+    /**
+     * Add a request / response interceptor.  See interceptors.js for the interceptor interface.
+     *
+     *   const remove = igvxhr.use({
+     *       request: (request) => { request.headers["X-Trace-Id"] = newTraceId() },
+     *       response: (response, request) => console.log(request.url, response.status)
+     *   })
+     *
+     * Local resources are not intercepted, see localResource.js.
+     *
+     * @param interceptor - {request, response, error}
+     * @param options - {order}
+     * @returns {function} a function that removes the interceptor
+     */
+    use: function (interceptor, options) {
+        return interceptors.use(interceptor, options);
+    },
+
+    /**
+     * Remove an interceptor added with use().
+     */
+    eject: function (interceptor) {
+        return interceptors.eject(interceptor);
+    },
+
+    clearInterceptors: function () {
+        interceptors.clear();
+    },
+
+    /**
+     * Set the rate and concurrency limits for a host pattern.  See rateLimits.js.  Google Drive and Dropbox are
+     * limited to 8 requests per second by default.
+     *
+     *   igvxhr.setRateLimit("*.example.org", {maxConcurrent: 4})
+     *   igvxhr.setRateLimit("data.example.com", {requestsPerSecond: 50, burst: 10})
+     *
+     * @param pattern - host pattern, may contain "*" wildcards
+     * @param policy - {requestsPerSecond, burst, maxConcurrent}, or undefined to remove the limits
+     */
+    setRateLimit: setRateLimit,
+
+    /**
+     * Set rate limits from a configuration object keyed by host pattern.
+     */
+    setRateLimits: setRateLimits,
+
+    removeRateLimit: removeRateLimit,
+
+    getRateLimits: getRateLimits,
+
+    /**
+     * Remove all custom rate limits and restore the defaults.
+     */
+    resetRateLimits: resetRateLimits,
+
+    /**
+     * Register a decompressor for loadString and loadLines, selected by the magic bytes at the start of the data.
+     * gzip, BGZF, bzip2, and zstd are built in.  See decompressors.js for the decompressor interface.
+     *
+     * @param decompressor - {name, magic, test, headerSize, decompress, stream}
+     */
+    registerDecompressor: registerDecompressor,
+
+    removeDecompressor: removeDecompressor,
+
+    /**
+     * Remove application decompressors and restore the built-in decompressors.
+     */
+    resetDecompressors: resetDecompressors,
+
+    /**
+     * Return the names of the registered decompressors, in the order they are tried.
+     */
+    getDecompressors: getDecompressors,
+
+    /**
+     * Register a custom transport.  See transport/transports.js for the transport interface.
+     */
+    registerTransport: registerTransport,
+
+    /**
+     * Select the transport by registered name ("xhr", "fetch", "node", or a custom name) or object.  Pass
+     * undefined to restore automatic selection.
+     */
+    setTransport: setTransport,
+
+    /**
+     * Answer requests from a route table instead of the network, for testing.  Routes map url patterns to fixture
+     * files, response bodies, response objects, or handler functions, see transport/mockTransport.js.  Returns the
+     * transport, its "requests" property records every request.  Restore the default with setTransport(undefined).
+     * Local resources are not routed through the transport, see localResource.js.
+     *
+     * @param routes - {pattern: target}, [[pattern, target]], or Map
+     * @param options - {latency}
+     * @returns {MockTransport}
+     */
+    setMockTransport: function (routes, options) {
+        const transport = new MockTransport(routes, options);
+        setTransport(transport);
+        return transport;
+    },
+
     loadArrayBuffer: async function (url, options) {
         options = options || {};
         if (!options.responseType) {
             options.responseType = "arraybuffer";
         }
-        if (FileUtils.isFile(url)) {
-            return loadFileSlice(url, options);
-        } else {
-            return load(url, options);
-        }
+        return load(url, options);
     },
 
     loadJson: async function (url, options) {
@@ -79,14 +394,57 @@ const igvxhr = {
         }
     },
 
+    /**
+     * Return metadata for a resource without downloading it.  Remote urls are queried with a HEAD request,
+     * falling back to a 1-byte range request if HEAD is not allowed (e.g. urls presigned for GET).
+     *
+     * @param url - url, local resource, data URI, or function / promise resolving to one of these.  Local resources
+     *              are File, Blob, FileSystemFileHandle, LocalResource, and under Node file paths, see localResource.js.
+     * @param options - request options, e.g. headers, oauthToken, signal
+     * @returns {Promise<{size, etag, lastModified, acceptsRanges, contentType}>}  Properties are undefined when
+     *          unknown.  "lastModified" is a Date.
+     */
+    getResourceInfo: getResourceInfo,
+
+    /**
+     * Load a text resource.  Compressed resources are decompressed, see registerDecompressor.  Text is decoded as
+     * UTF-8 unless it starts with a byte order mark or options.encoding is given.
+     *
+     * @param path - url, local resource, data URI, or function / promise resolving to one of these
+     * @param options - request options, plus encoding (e.g. "utf-16le", "windows-1252") and encodingFallback, the
+     *                  encoding to use if the text is not valid UTF-8 (true for windows-1252).  See encoding.js.
+     * @returns {Promise<string>}
+     */
     loadString: async function (path, options) {
-        options = options || {};
-        if (path instanceof File) {
-            return loadStringFromFile(path, options);
-        } else {
-            return loadStringFromUrl(path, options);
-        }
-    }
+        options = Object.assign({}, options, {responseType: "arraybuffer"});
+        const data = await load(path, options);
+        return arrayBufferToString(data, options);
+    },
+
+    /**
+     * Read a text resource line by line without loading it into memory.  Compressed resources (gzip, BGZF, bzip2,
+     * zstd, or formats added with registerDecompressor) are decompressed as they stream.
+     *
+     *   for await (let line of igvxhr.loadLines(url)) { ... }
+     *
+     * @param path - url, local resource, data URI, or function / promise resolving to one of these
+     * @param options - request options, e.g. headers, range, signal, plus encoding and encodingFallback as for
+     *                  loadString
+     * @returns {AsyncIterable<string>} lines, without line terminators
+     */
+    loadLines: loadLines,
+
+    /**
+     * Load several byte ranges of a resource with a single multiple-range request (Range: bytes=a-b,c-d,...).
+     * If the server answers with a single range, ranges it does not contain are requested separately.  If the
+     * server ignores ranges the ranges are sliced from the full response.
+     *
+     * @param url - url, local resource, data URI, or function / promise resolving to one of these
+     * @param ranges - array of {start, size}
+     * @param options - request options, e.g. headers, signal
+     * @returns {Promise<ArrayBuffer[]>} one buffer per range, in the order given
+     */
+    loadRanges: loadRanges
 }
 
 async function load(url, options) {
@@ -97,8 +455,11 @@ async function load(url, options) {
     // Resolve functions, promises, and functions that return promises
     url = await (typeof url === 'function' ? url() : url);
 
-    if (FileUtils.isFile(url)) {
-        return loadFileSlice(url, options);
+    throwIfAborted(options.signal);
+
+    const localResource = getLocalResource(url);
+    if (localResource) {
+        return loadLocalResource(localResource, options);
     } else if (typeof url.startsWith === 'function') {   // Test for string
         if (url.startsWith("data:")) {
             const buffer = decodeDataURI(url).buffer;
@@ -109,266 +470,741 @@ async function load(url, options) {
                 return buffer;
             }
         } else {
-            if (url.startsWith("https://drive.google.com")) {
-                url = GoogleUtils.driveDownloadURL(url);
-            }
-            if (GoogleUtils.isGoogleDriveURL(url) || url.startsWith("https://www.dropbox.com")) {
-                return googleThrottle.add(async function () {
-                    return loadURL(url, options)
-                })
-            } else {
-                return loadURL(url, options);
-            }
+            // Google Drive sharing links are rewritten by the "googleDrive" url mapper, see urlMappers.js
+            return loadURL(url, options);
         }
     } else {
-        throw Error(`url must be either a 'File', 'string', 'function', or 'Promise'.  Actual type: ${urlType}`);
+        throw Error(`url must be either a 'File', 'Blob', 'FileSystemFileHandle', 'string', 'function', or 'Promise'.  Actual type: ${urlType}`);
     }
 }
 
 async function loadURL(url, options) {
 
-    //console.log(`${Date.now()}   ${url}`)
+    options = options || {};
+
+    if (useRangeCache(options)) {
+        return igvxhr.rangeCache.get(url, options.range, function (range, signal) {
+            return fetchURL(url, Object.assign({}, options, {range, signal}));
+        }, options.signal, rangeCacheIdentity(options));
+    } else {
+        return fetchURL(url, options);
+    }
+}
+
+async function fetchURL(url, options) {
+
+    const range = options.range;
+    const fullResourceCache = igvxhr.fullResourceCache;
+
+    if (range && fullResourceCache.rangesUnsupported(url)) {
+        // Known to ignore Range headers, use the full response from a previous request or download it again
+        const buffer = fullResourceCache.get(url);
+        if (buffer) {
+            return sliceFullResponse(buffer, range, options.responseType);
+        }
+        emit("fullDownload", {url});
+        const response = await requestURL(url, Object.assign({}, options, {range: undefined}));
+        fullResourceCache.add(url, response.response);
+        return sliceFullResponse(response.response, range, options.responseType);
+    }
+
+    const response = await requestURL(url, options);
+
+    if (range && response.status === 200) {
+        const body = response.response;
+        const length = options.responseType === "stream" ? parseInt(response.headers["content-length"]) :
+            body.byteLength !== undefined ? body.byteLength : body.length;
+        fullResourceCache.add(url, body);
+        emit("fullDownload", {url, size: isNaN(length) ? undefined : length});
+
+        // For small files a range starting at 0 can return the whole file => 200
+        // Provide just the slice we asked for, throw out the rest quietly
+        // If file is large warn user
+        if (length > 100000 && range.start !== 0 && !RANGE_WARNING_GIVEN) {
+            RANGE_WARNING_GIVEN = true;
+            warn("rangeIgnored", `Warning: Range header ignored for URL: ${url}.  This can have performance impacts.`, url);
+        }
+        return sliceFullResponse(body, range, options.responseType);
+    } else {
+        return response.response;
+    }
+}
+
+/**
+ * Return the requested range of a full response, [start, start + size), or to the end if the range has no size.
+ */
+function sliceFullResponse(body, range, responseType) {
+    if (responseType === "stream" && !(body instanceof ArrayBuffer)) {
+        return sliceChunks(toChunks(body), range.start, range.size ? range.start + range.size : Infinity);
+    }
+    const length = body.byteLength !== undefined ? body.byteLength : body.length;
+    const end = range.size ? Math.min(length, range.start + range.size) : length;
+    const slice = body.slice(range.start, end);
+    return responseType === "stream" ? toChunks(slice) : slice;
+}
+
+/**
+ * Apply url mappings and translate cloud storage urls (s3://, az://) to https.
+ */
+function resolveURL(url) {
     url = mapUrl(url);
+    if (S3Utils.isS3URL(url)) {
+        url = S3Utils.translateS3URL(url, s3.getConfig(S3Utils.parseS3URL(url).bucket));
+    } else if (url.startsWith("az://")) {
+        url = AzureUtils.translateAzureURL(url);
+    }
+    return url;
+}
 
-    options = options || {};
+/**
+ * Send the request for the url, applying url mappings, cloud storage translations, and authorization.
+ *
+ * @returns {Promise<{status, headers, response, url}>} the transport response.  Error statuses are thrown.
+ */
+async function requestURL(url, options) {
+
+    //console.log(`${Date.now()}   ${url}`)
+    const requestedUrl = url;
+
+    // Presigned urls, use the latest refreshed url and refresh it if it is about to expire
+    const refreshUrl = options.refreshUrl || igvxhr.refreshUrl;
+    let signedUrl;
+    if (typeof refreshUrl === 'function' && typeof url === 'string' && !drs.isDrsURI(url) &&
+        isPresigned(signedUrlRefresher.current(requestedUrl))) {
+        signedUrl = signedUrlRefresher.current(requestedUrl);
+        if (signedUrlRefresher.needsRefresh(requestedUrl)) {
+            signedUrl = await signedUrlRefresher.refresh(requestedUrl, refreshUrl, signedUrl);
+        }
+        url = signedUrl;
+    }
+
+    if (drs.isDrsURI(url)) {
+        const resolved = await drs.resolve(url, (u, o) => igvxhr.loadJson(u, o), {
+            oauthToken: options.oauthToken,
+            signal: options.signal
+        });
+        // An explicit oauth token is for the DRS server, do not send it to other hosts
+        const sameHost = hostOf(resolved.url) === hostOf(`https://${url.substring(6)}`);
+        options = Object.assign({}, options, {
+            headers: Object.assign({}, resolved.headers, options.headers),
+            oauthToken: sameHost ? options.oauthToken : undefined
+        });
+        url = resolved.url;
+    }
+
+    url = resolveURL(url);
 
     let oauthToken = options.oauthToken || getOauthToken(url);
     if (oauthToken) {
         oauthToken = await (typeof oauthToken === 'function' ? oauthToken() : oauthToken);
     }
 
-    return new Promise(function (resolve, reject) {
+    // Various Google tansformations
+    if (GoogleUtils.isGoogleURL(url)) {
+        if (GoogleUtils.isGoogleStorageURL(url)) {
+            url = GoogleUtils.translateGoogleCloudURL(url);
+        }
+        url = addApiKey(url);
 
-        // Various Google tansformations
-        if (GoogleUtils.isGoogleURL(url)) {
-            if (GoogleUtils.isGoogleStorageURL(url)) {
-                url = GoogleUtils.translateGoogleCloudURL(url);
-            }
-            url = addApiKey(url);
+        if (GoogleUtils.isGoogleDriveURL(url)) {
+            addTeamDrive(url);
+        }
 
-            if (GoogleUtils.isGoogleDriveURL(url)) {
-                addTeamDrive(url);
-            }
+        // If we have an access token try it, but don't force a signIn or request for scopes yet
+        if (!oauthToken) {
+            oauthToken = getCurrentGoogleAccessToken();
+        }
+    }
+
+    const headers = Object.assign({}, options.headers);
+    if (oauthToken) {
+        addOauthHeaders(headers, oauthToken);
+    }
 
-            // If we have an access token try it, but don't force a signIn or request for scopes yet
-            if (!oauthToken) {
-                oauthToken = getCurrentGoogleAccessToken();
+    // Azure blob storage -- service version header and SAS token
+    if (AzureUtils.isAzureBlobHost(url)) {
+        headers["x-ms-version"] = azure.version;
+        if (!oauthToken && !AzureUtils.isSASSigned(url)) {
+            const sasToken = await azure.resolveSasToken(url);
+            if (sasToken) {
+                url = AzureUtils.addSASToken(url, sasToken);
             }
         }
+    }
+    const range = options.range;
+    const ranges = options.ranges;     // Multiple ranges, see loadRanges
+    const isChrome = typeof navigator !== 'undefined' && navigator.userAgent.indexOf('Chrome') > -1;
+
+    let cacheBuster;
+    if ((range || ranges) && isChrome && !isAmazonV4Signed(url) && !isGoogleStorageSigned(url)) {
+        // Hack to prevent caching for byte-ranges. Attempt to fix net:err-cache errors in Chrome
+        cacheBuster = "someRandomSeed=" + Math.random().toString(36);
+        url += url.includes("?") ? "&" : "?";
+        url += cacheBuster;
+    }
 
-        const headers = options.headers || {};
-        if (oauthToken) {
-            addOauthHeaders(headers, oauthToken);
-        }
-        const range = options.range;
-        const isChrome = navigator.userAgent.indexOf('Chrome') > -1;
-        const isSafari = navigator.vendor.indexOf("Apple") === 0 && /\sSafari\//.test(navigator.userAgent);
+    if (range) {
+        const rangeEnd = range.size ? range.start + range.size - 1 : "";
+        headers["Range"] = "bytes=" + range.start + "-" + rangeEnd;
+        //      headers["Cache-Control"] = "no-cache";    <= This can cause CORS issues, disabled for now
+    }
+    if (ranges) {
+        headers["Range"] = rangeHeader(ranges);
+    }
 
-        if (range && isChrome && !isAmazonV4Signed(url) && !isGoogleStorageSigned(url)) {
-            // Hack to prevent caching for byte-ranges. Attempt to fix net:err-cache errors in Chrome
-            url += url.includes("?") ? "&" : "?";
-            url += "someRandomSeed=" + Math.random().toString(36);
+    const sendData = options.sendData || options.body;
+    const method = options.method || (sendData ? "POST" : "GET");
+    const checkConsistency = useConsistencyCheck(options) && method === "GET";
+    if (checkConsistency && (range || ranges)) {
+        Object.assign(headers, resourceValidators.conditionalHeaders(requestedUrl));
+    }
+    if (options.contentType) {
+        headers["Content-Type"] = options.contentType;
+    }
+
+    let request = {
+        url: url,
+        method: method,
+        headers: headers,
+        body: sendData,
+        responseType: options.responseType,
+        mimeType: options.mimeType,
+        timeout: options.timeout,
+        withCredentials: options.withCredentials,
+        signal: options.signal
+    }
+    request = await interceptors.runRequest(request);
+
+    // Identical concurrent requests are shared.  The key is computed before signing, the signature headers differ
+    // from one request to the next, and includes oauth tokens via the Authorization header.
+    let dedupeKey = useDedupe(request, options) ? requestKey(request, cacheBuster) : undefined;
+
+    // AWS Signature V4, if credentials are registered for the bucket or host
+    if (!oauthToken && !isAmazonV4Signed(request.url)) {
+        const signingInfo = await s3.getSigningInfo(request.url);
+        if (signingInfo) {
+            Object.assign(request.headers, await signRequest(request, signingInfo.credentials, signingInfo.region));
+            if (dedupeKey) {
+                dedupeKey += ` ${signingInfo.credentials.accessKeyId}`;
+            }
         }
+    }
 
-        const xhr = new XMLHttpRequest();
-        const sendData = options.sendData || options.body;
-        const method = options.method || (sendData ? "POST" : "GET");
-        const responseType = options.responseType;
-        const contentType = options.contentType;
-        const mimeType = options.mimeType;
+    const onProgress = typeof options.onProgress === 'function' ?
+        (loaded, total) => options.onProgress({loaded, total, url: requestedUrl}) :
+        undefined;
+
+    let response;
+    try {
+        const retryPolicy = resolveRetryPolicy(igvxhr.retryPolicy, options.retry);
+        const send = (request) => sendRequest(request, retryPolicy);
+        const sendCached = (request) => usePersistentCache(request, options) ?
+            igvxhr.persistentCache.request(request, send) :
+            send(request);
+        if (dedupeKey) {
+            // Progress of the shared request is reported to every caller
+            const {result, shared} = await inflightRequests.run(dedupeKey, function (signal, sharedProgress) {
+                return sendWithProgress(Object.assign({}, request, {signal}), requestedUrl, sendCached, sharedProgress);
+            }, request.signal, onProgress);
+            // Callers sharing a response each get their own copy of the body
+            response = shared ?
+                Object.assign({}, result, {
+                    headers: Object.assign({}, result.headers),
+                    response: result.response instanceof ArrayBuffer ? result.response.slice(0) : result.response
+                }) :
+                result;
+        } else {
+            response = await sendWithProgress(request, requestedUrl, sendCached, onProgress);
+        }
+    } catch (e) {
+        if (e instanceof NetworkError && !(e instanceof TimeoutError) && GoogleUtils.isGoogleURL(url) && !options.retries) {
+            return tryGoogleAuth(url, options);
+        }
+        if (e instanceof NetworkError) {
+            e.url = requestedUrl;
+            e.range = range;
+        }
+        return interceptors.runError(e, request);
+    }
 
-        xhr.open(method, url);
+    response = await interceptors.runResponse(response, request);
+    const status = response.status;
 
-        if (options.timeout) {
-            xhr.timeout = options.timeout;
+    // when the url points to a local file, the status is 0 but that is not an error
+    if (status === 0 || (status >= 200 && status <= 300)) {
+        if (checkConsistency) {
+            try {
+                resourceValidators.check(requestedUrl, response.headers);
+            } catch (e) {
+                igvxhr.clearRangeCache(requestedUrl);
+                return interceptors.runError(e, request);
+            }
         }
+        return response;
+    } else if (status === 412 && checkConsistency) {
+        igvxhr.clearRangeCache(requestedUrl);
+        const e = new ResourceChangedError(requestedUrl, resourceValidators.validators.get(requestedUrl), undefined);
+        return interceptors.runError(e, request);
+    } else if (signedUrl !== undefined && !options.urlRefreshed && isExpiredSignature(signedUrl, response)) {
+        await signedUrlRefresher.refresh(requestedUrl, refreshUrl, signedUrl);
+        return requestURL(requestedUrl, Object.assign({}, options, {urlRefreshed: true}));
+    } else if ((typeof gapi !== "undefined") &&
+        ((status === 404 || status === 401 || status === 403) &&
+            GoogleUtils.isGoogleURL(url)) &&
+        !options.retries) {
+        return tryGoogleAuth(url, options);
 
-        if (range) {
-            var rangeEnd = range.size ? range.start + range.size - 1 : "";
-            xhr.setRequestHeader("Range", "bytes=" + range.start + "-" + rangeEnd);
-            //      xhr.setRequestHeader("Cache-Control", "no-cache");    <= This can cause CORS issues, disabled for now
-        }
-        if (contentType) {
-            xhr.setRequestHeader("Content-Type", contentType);
+    } else {
+        const errorOptions = {range, headers: response.headers, body: responseText(response)};
+        let error;
+        if (status === 401 || status === 403) {
+            drs.clearCache(requestedUrl);    // The resolved url might have expired
+            error = new AuthRequiredError(status, requestedUrl, errorOptions);
+        } else if (status === 416) {
+            //  Tried to read off the end of the file.   This shouldn't happen, but if it does return an
+            error = new RangeNotSatisfiableError(requestedUrl, errorOptions);
+        } else {
+            error = new HttpError(status, requestedUrl, errorOptions);
         }
-        if (mimeType) {
-            xhr.overrideMimeType(mimeType);
+        return interceptors.runError(error, request);
+    }
+}
+
+async function getResourceInfo(url, options) {
+
+    options = Object.assign({}, options);
+    url = await (typeof url === 'function' ? url() : url);
+    throwIfAborted(options.signal);
+
+    const localResource = getLocalResource(url);
+    if (localResource) {
+        const stat = await localResource.stat();
+        return {
+            size: stat.size,
+            etag: undefined,
+            lastModified: stat.lastModified !== undefined ? new Date(stat.lastModified) : undefined,
+            acceptsRanges: true,
+            contentType: stat.type
         }
-        if (responseType) {
-            xhr.responseType = responseType;
+    } else if (url.startsWith("data:")) {
+        const data = decodeDataURI(url);
+        const mediaType = url.substring(5, url.indexOf(",")).split(";")[0];
+        return {
+            size: typeof data === 'string' ? data.length : data.byteLength,
+            etag: undefined,
+            lastModified: undefined,
+            acceptsRanges: true,
+            contentType: mediaType || "text/plain"
         }
-        if (headers) {
-            for (let key of Object.keys(headers)) {
-                const value = headers[key];
-                xhr.setRequestHeader(key, value);
-            }
+    }
+
+    try {
+        const response = await requestURL(url, Object.assign({}, options, {method: "HEAD", responseType: "arraybuffer"}));
+        return resourceInfoFromResponse(response, false);
+    } catch (e) {
+        if (e instanceof AbortError || (e instanceof HttpError && (e.status === 404 || e.status === 410))) {
+            throw e;
         }
+        // HEAD blocked or not supported -- try a 1 byte range request
+        const response = await requestURL(url, Object.assign({}, options, {range: {start: 0, size: 1}, responseType: "arraybuffer"}));
+        return resourceInfoFromResponse(response, true);
+    }
+}
+
+function resourceInfoFromResponse(response, rangeRequested) {
 
-        // NOTE: using withCredentials with servers that return "*" for access-allowed-origin will fail
-        if (options.withCredentials === true) {
-            xhr.withCredentials = true;
+    const headers = response.headers;
+    const contentRange = parseContentRange(headers["content-range"]);
+    const lastModified = headers["last-modified"] ? new Date(headers["last-modified"]) : undefined;
+
+    let size;
+    let acceptsRanges;
+    if (response.status === 206) {
+        size = contentRange ? contentRange.size : undefined;
+        acceptsRanges = true;
+    } else {
+        const contentLength = headers["content-length"];
+        size = contentLength !== undefined ? parseInt(contentLength) : undefined;
+        if (rangeRequested) {
+            acceptsRanges = false;
+        } else if (headers["accept-ranges"]) {
+            acceptsRanges = headers["accept-ranges"].trim().toLowerCase() === "bytes";
         }
+    }
 
-        xhr.onload = async function (event) {
-            // when the url points to a local file, the status is 0 but that is not an error
-            if (xhr.status === 0 || (xhr.status >= 200 && xhr.status <= 300)) {
-                if (range && xhr.status !== 206 && range.start !== 0) {
-                    // For small files a range starting at 0 can return the whole file => 200
-                    // Provide just the slice we asked for, throw out the rest quietly
-                    // If file is large warn user
-                    if (xhr.response.length > 100000 && !RANGE_WARNING_GIVEN) {
-                        alert(`Warning: Range header ignored for URL: ${url}.  This can have performance impacts.`);
-                    }
-                    resolve(xhr.response.slice(range.start, range.start + range.size));
+    return {
+        size: size !== undefined && !isNaN(size) ? size : undefined,
+        etag: headers["etag"],
+        lastModified: lastModified && !isNaN(lastModified.getTime()) ? lastModified : undefined,
+        acceptsRanges,
+        contentType: headers["content-type"]
+    }
+}
 
-                } else {
-                    resolve(xhr.response);
-                }
-            } else if ((typeof gapi !== "undefined") &&
-                ((xhr.status === 404 || xhr.status === 401 || xhr.status === 403) &&
-                    GoogleUtils.isGoogleURL(url)) &&
-                !options.retries) {
-                tryGoogleAuth();
+function useConsistencyCheck(options) {
+    return options.consistency !== undefined ? options.consistency === true : igvxhr.consistencyCheck;
+}
 
-            } else {
-                if (xhr.status === 403) {
-                    handleError("Access forbidden: " + url)
-                } else if (xhr.status === 416) {
-                    //  Tried to read off the end of the file.   This shouldn't happen, but if it does return an
-                    handleError("Unsatisfiable range");
-                } else {
-                    handleError(xhr.status);
+function useDedupe(request, options) {
+    return igvxhr.dedupeRequests !== false &&
+        options.dedupe !== false &&
+        request.method === "GET" &&
+        (request.body === undefined || request.body === null) &&
+        request.responseType !== "stream";
+}
+
+/**
+ * Return the dedupe key for the request.  The Chrome cache-busting parameter is removed from the url, it differs
+ * for every request.
+ */
+function requestKey(request, cacheBuster) {
+    let url = request.url;
+    const idx = cacheBuster ? url.indexOf(cacheBuster) : -1;
+    if (idx > 0) {
+        url = url.substring(0, idx - 1) + url.substring(idx + cacheBuster.length);
+    }
+    const headers = Object.keys(request.headers).sort().map(name => `${name.toLowerCase()}:${request.headers[name]}`);
+    return `${url} ${request.responseType} ${request.withCredentials === true} ${headers.join(",")}`;
+}
+
+function usePersistentCache(request, options) {
+    return igvxhr.persistentCache !== undefined &&
+        options.cache !== false &&
+        igvxhr.persistentCache.isCacheable(request);
+}
+
+/**
+ * Return a string identifying the credentials and headers of a request, callers with different identities do not
+ * share range cache blocks.  Token functions are identified by object identity.
+ */
+function rangeCacheIdentity(options) {
+    const parts = [];
+    const oauthToken = options.oauthToken;
+    if (typeof oauthToken === 'function') {
+        if (!tokenFunctionIds.has(oauthToken)) {
+            tokenFunctionIds.set(oauthToken, nextTokenFunctionId++);
+        }
+        parts.push(`token function ${tokenFunctionIds.get(oauthToken)}`);
+    } else if (oauthToken) {
+        parts.push(`token ${oauthToken}`);
+    }
+    if (options.headers) {
+        for (let name of Object.keys(options.headers).sort()) {
+            parts.push(`${name.toLowerCase()}:${options.headers[name]}`);
+        }
+    }
+    if (options.withCredentials) {
+        parts.push("withCredentials");
+    }
+    return parts.join("\n");
+}
+
+function useRangeCache(options) {
+    const range = options.range;
+    return igvxhr.rangeCache !== undefined &&
+        options.cache !== false &&
+        range !== undefined && range.size > 0 &&
+        options.responseType === "arraybuffer" &&
+        (options.method || "GET") === "GET" &&
+        !(options.sendData || options.body);
+}
+
+/**
+ * Send the request, reporting its progress to onProgress and the aggregate progress monitor.  The request stays
+ * active in the monitor until a streamed body has been read to the end.
+ */
+async function sendWithProgress(request, url, send, onProgress) {
+
+    const progressId = igvxhr.progress.start(url);
+    if (onProgress || igvxhr.progress.hasListeners()) {
+        request = Object.assign({}, request, {
+            onProgress: function (loaded, total) {
+                igvxhr.progress.update(progressId, loaded, total);
+                if (onProgress) {
+                    onProgress(loaded, total);
                 }
             }
-        };
+        });
+    }
 
-        xhr.onerror = function (event) {
-            if (GoogleUtils.isGoogleURL(url) && !options.retries) {
-                tryGoogleAuth();
-            }
-            handleError("Error accessing resource: " + url + " Status: " + xhr.status);
+    let streaming = false;
+    try {
+        const response = await send(request);
+        if (request.responseType === "stream" && response.status >= 200 && response.status < 300) {
+            streaming = true;
+            return Object.assign({}, response, {
+                response: onStreamEnd(response.response, () => igvxhr.progress.end(progressId))
+            });
         }
+        return response;
+    } finally {
+        if (!streaming) {
+            igvxhr.progress.end(progressId);
+        }
+    }
+}
 
-        xhr.ontimeout = function (event) {
-            handleError("Timed out");
-        };
+async function* onStreamEnd(body, callback) {
+    try {
+        yield* toChunks(body);
+    } finally {
+        callback();
+    }
+}
 
-        xhr.onabort = function (event) {
-            console.log("Aborted");
-            reject(event);
-        };
+/**
+ * Send the request with the current transport, retrying failures allowed by the retry policy.
+ */
+async function sendRequest(request, retryPolicy) {
+
+    const transport = getTransport(request);
+    const retryable = isRetryableMethod(retryPolicy, request.method);
 
+    for (let attempt = 1; ; attempt++) {
+        const canRetry = retryable && attempt < retryPolicy.maxAttempts;
+        const throttle = getThrottle(request.url);
+        let response;
         try {
-            xhr.send(sendData);
+            response = throttle ?
+                await sendThrottled(throttle, transport, request) :
+                await transport.request(request);
         } catch (e) {
-            reject(e);
+            if (canRetry && isRetryableError(retryPolicy, e)) {
+                await sleep(retryDelay(retryPolicy, attempt), request.signal);
+                continue;
+            }
+            throw e;
         }
+        if (canRetry && isRetryableStatus(retryPolicy, response.status)) {
+            await sleep(retryDelay(retryPolicy, attempt, response.headers["retry-after"]), request.signal);
+            continue;
+        }
+        return response;
+    }
+}
 
+/**
+ * Send the request in a slot of the throttle.  A streamed body keeps its connection open, so the slot is held until
+ * the body has been read to the end, or the request is aborted.
+ */
+function sendThrottled(throttle, transport, request) {
+    return new Promise(function (resolve, reject) {
+        throttle.add(async function () {
+            const response = await transport.request(request);
+            if (request.responseType !== "stream" || response.status < 200 || response.status >= 300) {
+                resolve(response);
+                return;
+            }
+            const signal = request.signal;
+            let onAbort;
+            await new Promise(function (release) {
+                resolve(Object.assign({}, response, {response: onStreamEnd(response.response, release)}));
+                if (signal) {
+                    onAbort = release;
+                    signal.addEventListener("abort", onAbort);
+                }
+            });
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        }, {signal: request.signal}).catch(reject);
+    })
+}
 
-        function handleError(error) {
-            if (reject) {
-                reject(error);
-            } else {
-                throw error;
+async function tryGoogleAuth(url, options) {
+    try {
+        const accessToken = await fetchGoogleAccessToken(url);
+        options.retries = 1;
+        options.oauthToken = accessToken;
+        return await requestURL(url, options);
+    } catch (e) {
+        if (e.error) {
+            const popupBlocked = e.error.startsWith("popup_blocked");
+            const msg = popupBlocked ? "Google login popup blocked by browser." : e.error;
+            if (popupBlocked) {
+                warn("popupBlocked", msg, url);
             }
+            throw new AuthRequiredError(undefined, url, {message: msg, reason: e.error});
+        } else {
+            throw e;
         }
+    }
+}
 
-        async function tryGoogleAuth() {
+/**
+ * Notify "warning" listeners, or log to the console if there are none.
+ */
+function warn(type, message, url) {
+    const warningListeners = listeners.get("warning");
+    if (warningListeners && warningListeners.size > 0) {
+        emit("warning", {type, message, url});
+    } else {
+        console.warn(message);
+    }
+}
+
+function emit(event, data) {
+    const eventListeners = listeners.get(event);
+    if (eventListeners) {
+        for (let listener of eventListeners) {
             try {
-                const accessToken = await fetchGoogleAccessToken(url);
-                options.retries = 1;
-                options.oauthToken = accessToken;
-                const response = await load(url, options);
-                resolve(response);
+                listener(data);
             } catch (e) {
-                if (e.error) {
-                    const msg = e.error.startsWith("popup_blocked") ?
-                        "Google login popup blocked by browser." :
-                        e.error;
-                    alert(msg);
-                } else {
-                    handleError(e);
-                }
+                console.error(e);
             }
         }
-    })
-
+    }
 }
 
-async function loadFileSlice(localfile, options) {
+/**
+ * Load a File, Blob, FileSystemFileHandle, or Node file path.  The result has the same form as for a url with the
+ * same responseType: an ArrayBuffer, a chunk source for "stream", a parsed object for "json", and text otherwise.
+ */
+async function loadLocalResource(resource, options) {
+
+    throwIfAborted(options.signal);
+    if (useConsistencyCheck(options)) {
+        resourceValidators.checkFile(resource, await resource.stat());
+    }
 
-    let blob = (options && options.range) ?
-        localfile.slice(options.range.start, options.range.start + options.range.size) :
-        localfile;
+    const url = resource.name;
+    const progressId = igvxhr.progress.start(url);
+    const reportProgress = function (loaded, total) {
+        igvxhr.progress.update(progressId, loaded, total);
+        if (typeof options.onProgress === 'function') {
+            options.onProgress({loaded, total, url});
+        }
+    };
 
+    if ("stream" === options.responseType) {
+        return onStreamEnd(countChunks(resource.stream(options.range), reportProgress),
+            () => igvxhr.progress.end(progressId));
+    }
+
+    let data;
+    try {
+        data = await resource.read(options.range);
+        reportProgress(data.byteLength, data.byteLength);
+    } finally {
+        igvxhr.progress.end(progressId);
+    }
+    throwIfAborted(options.signal);
     if ("arraybuffer" === options.responseType) {
-        return blobToArrayBuffer(blob);
+        return data;
+    } else if ("json" === options.responseType) {
+        return JSON.parse(decodeText(data));
     } else {
-        // binary string format, shouldn't be used anymore
-        return new Promise(function (resolve, reject) {
-            const fileReader = new FileReader();
-            fileReader.onload = function (e) {
-                resolve(fileReader.result);
-            };
-            fileReader.onerror = function (e) {
-                console.error("reject uploading local file " + localfile.name);
-                reject(null, fileReader);
-            };
-            fileReader.readAsBinaryString(blob)
-            console.warn("Deprecated method used: readAsBinaryString")
-        })
+        return decodeText(data);
     }
 }
 
-async function loadStringFromFile(localfile, options) {
-
-    const blob = options.range ? localfile.slice(options.range.start, options.range.start + options.range.size) : localfile;
-    const arrayBuffer = await blobToArrayBuffer(blob);
-    return arrayBufferToString(arrayBuffer);
+/**
+ * Pass the chunks through, reporting the number of bytes read so far.  The total is not known in advance.
+ */
+async function* countChunks(chunks, reportProgress) {
+    let loaded = 0;
+    for await (let chunk of chunks) {
+        loaded += chunk.length;
+        reportProgress(loaded, undefined);
+        yield chunk;
+    }
 }
 
-async function blobToArrayBuffer(blob) {
-    if (typeof blob.arrayBuffer === 'function') {
-        return blob.arrayBuffer();
+async function loadRanges(url, ranges, options) {
+
+    options = Object.assign({}, options, {responseType: "arraybuffer"});
+    url = await (typeof url === 'function' ? url() : url);
+    throwIfAborted(options.signal);
+
+    const loadRange = (range) => igvxhr.loadArrayBuffer(url, Object.assign({}, options, {range}));
+
+    if (ranges.length < 2 || typeof url !== 'string' || url.startsWith("data:") || getLocalResource(url) ||
+        igvxhr.fullResourceCache.rangesUnsupported(url)) {
+        return Promise.all(ranges.map(loadRange));
     }
-    return new Promise(function (resolve, reject) {
-        const fileReader = new FileReader();
-        fileReader.onload = function (e) {
-            resolve(fileReader.result);
-        };
-        fileReader.onerror = function (e) {
-            console.error("reject uploading local file " + localfile.name);
-            reject(null, fileReader);
-        };
-        fileReader.readAsArrayBuffer(blob);
-    })
+
+    let response;
+    try {
+        response = await requestURL(url, Object.assign({}, options, {ranges}));
+    } catch (e) {
+        if (e instanceof RangeNotSatisfiableError) {
+            // One of the ranges is past the end of the resource, request them individually
+            return Promise.all(ranges.map(loadRange));
+        }
+        throw e;
+    }
+
+    let parts;
+    if (response.status === 206) {
+        const boundary = getBoundary(response.headers["content-type"]);
+        if (boundary) {
+            parts = parseMultipart(response.response, boundary);
+        } else {
+            // A single range, e.g. the server merged the ranges or only supports one range per request
+            const contentRange = parseContentRange(response.headers["content-range"]);
+            parts = contentRange ? [Object.assign(contentRange, {data: response.response})] : [];
+        }
+    } else {
+        // Ranges ignored, the body is the full resource
+        const size = response.response.byteLength;
+        igvxhr.fullResourceCache.add(url, response.response);
+        emit("fullDownload", {url, size});
+        parts = [{start: 0, end: size - 1, size, data: response.response}];
+    }
+
+    return Promise.all(ranges.map(function (range) {
+        const data = extractRange(parts, range);
+        return data !== undefined ? data : loadRange(range);
+    }));
 }
 
-async function blobToText(blob) {
-    if (typeof blob.text === 'function') {
-        return blob.text();
+async function* loadLines(path, options) {
+    options = Object.assign({}, options, {responseType: "stream"});
+    const signal = options.signal;
+    const body = await load(path, options);
+    for await (let line of splitLines(decompressChunks(toChunks(body)), options)) {
+        throwIfAborted(signal);
+        yield line;
     }
-    return new Promise(function (resolve, reject) {
-        const fileReader = new FileReader();
-        fileReader.onload = function (e) {
-            resolve(fileReader.result);
-        };
-        fileReader.onerror = function (e) {
-            console.error("reject uploading local file " + localfile.name);
-            reject(null, fileReader);
-        };
-        fileReader.readAsText(blob);
-    })
 }
 
-async function loadStringFromUrl(url, options) {
+/**
+ * Return true if the error response looks like the result of an expired url signature, either the expiration
+ * parsed from the url has passed or the error body says so.  S3 responds with 403 "Request has expired", GCS with
+ * 400 "ExpiredToken", Azure with 403 "Signature not valid in the specified time frame".
+ */
+function isExpiredSignature(url, response) {
+    const status = response.status;
+    if (status !== 400 && status !== 401 && status !== 403) {
+        return false;
+    }
+    if (isExpiring(url, 0)) {
+        return true;
+    }
+    const text = responseText(response);
+    return text !== undefined && /expired|not valid in the specified time frame/i.test(text);
+}
 
-    options = options || {};
-    options.responseType = "arraybuffer";
-    const data = await igvxhr.load(url, options);
-    return arrayBufferToString(data);
+/**
+ * Return the body of an error response as text, undefined if there is none or it is not a string or ArrayBuffer.
+ */
+function responseText(response) {
+    const body = response.response;
+    if (typeof body === 'string') {
+        return body.length > 0 ? body : undefined;
+    } else if (body instanceof ArrayBuffer && body.byteLength > 0) {
+        return new TextDecoder().decode(new Uint8Array(body));
+    }
+    return undefined;
 }
 
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return undefined;
+    }
+}
 
 function isAmazonV4Signed(url) {
     return url.indexOf("X-Amz-Signature") > -1;
@@ -408,8 +1244,10 @@ async function fetchGoogleAccessToken(url) {
         const googleToken = await GoogleAuth.getAccessToken(scope);
         return googleToken ? googleToken.access_token : undefined;
     } else {
-        throw Error(
-            `Authorization is required, but Google oAuth has not been initalized. Contact your site administrator for assistance.`)
+        throw new AuthRequiredError(undefined, url, {
+            message: `Authorization is required, but Google oAuth has not been initalized. Contact your site administrator for assistance.`,
+            reason: "google_not_initialized"
+        })
     }
 }
 
@@ -456,99 +1294,8 @@ function addTeamDrive(url) {
     }
 }
 
-/**
- * Perform some well-known url mappings.
- * @param url
- */
-function mapUrl(url) {
-
-    if (url.includes("//www.dropbox.com")) {
-        return url.replace("//www.dropbox.com", "//dl.dropboxusercontent.com");
-    } else if (url.includes("//drive.google.com")) {
-        return GoogleUtils.driveDownloadURL(url);
-    } else if (url.includes("//www.broadinstitute.org/igvdata")) {
-        return url.replace("//www.broadinstitute.org/igvdata", "//data.broadinstitute.org/igvdata");
-    } else if (url.includes("//igvdata.broadinstitute.org")) {
-        return url.replace("//igvdata.broadinstitute.org", "https://dn7ywbm9isq8j.cloudfront.net")
-    } else if (url.startsWith("ftp://ftp.ncbi.nlm.nih.gov/geo")) {
-        return url.replace("ftp://", "https://")
-    } else {
-        return url;
-    }
-}
-
-
-function arrayBufferToString(arraybuffer) {
-
-    let plain;
-    if (isgzipped(arraybuffer)) {
-        plain = ungzip(arraybuffer);
-    } else {
-        plain = new Uint8Array(arraybuffer);
-    }
-
-    if ('TextDecoder' in getGlobalObject()) {
-        return new TextDecoder().decode(plain);
-    } else {
-        return decodeUTF8(plain);
-    }
-}
-
-/**
- * Use when TextDecoder is not available (primarily IE).
- *
- * From: https://gist.github.com/Yaffle/5458286
- *
- * @param octets
- * @returns {string}
- */
-function decodeUTF8(octets) {
-    var string = "";
-    var i = 0;
-    while (i < octets.length) {
-        var octet = octets[i];
-        var bytesNeeded = 0;
-        var codePoint = 0;
-        if (octet <= 0x7F) {
-            bytesNeeded = 0;
-            codePoint = octet & 0xFF;
-        } else if (octet <= 0xDF) {
-            bytesNeeded = 1;
-            codePoint = octet & 0x1F;
-        } else if (octet <= 0xEF) {
-            bytesNeeded = 2;
-            codePoint = octet & 0x0F;
-        } else if (octet <= 0xF4) {
-            bytesNeeded = 3;
-            codePoint = octet & 0x07;
-        }
-        if (octets.length - i - bytesNeeded > 0) {
-            var k = 0;
-            while (k < bytesNeeded) {
-                octet = octets[i + k + 1];
-                codePoint = (codePoint << 6) | (octet & 0x3F);
-                k += 1;
-            }
-        } else {
-            codePoint = 0xFFFD;
-            bytesNeeded = octets.length - i;
-        }
-        string += String.fromCodePoint(codePoint);
-        i += bytesNeeded + 1;
-    }
-    return string
-}
-
-
-function getGlobalObject() {
-    if (typeof self !== 'undefined') {
-        return self;
-    }
-    if (typeof global !== 'undefined') {
-        return global;
-    } else {
-        return window;
-    }
+function arrayBufferToString(arraybuffer, options) {
+    return decodeText(decompress(arraybuffer), options);
 }
 
 async function getFilename(url) {
@@ -559,10 +1306,15 @@ async function getFilename(url) {
         }
         const json = await GoogleDrive.getDriveFileInfo(url)
         return json.originalFileName || json.name;
+    } else if (isLocalResource(url)) {
+        return getLocalResource(url).name;
     } else {
         return FileUtils.getFilename(url);
     }
 }
 
 export default igvxhr
-export {arrayBufferToString}
+export {
+    arrayBufferToString, AbortError, HttpError, RangeNotSatisfiableError, AuthRequiredError, NetworkError, TimeoutError,
+    ResourceChangedError
+}
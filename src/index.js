@@ -10,14 +10,25 @@ import * as GoogleAuth from './google/googleAuth.js'
 import * as GooglePicker from './google/googleFilePicker.js';
 import * as GoogleDrive from './google/googleDrive.js';
 import * as BGZip from './bgzf.js';
+import * as CacheStores from './cacheStores.js'
+import * as Htsget from './ga4gh/htsget.js'
+import drs from './ga4gh/drs.js'
+import * as S3Utils from './aws/s3Utils.js'
+import s3 from './aws/s3.js'
+import * as AzureUtils from './azure/azureUtils.js'
+import azure from './azure/azure.js'
 import IGVColor from "./igv-color.js"
 import IGVMath from "./igv-math.js"
 import makeDraggable from "./draggable.js"
 import {appleCrayonPalette, nucleotideColorComponents, nucleotideColors, PaletteColorTable} from './colorPalettes.js'
 import igvxhr from "./igvxhr.js"
+import {
+    AbortError, HttpError, RangeNotSatisfiableError, AuthRequiredError, NetworkError, TimeoutError, ResourceChangedError
+} from "./errors.js"
 import oauth from "./oauth.js"
 import FeatureCache from "./featureCache.js"
 import FeatureUtils from "./featureUtils.js"
+import {LocalResource} from "./localResource.js"
 
 export {
     IGVColor,
@@ -38,11 +49,26 @@ export {
     GooglePicker,
     GoogleAuth,
     GoogleDrive,
+    S3Utils,
+    s3,
+    AzureUtils,
+    azure,
     BGZip,
+    CacheStores,
+    Htsget,
+    drs,
     igvxhr,
+    AbortError,
+    HttpError,
+    RangeNotSatisfiableError,
+    AuthRequiredError,
+    NetworkError,
+    TimeoutError,
+    ResourceChangedError,
     oauth,
     FeatureCache,
-    FeatureUtils
+    FeatureUtils,
+    LocalResource
 }
 
 
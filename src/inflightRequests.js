@@ -0,0 +1,104 @@
+import {AbortError} from "./errors.js"
+
+/**
+ * Shares identical concurrent requests.  The first caller for a key starts the request, later callers for the same
+ * key receive the same result until it settles.  Each caller can abort independently, the shared request is
+ * aborted only when every caller has aborted.  Progress of the shared request is reported to every caller, callers
+ * joining late first receive the most recent progress.
+ */
+class InflightRequests {
+
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * @param key - request identity
+     * @param fn - async function (signal, onProgress) => result, called to start the shared request.  onProgress
+     *             (loaded, total) forwards progress to the callers.
+     * @param signal - optional AbortSignal for this caller
+     * @param onProgress - optional function (loaded, total) for this caller
+     * @returns {Promise} the result, and a boolean indicating if it is shared with other callers
+     */
+    run(key, fn, signal, onProgress) {
+
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        let entry = this.entries.get(key);
+        if (!entry) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+            entry = {controller, callers: 0, shared: false, progressListeners: [], progress: undefined};
+            const remove = () => {
+                if (this.entries.get(key) === entry) {
+                    this.entries.delete(key);
+                }
+            }
+            const reportProgress = function (loaded, total) {
+                entry.progress = {loaded, total};
+                for (let listener of entry.progressListeners) {
+                    listener(loaded, total);
+                }
+            }
+            entry.promise = fn(controller ? controller.signal : undefined, reportProgress);
+            entry.promise.then(remove, remove);
+            this.entries.set(key, entry);
+        } else {
+            entry.shared = true;
+            if (onProgress && entry.progress) {
+                onProgress(entry.progress.loaded, entry.progress.total);
+            }
+        }
+        entry.callers++;
+        if (onProgress) {
+            entry.progressListeners.push(onProgress);
+        }
+
+        const self = this;
+        return new Promise(function (resolve, reject) {
+            let onAbort;
+            if (signal) {
+                onAbort = function () {
+                    removeListener(entry, onProgress);
+                    reject(new AbortError());
+                    if (--entry.callers === 0) {
+                        if (self.entries.get(key) === entry) {
+                            self.entries.delete(key);
+                        }
+                        if (entry.controller) {
+                            entry.controller.abort();
+                        }
+                    }
+                }
+                signal.addEventListener("abort", onAbort);
+            }
+            const done = function () {
+                removeListener(entry, onProgress);
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            }
+            entry.promise.then(function (result) {
+                done();
+                resolve({result, shared: entry.shared});
+            }, function (e) {
+                done();
+                reject(e);
+            });
+        });
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+function removeListener(entry, listener) {
+    const idx = entry.progressListeners.indexOf(listener);
+    if (idx >= 0) {
+        entry.progressListeners.splice(idx, 1);
+    }
+}
+
+export default InflightRequests
@@ -0,0 +1,108 @@
+/**
+ * Ordered chain of request / response interceptors ("middleware") for igvxhr.  An interceptor is an object with
+ * any of the following functions, each of which can be async:
+ *
+ *   request(request)           - called before the request is sent.  The request object
+ *                                {url, method, headers, body, responseType, timeout, withCredentials, signal}
+ *                                can be modified in place, or a replacement returned.
+ *   response(response, request) - called with every transport response {status, headers, response, url}, before
+ *                                error statuses are converted to errors.  Return a replacement to transform it.
+ *   error(error, request)      - called when the request fails, with a network error or an error for an HTTP
+ *                                error status.  Return a response object to recover, or throw (or return
+ *                                undefined) to propagate the error.
+ *
+ * Request interceptors run in order, response and error interceptors in reverse order, so the first interceptor
+ * registered is the outermost.
+ */
+class InterceptorChain {
+
+    constructor() {
+        this.interceptors = [];
+    }
+
+    /**
+     * Add an interceptor.
+     *
+     * @param interceptor
+     * @param options - {order}.  Interceptors with a lower order are outermost, default 0, ties in registration order.
+     * @returns {function} a function that removes the interceptor
+     */
+    use(interceptor, options) {
+        if (!interceptor || !(typeof interceptor.request === 'function' || typeof interceptor.response === 'function' ||
+            typeof interceptor.error === 'function')) {
+            throw Error("An interceptor must define a 'request', 'response', or 'error' function");
+        }
+        const order = (options && options.order !== undefined) ? options.order : 0;
+        this.interceptors.push({interceptor, order});
+        this.interceptors.sort((a, b) => a.order - b.order);
+        return () => this.eject(interceptor);
+    }
+
+    /**
+     * Remove an interceptor.
+     *
+     * @returns {boolean} true if the interceptor was removed
+     */
+    eject(interceptor) {
+        const idx = this.interceptors.findIndex(i => i.interceptor === interceptor);
+        if (idx >= 0) {
+            this.interceptors.splice(idx, 1);
+            return true;
+        }
+        return false;
+    }
+
+    clear() {
+        this.interceptors = [];
+    }
+
+    isEmpty() {
+        return this.interceptors.length === 0;
+    }
+
+    async runRequest(request) {
+        for (let {interceptor} of this.interceptors.slice()) {
+            if (typeof interceptor.request === 'function') {
+                const result = await interceptor.request(request);
+                if (result) {
+                    request = result;
+                }
+            }
+        }
+        return request;
+    }
+
+    async runResponse(response, request) {
+        for (let {interceptor} of this.interceptors.slice().reverse()) {
+            if (typeof interceptor.response === 'function') {
+                const result = await interceptor.response(response, request);
+                if (result) {
+                    response = result;
+                }
+            }
+        }
+        return response;
+    }
+
+    /**
+     * Pass the error through the error interceptors.  Returns a response if an interceptor recovers, otherwise
+     * throws the (possibly replaced) error.
+     */
+    async runError(error, request) {
+        for (let {interceptor} of this.interceptors.slice().reverse()) {
+            if (typeof interceptor.error === 'function') {
+                try {
+                    const result = await interceptor.error(error, request);
+                    if (result) {
+                        return result;
+                    }
+                } catch (e) {
+                    error = e;
+                }
+            }
+        }
+        throw error;
+    }
+}
+
+export default InterceptorChain
@@ -0,0 +1,242 @@
+import {blobChunks} from "./streamUtils.js"
+import {HttpError} from "./errors.js"
+import {nodeModule, isNode} from "./nodeUtils.js"
+
+/**
+ * Uniform access to local data: File and Blob objects, FileSystemFileHandles from the File System Access API
+ * (showOpenFilePicker), and, under Node, file paths and file:// urls.  igvxhr wraps any of these in a
+ * LocalResource, so every entry point treats them alike.
+ *
+ * A LocalResource provides
+ *   name           - file name, undefined for a Blob
+ *   key            - identity used to detect changes between reads, the wrapped object or the file path
+ *   stat()         - promise for {size, lastModified, type}.  lastModified is in milliseconds, undefined if unknown.
+ *   read(range)    - promise for the bytes as an ArrayBuffer, the whole resource if range is undefined
+ *   stream(range)  - async iterable of Uint8Array chunks
+ *
+ * Ranges are {start, size}.  A missing size extends to the end of the resource, ranges past the end are truncated.
+ * Applications can subclass LocalResource to expose other local data, instances are used as is.
+ *
+ * igvxhr reads LocalResources directly.  Their progress is reported like that of urls, but they do not pass through
+ * interceptors or the transport (including a mock transport), which only see network requests.
+ */
+class LocalResource {
+
+    constructor(source) {
+        this.source = source;
+    }
+
+    get name() {
+        return this.source.name;
+    }
+
+    get key() {
+        return this.source;
+    }
+
+    async stat() {
+        throw Error("stat() not implemented");
+    }
+
+    async read(range) {
+        throw Error("read() not implemented");
+    }
+
+    stream(range) {
+        throw Error("stream() not implemented");
+    }
+}
+
+class BlobResource extends LocalResource {
+
+    async stat() {
+        return {size: this.source.size, lastModified: this.source.lastModified, type: this.source.type || undefined};
+    }
+
+    async read(range) {
+        return blobToArrayBuffer(sliceBlob(this.source, range));
+    }
+
+    stream(range) {
+        return blobChunks(sliceBlob(this.source, range));
+    }
+}
+
+/**
+ * A FileSystemFileHandle.  A new File is obtained for every read, a File from an earlier getFile() call becomes
+ * unreadable when the file is modified.
+ */
+class FileHandleResource extends LocalResource {
+
+    async file() {
+        return new BlobResource(await this.source.getFile());
+    }
+
+    async stat() {
+        return (await this.file()).stat();
+    }
+
+    async read(range) {
+        return (await this.file()).read(range);
+    }
+
+    async* stream(range) {
+        yield* (await this.file()).stream(range);
+    }
+}
+
+class NodeFileResource extends LocalResource {
+
+    constructor(path) {
+        super(nodeFilePath(path));
+    }
+
+    get name() {
+        return this.source.substring(Math.max(this.source.lastIndexOf("/"), this.source.lastIndexOf("\\")) + 1);
+    }
+
+    async stat() {
+        const fs = await nodeModule("fs");
+        let stat;
+        try {
+            stat = await fs.promises.stat(this.source);
+        } catch (e) {
+            throw new HttpError(404, this.source, {message: `File not found: ${this.source}`});
+        }
+        return {size: stat.size, lastModified: stat.mtimeMs, type: undefined};
+    }
+
+    async read(range) {
+        const fs = await nodeModule("fs");
+        const {start, end} = await this.bounds(range);
+        const buffer = new Uint8Array(end - start);
+        if (buffer.length > 0) {
+            const fh = await fs.promises.open(this.source, 'r');
+            try {
+                await fh.read(buffer, 0, buffer.length, start);
+            } finally {
+                await fh.close();
+            }
+        }
+        return buffer.buffer;
+    }
+
+    async* stream(range) {
+        const fs = await nodeModule("fs");
+        const {start, end} = await this.bounds(range);
+        if (end <= start) {
+            return;
+        }
+        const stream = fs.createReadStream(this.source, {start, end: end - 1});
+        try {
+            for await (let chunk of stream) {
+                yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+            }
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * Return the range as [start, end) offsets, limited to the file size.
+     */
+    async bounds(range) {
+        const size = (await this.stat()).size;
+        const start = range ? Math.min(range.start, size) : 0;
+        const end = range && range.size !== undefined ? Math.min(range.start + range.size, size) : size;
+        return {start, end};
+    }
+}
+
+/**
+ * Test if the object is local data that can be wrapped in a LocalResource without a file system, i.e. anything but
+ * a Node file path.
+ */
+function isLocalResource(object) {
+    if (!object || typeof object !== 'object') {
+        return false;
+    }
+    return object instanceof LocalResource || isBlob(object) || isFileHandle(object);
+}
+
+/**
+ * Return a LocalResource for the object, or undefined if it is not local data (e.g. a url or data URI).
+ *
+ * @param object - LocalResource, File, Blob, FileSystemFileHandle, or under Node a file path or file:// url
+ * @returns {LocalResource|undefined}
+ */
+function getLocalResource(object) {
+    if (typeof object === 'string') {
+        return isNodePath(object) ? new NodeFileResource(object) : undefined;
+    } else if (!isLocalResource(object)) {
+        return undefined;
+    } else if (object instanceof LocalResource) {
+        return object;
+    } else if (isFileHandle(object)) {
+        return new FileHandleResource(object);
+    } else {
+        return new BlobResource(object);
+    }
+}
+
+/**
+ * Test if the string is a file path or file:// url in Node.  Strings with any other scheme (http, data, drs, ...)
+ * and protocol-relative urls ("//host/file.bed") are urls.  Always false in the browser, where strings without a
+ * scheme are relative urls.
+ */
+function isNodePath(string) {
+    if (!isNode() || string.startsWith("//")) {
+        return false;
+    }
+    const scheme = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(string);
+    return !scheme ||
+        scheme[1].toLowerCase() === "file" ||
+        (scheme[1].length === 1 && /^[a-zA-Z]:[\\/]/.test(string));    // Windows drive letter
+}
+
+/**
+ * Return the file path for a Node path or file:// url.  Paths are the keys of NodeFileResources.
+ */
+function nodeFilePath(path) {
+    return path.startsWith("file://") ? decodeURIComponent(new URL(path).pathname) : path;
+}
+
+/**
+ * File, Blob, or a File-like object.  The duck-typed test accepts Blob implementations from other realms and
+ * test mocks.
+ */
+function isBlob(object) {
+    return (typeof Blob !== 'undefined' && object instanceof Blob) ||
+        (typeof File !== 'undefined' && object instanceof File) ||
+        (typeof object.size === 'number' && typeof object.slice === 'function' &&
+            (typeof object.arrayBuffer === 'function' || typeof FileReader !== 'undefined'));
+}
+
+function isFileHandle(object) {
+    return object.kind === "file" && typeof object.getFile === 'function';
+}
+
+function sliceBlob(blob, range) {
+    if (!range) {
+        return blob;
+    }
+    return range.size !== undefined ? blob.slice(range.start, range.start + range.size) : blob.slice(range.start);
+}
+
+async function blobToArrayBuffer(blob) {
+    if (typeof blob.arrayBuffer === 'function') {
+        return blob.arrayBuffer();
+    }
+    return new Promise(function (resolve, reject) {
+        const fileReader = new FileReader();
+        fileReader.onload = function (e) {
+            resolve(fileReader.result);
+        };
+        fileReader.onerror = function (e) {
+            reject(fileReader.error || Error("Error reading local file " + blob.name));
+        };
+        fileReader.readAsArrayBuffer(blob);
+    })
+}
+
+export {LocalResource, isLocalResource, getLocalResource, isNodePath, nodeFilePath}
@@ -0,0 +1,128 @@
+import {parseContentRange} from "./transport/transportUtils.js"
+
+/**
+ * Support for multiple byte range requests (RFC 7233), i.e. "Range: bytes=a-b,c-d" requests and their
+ * multipart/byteranges responses.
+ */
+
+/**
+ * Return the Range header value for a list of {start, size} ranges.  A range without a size extends to the end
+ * of the resource.
+ */
+function rangeHeader(ranges) {
+    return "bytes=" + ranges.map(r => `${r.start}-${r.size ? r.start + r.size - 1 : ""}`).join(",");
+}
+
+/**
+ * Return the boundary of a multipart/byteranges content type, or undefined if the content type is not
+ * multipart/byteranges.
+ */
+function getBoundary(contentType) {
+    if (!contentType || !/^\s*multipart\/byteranges/i.test(contentType)) {
+        return undefined;
+    }
+    const m = /boundary\s*=\s*("([^"]+)"|[^;\s]+)/i.exec(contentType);
+    return m ? (m[2] || m[1]) : undefined;
+}
+
+/**
+ * Parse a multipart/byteranges response body.
+ *
+ * @param buffer - response body
+ * @param boundary - multipart boundary, see getBoundary
+ * @returns {Array<{start, end, size, data}>} the parts, in response order.  end is inclusive, size is the total
+ *          size of the resource if given.
+ */
+function parseMultipart(buffer, boundary) {
+
+    const bytes = new Uint8Array(buffer);
+    const delimiter = new TextEncoder().encode("--" + boundary);
+    const parts = [];
+
+    let position = indexOf(bytes, delimiter, 0);
+    while (position >= 0) {
+        let cursor = position + delimiter.length;
+
+        // Close delimiter
+        if (bytes[cursor] === 45 && bytes[cursor + 1] === 45) {
+            break;
+        }
+
+        // Skip the remainder of the delimiter line
+        const lineEnd = indexOf(bytes, CRLF, cursor);
+        if (lineEnd < 0) break;
+        cursor = lineEnd + 2;
+
+        const headersEnd = indexOf(bytes, CRLFCRLF, cursor);
+        if (headersEnd < 0) break;
+        const headers = parseHeaders(new TextDecoder().decode(bytes.subarray(cursor, headersEnd)));
+        const bodyStart = headersEnd + 4;
+
+        const contentRange = parseContentRange(headers["content-range"]);
+        if (!contentRange) {
+            throw Error("multipart/byteranges part without Content-Range");
+        }
+        // The length of the body is given by the Content-Range, which does not depend on finding the next delimiter
+        // in binary data
+        const length = contentRange.end - contentRange.start + 1;
+        if (bodyStart + length > bytes.length) {
+            throw Error("Truncated multipart/byteranges response");
+        }
+        parts.push({
+            start: contentRange.start,
+            end: contentRange.end,
+            size: contentRange.size,
+            data: buffer.slice(bodyStart, bodyStart + length)
+        });
+
+        position = indexOf(bytes, delimiter, bodyStart + length);
+    }
+    return parts;
+}
+
+const CRLF = new Uint8Array([13, 10]);
+const CRLFCRLF = new Uint8Array([13, 10, 13, 10]);
+
+function parseHeaders(text) {
+    const headers = {};
+    for (let line of text.split(/\r\n/)) {
+        const idx = line.indexOf(":");
+        if (idx > 0) {
+            headers[line.substring(0, idx).trim().toLowerCase()] = line.substring(idx + 1).trim();
+        }
+    }
+    return headers;
+}
+
+function indexOf(bytes, pattern, from) {
+    const last = bytes.length - pattern.length;
+    outer:
+        for (let i = from; i <= last; i++) {
+            for (let j = 0; j < pattern.length; j++) {
+                if (bytes[i + j] !== pattern[j]) continue outer;
+            }
+            return i;
+        }
+    return -1;
+}
+
+/**
+ * Return the bytes for range from the first part containing it, or undefined if no part contains it.
+ *
+ * @param parts - [{start, end, data}]
+ * @param range - {start, size}.  A range without a size extends to the end of the resource.
+ */
+function extractRange(parts, range) {
+    for (let part of parts) {
+        let end = range.size ? range.start + range.size - 1 : part.size !== undefined ? part.size - 1 : undefined;
+        if (end !== undefined && part.size !== undefined) {
+            end = Math.min(end, part.size - 1);     // Range extends past the end of the resource
+        }
+        if (end !== undefined && range.start >= part.start && end <= part.end) {
+            return part.data.slice(range.start - part.start, end - part.start + 1);
+        }
+    }
+    return undefined;
+}
+
+export {rangeHeader, getBoundary, parseMultipart, extractRange}
@@ -0,0 +1,24 @@
+/**
+ * Access to Node.js built-in modules from code that is also bundled for the browser.  Modules are imported
+ * dynamically, and the imports are marked to be ignored by bundlers (webpack, vite), so browser bundles neither
+ * resolve nor include them.  nodeModule() is only called when isNode() is true.
+ */
+
+const modules = {};
+
+/**
+ * Return the Node built-in module, e.g. "fs", "http", "crypto".
+ */
+async function nodeModule(name) {
+    if (!modules[name]) {
+        const m = await import(/* webpackIgnore: true */ /* @vite-ignore */ name);
+        modules[name] = m.default || m;
+    }
+    return modules[name];
+}
+
+function isNode() {
+    return typeof process === 'object' && process.versions !== undefined && process.versions.node !== undefined;
+}
+
+export {nodeModule, isNode}
@@ -63,6 +63,24 @@ function wildcardToRegExp(s) {
     return new RegExp('^' + s.split(/\*+/).map(regExpEscape).join('.*') + '$');
 }
 
+/**
+ * Find the value for the name in an object keyed by names or wildcard patterns, preferring an exact match.
+ */
+function findWildcardMatch(map, name) {
+    if (name === undefined) {
+        return undefined;
+    }
+    if (map[name] !== undefined) {
+        return map[name];
+    }
+    for (let key of Object.keys(map)) {
+        if (map[key] !== undefined && wildcardToRegExp(key).test(name)) {
+            return map[key];
+        }
+    }
+    return undefined;
+}
+
 /**
  * RegExp-escapes all characters in the given string.
  *
@@ -73,3 +91,4 @@ function regExpEscape(s) {
 }
 
 export default oauth;
+export {wildcardToRegExp, findWildcardMatch};
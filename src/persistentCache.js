@@ -0,0 +1,283 @@
+import {getHeader, parseRangeHeader} from "./transport/transportUtils.js"
+import {createDefaultStore} from "./cacheStores.js"
+import {isPresigned} from "./signedUrls.js"
+
+/**
+ * A persistent cache of responses, keyed by url and byte range.  Entries record the ETag and Last-Modified
+ * validators of the response and are revalidated with a conditional request (If-None-Match / If-Modified-Since)
+ * before use, a 304 response is served from the cache.  Entries younger than maxAge are served without
+ * revalidation.  The total size of entries is limited to maxBytes, least recently used entries are evicted first.
+ *
+ * Requests with an Authorization header (OAuth tokens, AWS signatures) and presigned urls are not cached unless
+ * allowAuthorized / allowSigned are set.  Presigned urls are keyed without their signature parameters.
+ */
+
+const STORED_HEADERS = ["etag", "last-modified", "content-type", "content-range", "content-length", "accept-ranges"];
+
+// Query parameters of presigned urls that change from one signing to the next
+const SIGNATURE_PARAMETERS = /^(x-amz-.*|x-goog-.*|signature|expires|googleaccessid|awsaccesskeyid|sig|se|st|sv|sp|sr|ss|srt|spr|si|skoid|sktid|skt|ske|sks|skv)$/i;
+
+// Added by igvxhr to range request urls in Chrome, a new value for every request
+const CACHE_BUSTER_PARAMETER = "someRandomSeed";
+
+class PersistentCache {
+
+    /**
+     * @param options
+     *        store - storage backend, see cacheStores.js.  Default IndexedDB, Cache API, or memory, whichever
+     *                is available
+     *        maxBytes - size quota, default 512 MB
+     *        maxAge - milliseconds for which an entry is used without revalidation, default 0
+     *        allowSigned - cache presigned urls, default false
+     *        allowAuthorized - cache requests with an Authorization header, default false
+     */
+    constructor(options) {
+        options = options || {};
+        this.store = options.store || createDefaultStore();
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 512 * 1024 * 1024;
+        this.maxAge = options.maxAge || 0;
+        this.allowSigned = options.allowSigned === true;
+        this.allowAuthorized = options.allowAuthorized === true;
+        this.index = undefined;   // Promise for Map of key -> {url, etag, size, lastAccess}
+    }
+
+    /**
+     * Return true if the response for the request can be cached.
+     */
+    isCacheable(request) {
+        if ((request.method || "GET") !== "GET" || (request.body !== undefined && request.body !== null) ||
+            request.responseType !== "arraybuffer") {
+            return false;
+        }
+        const range = getHeader(request.headers, "Range");
+        if (range !== undefined && range.includes(",")) {
+            return false;     // Multiple ranges
+        }
+        if (!this.allowAuthorized && getHeader(request.headers, "Authorization") !== undefined) {
+            return false;
+        }
+        if (!this.allowSigned && isPresigned(request.url)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Send the request through the cache.
+     *
+     * @param request - transport request
+     * @param send - async function (request) => response, called when the cache cannot answer the request
+     * @returns {Promise<{status, headers, response, url}>}
+     */
+    async request(request, send) {
+
+        const range = parseRangeHeader(getHeader(request.headers, "Range"));
+        const url = cacheURL(request.url);
+        const key = range ? `${url} bytes=${range.start}-${range.end === undefined ? "" : range.end}` : url;
+
+        const entry = await this.safely(() => this.store.get(key));
+        if (entry && this.maxAge > 0 && Date.now() - entry.storedAt < this.maxAge) {
+            await this.touch(key);
+            return toResponse(entry, request);
+        }
+
+        if (entry) {
+            const conditional = {};
+            if (entry.etag) {
+                conditional["If-None-Match"] = entry.etag;
+            }
+            if (entry.lastModified) {
+                conditional["If-Modified-Since"] = entry.lastModified;
+            }
+            request = Object.assign({}, request, {headers: Object.assign({}, request.headers, conditional)});
+        }
+
+        const response = await send(request);
+
+        if (entry && response.status === 304) {
+            entry.storedAt = Date.now();
+            await this.safely(() => this.store.put(entry));
+            await this.touch(key);
+            return toResponse(entry, request);
+        }
+
+        if (isStorable(response, range)) {
+            const headers = {};
+            for (let name of STORED_HEADERS) {
+                if (response.headers[name] !== undefined) {
+                    headers[name] = response.headers[name];
+                }
+            }
+            const now = Date.now();
+            await this.put({
+                key,
+                url,
+                range,
+                status: response.status,
+                headers,
+                etag: headers["etag"],
+                lastModified: headers["last-modified"],
+                size: response.response.byteLength,
+                storedAt: now,
+                lastAccess: now,
+                data: response.response.slice(0)
+            });
+        }
+        return response;
+    }
+
+    async put(entry) {
+        if (entry.size > this.maxBytes) {
+            return;
+        }
+        const index = await this.getIndex();
+
+        // Entries for other versions of the resource are obsolete
+        for (let [key, metadata] of index) {
+            if (metadata.url === entry.url && key !== entry.key && entry.etag && metadata.etag !== entry.etag) {
+                await this.delete(key);
+            }
+        }
+
+        await this.safely(() => this.store.put(entry));
+        index.delete(entry.key);
+        index.set(entry.key, {url: entry.url, etag: entry.etag, size: entry.size, lastAccess: entry.lastAccess});
+        await this.evict();
+    }
+
+    async touch(key) {
+        const now = Date.now();
+        const index = await this.getIndex();
+        const metadata = index.get(key);
+        if (metadata) {
+            metadata.lastAccess = now;
+            index.delete(key);
+            index.set(key, metadata);    // Move to most recently used
+        }
+        await this.safely(() => this.store.touch(key, now));
+    }
+
+    async delete(key) {
+        (await this.getIndex()).delete(key);
+        await this.safely(() => this.store.delete(key));
+    }
+
+    /**
+     * Evict least recently used entries until the total size is within the quota.
+     */
+    async evict() {
+        const index = await this.getIndex();
+        let size = 0;
+        for (let metadata of index.values()) {
+            size += metadata.size;
+        }
+        if (size <= this.maxBytes) {
+            return;
+        }
+        for (let [key, metadata] of Array.from(index.entries())) {
+            if (size <= this.maxBytes) break;
+            await this.delete(key);
+            size -= metadata.size;
+        }
+    }
+
+    /**
+     * Remove entries for the url, or all entries if url is undefined.
+     */
+    async clear(url) {
+        if (url === undefined) {
+            await this.safely(() => this.store.clear());
+            this.index = Promise.resolve(new Map());
+        } else {
+            url = cacheURL(url);
+            const index = await this.getIndex();
+            for (let [key, metadata] of Array.from(index.entries())) {
+                if (metadata.url === url) {
+                    await this.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<number>} the total size of cached entries in bytes
+     */
+    async size() {
+        let size = 0;
+        for (let metadata of (await this.getIndex()).values()) {
+            size += metadata.size;
+        }
+        return size;
+    }
+
+    getIndex() {
+        if (!this.index) {
+            this.index = this.safely(() => this.store.metadata()).then(function (entries) {
+                // The index is kept in least recently used order
+                const index = new Map();
+                for (let m of (entries || []).sort((a, b) => a.lastAccess - b.lastAccess)) {
+                    index.set(m.key, {url: m.url, etag: m.etag, size: m.size, lastAccess: m.lastAccess});
+                }
+                return index;
+            });
+        }
+        return this.index;
+    }
+
+    /**
+     * Storage failures (e.g. quota exceeded, private browsing) disable caching for the operation rather than
+     * failing the load.
+     */
+    async safely(fn) {
+        try {
+            return await fn();
+        } catch (e) {
+            console.warn(`Persistent cache error: ${e.message}`);
+            return undefined;
+        }
+    }
+}
+
+function isStorable(response, range) {
+    if (!(response.response instanceof ArrayBuffer)) {
+        return false;
+    }
+    // A server that ignores the Range header returns the whole resource, do not store it under the range key
+    if (!(range ? response.status === 206 : response.status === 200)) {
+        return false;
+    }
+    const cacheControl = response.headers["cache-control"];
+    return !(cacheControl && /no-store/i.test(cacheControl));
+}
+
+function toResponse(entry, request) {
+    return {
+        status: entry.status,
+        headers: Object.assign({}, entry.headers),
+        response: entry.data.slice(0),
+        url: request.url
+    }
+}
+
+/**
+ * Return the url without presigned url signature parameters, and without the random parameter igvxhr adds to range
+ * requests in Chrome to defeat the browser cache.
+ */
+function cacheURL(url) {
+    const idx = url.indexOf("?");
+    if (idx < 0) {
+        return url;
+    }
+    const signed = isPresigned(url);
+    const params = url.substring(idx + 1).split("&");
+    const kept = params.filter(function (p) {
+        const name = decodeURIComponent(p.split("=")[0]);
+        return name !== CACHE_BUSTER_PARAMETER && !(signed && SIGNATURE_PARAMETERS.test(name));
+    });
+    if (kept.length === params.length) {
+        return url;
+    }
+    return kept.length > 0 ? `${url.substring(0, idx)}?${kept.join("&")}` : url.substring(0, idx);
+}
+
+export default PersistentCache
@@ -0,0 +1,80 @@
+/**
+ * Aggregates download progress over all igvxhr requests in flight.  Listeners receive
+ *
+ *   {loaded, total, requests, url}
+ *
+ * where "loaded" and "total" are summed over the active requests, "requests" is the number of active requests,
+ * and "url" identifies the request that triggered the event.  "total" is undefined if the size of any active
+ * request is unknown.  An event with requests === 0 is sent when the last request completes.
+ */
+class ProgressMonitor {
+
+    constructor() {
+        this.listeners = new Set();
+        this.active = new Map();
+        this.nextId = 1;
+    }
+
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    hasListeners() {
+        return this.listeners.size > 0;
+    }
+
+    /**
+     * Register a new request.
+     *
+     * @param url
+     * @returns {number} an id used for subsequent update() and end() calls
+     */
+    start(url) {
+        const id = this.nextId++;
+        this.active.set(id, {url, loaded: 0, total: undefined});
+        return id;
+    }
+
+    update(id, loaded, total) {
+        const entry = this.active.get(id);
+        if (entry) {
+            entry.loaded = loaded;
+            entry.total = total;
+            this.notify(entry.url);
+        }
+    }
+
+    end(id) {
+        const entry = this.active.get(id);
+        if (entry) {
+            this.active.delete(id);
+            this.notify(entry.url);
+        }
+    }
+
+    notify(url) {
+        if (this.listeners.size === 0) {
+            return;
+        }
+        let loaded = 0;
+        let total = 0;
+        for (let entry of this.active.values()) {
+            loaded += entry.loaded;
+            total = (total === undefined || entry.total === undefined) ? undefined : total + entry.total;
+        }
+        const event = {loaded, total, requests: this.active.size, url};
+        for (let listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error(e);
+            }
+        }
+    }
+}
+
+export default ProgressMonitor
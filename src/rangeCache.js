@@ -0,0 +1,253 @@
+import {AbortError, throwIfAborted} from "./errors.js"
+
+/**
+ * An LRU cache of byte-range blocks, keyed by URL.  Range requests issued in the same tick are sorted and
+ * overlapping or adjacent ranges are merged into a single request.  Later requests for sub-ranges of a cached or
+ * pending block are served from memory.  The total size of cached blocks is limited to maxBytes, least recently
+ * used blocks are evicted first.
+ *
+ * Merged requests are shared by all callers.  Aborting one caller rejects its own promise, the shared request is
+ * aborted when every caller has aborted.  Blocks and requests are only shared between callers with the same identity, e.g. the same
+ * credentials and request headers, so data fetched for one caller is never served to another.
+ */
+class RangeCache {
+
+    /**
+     * @param options
+     *        maxBytes - byte budget for cached blocks, default 64 MB
+     *        mergeGap - pending ranges separated by at most this many bytes are merged, default 0 (adjacent only)
+     *        maxMergeSize - merged requests are not extended beyond this size, default 8 MB
+     */
+    constructor(options) {
+        options = options || {};
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 64 * 1024 * 1024;
+        this.mergeGap = options.mergeGap || 0;
+        this.maxMergeSize = options.maxMergeSize || 8 * 1024 * 1024;
+        this.blocks = new Map();     // key -> [block], block = {start, end, buffer}
+        this.lru = new Map();        // block -> key, in order of last access
+        this.pending = new Map();    // key -> {queue: [], inflight: []}
+        this.size = 0;
+    }
+
+    /**
+     * Return the requested range of the url, from the cache if possible.
+     *
+     * @param url
+     * @param range - {start, size}
+     * @param fetcher - async function (range, signal) => ArrayBuffer, called to fetch (merged) ranges not in the cache.
+     *                  signal is aborted when every caller of the merged request has aborted.
+     * @param signal - optional AbortSignal for this caller
+     * @param identity - optional string identifying the caller's credentials and headers, see above
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async get(url, range, fetcher, signal, identity) {
+
+        throwIfAborted(signal);
+        const key = cacheKey(url, identity);
+
+        const start = range.start;
+        const end = range.start + range.size;
+
+        const block = this.findBlock(key, start, end);
+        if (block) {
+            this.touch(block, key);
+            return block.buffer.slice(start - block.start, end - block.start);
+        }
+
+        let pending = this.pending.get(key);
+        if (!pending) {
+            pending = {queue: [], inflight: []};
+            this.pending.set(key, pending);
+        }
+
+        const inflight = pending.inflight.find(r => r.start <= start && end <= r.end);
+        let promise;
+        if (inflight) {
+            this.addCaller(pending, inflight, signal);
+            promise = inflight.promise.then(b => b.slice(start - inflight.start, end - inflight.start));
+        } else {
+            promise = this.enqueue(key, pending, start, end, fetcher, signal);
+        }
+
+        return signal ? abortable(promise, signal) : promise;
+    }
+
+    enqueue(key, pending, start, end, fetcher, signal) {
+        return new Promise((resolve, reject) => {
+            pending.queue.push({start, end, resolve, reject, signal});
+            if (pending.queue.length === 1) {
+                setTimeout(() => this.flush(key, pending, fetcher), 0);
+            }
+        })
+    }
+
+    /**
+     * Merge queued ranges and issue one request per merged range.
+     */
+    flush(key, pending, fetcher) {
+
+        // Callers that aborted while queued are dropped
+        const queue = pending.queue.filter(r => !(r.signal && r.signal.aborted)).sort((a, b) => a.start - b.start);
+        pending.queue = [];
+
+        const merged = [];
+        for (let r of queue) {
+            const last = merged[merged.length - 1];
+            if (last && r.start <= last.end + this.mergeGap && Math.max(last.end, r.end) - last.start <= this.maxMergeSize) {
+                last.end = Math.max(last.end, r.end);
+                last.members.push(r);
+            } else {
+                merged.push({start: r.start, end: r.end, members: [r]});
+            }
+        }
+
+        for (let m of merged) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+            const inflight = {start: m.start, end: m.end, controller, callers: 0};
+            inflight.promise = Promise.resolve()
+                .then(() => fetcher({start: m.start, size: m.end - m.start}, controller ? controller.signal : undefined))
+                .then(buffer => {
+                    this.addBlock(key, {start: m.start, end: m.start + buffer.byteLength, buffer});
+                    return buffer;
+                });
+            pending.inflight.push(inflight);
+            for (let r of m.members) {
+                this.addCaller(pending, inflight, r.signal);
+            }
+
+            inflight.promise
+                .then(buffer => {
+                    for (let r of m.members) {
+                        r.resolve(buffer.slice(r.start - m.start, r.end - m.start));
+                    }
+                }, error => {
+                    for (let r of m.members) {
+                        r.reject(error);
+                    }
+                })
+                .finally(() => this.removeInflight(key, pending, inflight));
+        }
+    }
+
+    /**
+     * Count a caller of the inflight request.  The request is aborted, and no longer joined by new callers, when
+     * every caller has aborted.  Callers without a signal never abort.
+     */
+    addCaller(pending, inflight, signal) {
+        inflight.callers++;
+        if (signal) {
+            const onAbort = () => {
+                if (--inflight.callers === 0) {
+                    const idx = pending.inflight.indexOf(inflight);
+                    if (idx >= 0) pending.inflight.splice(idx, 1);
+                    if (inflight.controller) {
+                        inflight.controller.abort();
+                    }
+                }
+            }
+            const done = () => signal.removeEventListener("abort", onAbort);
+            signal.addEventListener("abort", onAbort);
+            inflight.promise.then(done, done);
+        }
+    }
+
+    removeInflight(key, pending, inflight) {
+        const idx = pending.inflight.indexOf(inflight);
+        if (idx >= 0) pending.inflight.splice(idx, 1);
+        if (pending.inflight.length === 0 && pending.queue.length === 0 && this.pending.get(key) === pending) {
+            this.pending.delete(key);
+        }
+    }
+
+    findBlock(key, start, end) {
+        const blocks = this.blocks.get(key);
+        if (blocks) {
+            return blocks.find(b => b.start <= start && end <= b.end);
+        }
+    }
+
+    addBlock(key, block) {
+        const size = block.buffer.byteLength;
+        if (size === 0 || size > this.maxBytes) {
+            return;
+        }
+        let blocks = this.blocks.get(key);
+        if (!blocks) {
+            blocks = [];
+            this.blocks.set(key, blocks);
+        }
+        // Drop blocks made redundant by the new one
+        for (let b of blocks.filter(b => block.start <= b.start && b.end <= block.end)) {
+            this.removeBlock(key, b);
+        }
+        blocks.push(block);
+        this.lru.set(block, key);
+        this.size += size;
+        this.evict();
+    }
+
+    removeBlock(key, block) {
+        const blocks = this.blocks.get(key);
+        if (blocks) {
+            const idx = blocks.indexOf(block);
+            if (idx >= 0) {
+                blocks.splice(idx, 1);
+                this.size -= block.buffer.byteLength;
+                if (blocks.length === 0) {
+                    this.blocks.delete(key);
+                }
+            }
+        }
+        this.lru.delete(block);
+    }
+
+    touch(block, key) {
+        this.lru.delete(block);
+        this.lru.set(block, key);
+    }
+
+    evict() {
+        for (let [block, key] of this.lru) {
+            if (this.size <= this.maxBytes) break;
+            this.removeBlock(key, block);
+        }
+    }
+
+    /**
+     * Remove cached blocks for the url, for all identities, or all blocks if url is undefined.
+     */
+    clear(url) {
+        if (url === undefined) {
+            this.blocks.clear();
+            this.lru.clear();
+            this.size = 0;
+        } else {
+            for (let key of Array.from(this.blocks.keys())) {
+                if (key === url || key.startsWith(url + KEY_SEPARATOR)) {
+                    for (let b of this.blocks.get(key).slice()) {
+                        this.removeBlock(key, b);
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Not allowed in urls, separates the url from the identity in cache keys
+const KEY_SEPARATOR = "\t";
+
+function cacheKey(url, identity) {
+    return identity ? url + KEY_SEPARATOR + identity : url;
+}
+
+function abortable(promise, signal) {
+    return new Promise(function (resolve, reject) {
+        const onAbort = function () {
+            reject(new AbortError());
+        }
+        signal.addEventListener("abort", onAbort);
+        promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    })
+}
+
+export default RangeCache
@@ -0,0 +1,145 @@
+import Throttle from "./throttle.js"
+import {wildcardToRegExp} from "./oauth.js"
+
+/**
+ * Table of per-host request policies.  Keys are host patterns, which may contain "*" wildcards
+ * (e.g. "*.example.org"), and optionally a path (e.g. "www.googleapis.com/drive/*") to limit only part of a
+ * host.  A policy is an object with any of
+ *
+ *   requestsPerSecond  - maximum rate at which requests are started
+ *   burst              - number of requests that may start at once before the rate applies, default 1
+ *   maxConcurrent      - maximum number of requests in flight
+ *
+ * Limits apply per host, so "*.example.org" limits a.example.org and b.example.org independently.  A policy is
+ * selected by exact host match if present, otherwise by the first matching pattern in insertion order.
+ */
+
+const defaultPolicies = {
+    "www.googleapis.com/drive/*": {requestsPerSecond: 8},
+    "drive.google.com": {requestsPerSecond: 8},
+    "www.dropbox.com": {requestsPerSecond: 8},
+    "dl.dropboxusercontent.com": {requestsPerSecond: 8}
+}
+
+let policies = {};
+
+// Throttles keyed by pattern and host
+let throttles = new Map();
+
+/**
+ * Set the policy for a host pattern, replacing any previous policy.  Passing undefined removes the pattern.
+ *
+ * @param pattern - host pattern, e.g. "data.example.org" or "*.example.org"
+ * @param policy - {requestsPerSecond, burst, maxConcurrent}
+ */
+function setRateLimit(pattern, policy) {
+    if (policy === undefined || policy === null) {
+        removeRateLimit(pattern);
+        return;
+    }
+    for (let key of ["requestsPerSecond", "burst", "maxConcurrent"]) {
+        const value = policy[key];
+        if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+            throw Error(`Invalid rate limit for '${pattern}': ${key} must be a positive number`);
+        }
+    }
+    policies[pattern] = Object.assign({}, policy);
+    clearThrottles(pattern);
+}
+
+/**
+ * Set policies from a configuration object keyed by host pattern, e.g.
+ *
+ *   {"*.example.org": {maxConcurrent: 4}, "data.example.com": {requestsPerSecond: 50, burst: 10}}
+ */
+function setRateLimits(config) {
+    for (let pattern of Object.keys(config)) {
+        setRateLimit(pattern, config[pattern]);
+    }
+}
+
+/**
+ * @returns {boolean} true if a policy was removed
+ */
+function removeRateLimit(pattern) {
+    if (policies.hasOwnProperty(pattern)) {
+        delete policies[pattern];
+        clearThrottles(pattern);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Return a copy of the policy table.
+ */
+function getRateLimits() {
+    const result = {};
+    for (let pattern of Object.keys(policies)) {
+        result[pattern] = Object.assign({}, policies[pattern]);
+    }
+    return result;
+}
+
+/**
+ * Remove all custom policies and restore the defaults.
+ */
+function resetRateLimits() {
+    policies = {};
+    throttles = new Map();
+    setRateLimits(defaultPolicies);
+}
+
+/**
+ * Return the throttle for the url, or undefined if no policy applies.
+ */
+function getThrottle(url) {
+    let location;
+    try {
+        location = new URL(url);
+    } catch (e) {
+        return undefined;   // Not an absolute url, e.g. a local file path
+    }
+    const host = location.hostname;
+    const pattern = findPattern(host, host + location.pathname);
+    if (pattern === undefined) {
+        return undefined;
+    }
+    const key = `${pattern} ${location.host}`;
+    let throttle = throttles.get(key);
+    if (!throttle) {
+        const policy = policies[pattern];
+        throttle = new Throttle({
+            requestsPerSecond: policy.requestsPerSecond || Infinity,
+            burst: policy.burst,
+            maxConcurrent: policy.maxConcurrent
+        });
+        throttles.set(key, throttle);
+    }
+    return throttle;
+}
+
+function findPattern(host, hostAndPath) {
+    if (policies.hasOwnProperty(host)) {
+        return host;
+    }
+    for (let pattern of Object.keys(policies)) {
+        const target = pattern.includes("/") ? hostAndPath : host;
+        if (wildcardToRegExp(pattern).test(target)) {
+            return pattern;
+        }
+    }
+    return undefined;
+}
+
+function clearThrottles(pattern) {
+    for (let key of Array.from(throttles.keys())) {
+        if (key.startsWith(pattern + " ")) {
+            throttles.delete(key);
+        }
+    }
+}
+
+resetRateLimits();
+
+export {setRateLimit, setRateLimits, removeRateLimit, getRateLimits, resetRateLimits, getThrottle}
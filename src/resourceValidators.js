@@ -0,0 +1,113 @@
+import {ResourceChangedError} from "./errors.js"
+import {nodeFilePath} from "./localResource.js"
+
+/**
+ * Records the ETag / Last-Modified validators of the first response for each url, and the lastModified timestamp
+ * of local files, to detect resources that change between reads.  Used by igvxhr in consistency mode.
+ *
+ * Conditional requests use If-Match for strong ETags and If-Unmodified-Since when only Last-Modified is
+ * available.  Weak ETags cannot be used with If-Match, they are compared with the value of each response instead.
+ * Note that for cross-origin requests these headers trigger a CORS preflight, and the server must expose the ETag
+ * and Last-Modified headers (Access-Control-Expose-Headers).
+ */
+class ResourceValidators {
+
+    constructor() {
+        this.validators = new Map();
+        this.files = new WeakMap();
+        this.paths = new Map();     // Node file paths
+    }
+
+    /**
+     * Return conditional request headers for the url, if validators have been recorded.
+     */
+    conditionalHeaders(url) {
+        const v = this.validators.get(url);
+        if (!v) {
+            return {};
+        } else if (v.etag && !v.etag.startsWith("W/")) {
+            return {"If-Match": v.etag};
+        } else if (!v.etag && v.lastModified) {
+            return {"If-Unmodified-Since": v.lastModified};
+        } else {
+            return {};
+        }
+    }
+
+    /**
+     * Record the validators from the response headers, or throw a ResourceChangedError if they differ from the
+     * recorded values.
+     *
+     * @param url
+     * @param headers - response headers, keyed by lower-case name
+     */
+    check(url, headers) {
+        const current = {etag: headers["etag"], lastModified: headers["last-modified"]};
+        if (current.etag === undefined && current.lastModified === undefined) {
+            return;
+        }
+        const previous = this.validators.get(url);
+        if (!previous) {
+            this.validators.set(url, current);
+        } else if (changed(previous, current)) {
+            throw new ResourceChangedError(url, previous, current);
+        }
+    }
+
+    /**
+     * Record the lastModified timestamp and size of a local resource, or throw a ResourceChangedError if they have
+     * changed.
+     *
+     * @param resource - LocalResource, see localResource.js
+     * @param stat - the result of resource.stat()
+     */
+    checkFile(resource, stat) {
+        if (stat.lastModified === undefined) {
+            return;
+        }
+        const key = resource.key;
+        const files = typeof key === 'string' ? this.paths : this.files;
+        const current = {lastModified: stat.lastModified, size: stat.size};
+        const previous = files.get(key);
+        if (!previous) {
+            files.set(key, current);
+        } else if (previous.lastModified !== current.lastModified || previous.size !== current.size) {
+            throw new ResourceChangedError(resource.name, previous, current);
+        }
+    }
+
+    /**
+     * Forget the recorded validators for the url, local file path, or File, or for all resources if undefined.
+     */
+    clear(url) {
+        if (url === undefined) {
+            this.validators.clear();
+            this.files = new WeakMap();
+            this.paths.clear();
+        } else if (typeof url === 'string') {
+            this.validators.delete(url);
+            this.paths.delete(nodeFilePath(url));      // Paths are recorded without the file:// scheme
+        } else {
+            this.files.delete(url);
+        }
+    }
+}
+
+function changed(previous, current) {
+    if (previous.etag !== undefined && current.etag !== undefined) {
+        return normalizeETag(previous.etag) !== normalizeETag(current.etag);
+    } else if (previous.lastModified !== undefined && current.lastModified !== undefined) {
+        return previous.lastModified !== current.lastModified;
+    } else {
+        return false;
+    }
+}
+
+/**
+ * Weak comparison, see https://httpwg.org/specs/rfc7232.html#entity.tag.comparison
+ */
+function normalizeETag(etag) {
+    return etag.startsWith("W/") ? etag.substring(2) : etag;
+}
+
+export default ResourceValidators
@@ -0,0 +1,123 @@
+import {AbortError, throwIfAborted} from "./errors.js"
+
+/**
+ * Retry policy for igvxhr requests.  Requests that fail with a retryable HTTP status or a network error are
+ * retried with exponential backoff.  The policy can be set globally with igvxhr.setRetryPolicy(), and overridden
+ * per call with options.retry.  Setting options.retry = false disables retries for a call.
+ *
+ *   maxAttempts          - total number of attempts, including the first.  1 disables retries
+ *   initialDelay         - delay in milliseconds before the first retry
+ *   maxDelay             - upper bound on the delay between attempts
+ *   backoffFactor        - multiplier applied to the delay after each attempt
+ *   jitter               - if true the delay is randomized between 0 and the computed backoff ("full jitter")
+ *   respectRetryAfter    - if true a Retry-After response header overrides the computed delay, capped at maxDelay
+ *   retryOn              - HTTP status codes that are retried
+ *   retryOnNetworkError  - if true network errors and timeouts are retried
+ *   methods              - HTTP methods that are retried.  Non-idempotent methods are excluded by default.
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    initialDelay: 500,
+    maxDelay: 30000,
+    backoffFactor: 2,
+    jitter: true,
+    respectRetryAfter: true,
+    retryOn: [429, 500, 502, 503, 504],
+    retryOnNetworkError: true,
+    methods: ["GET", "HEAD"]
+}
+
+/**
+ * Merge a per-call retry option with the global policy.
+ *
+ * @param policy - the global policy
+ * @param option - options.retry, one of undefined, false, a number (maxAttempts), or a partial policy object
+ * @returns the effective policy
+ */
+function resolveRetryPolicy(policy, option) {
+    if (option === false) {
+        return Object.assign({}, policy, {maxAttempts: 1});
+    } else if (typeof option === 'number') {
+        return Object.assign({}, policy, {maxAttempts: option});
+    } else if (option) {
+        return Object.assign({}, policy, option);
+    } else {
+        return policy;
+    }
+}
+
+function isRetryableMethod(policy, method) {
+    return policy.methods.includes((method || "GET").toUpperCase());
+}
+
+function isRetryableStatus(policy, status) {
+    return policy.retryOn.includes(status);
+}
+
+function isRetryableError(policy, error) {
+    return policy.retryOnNetworkError && !(error instanceof AbortError);
+}
+
+/**
+ * Compute the delay before the next attempt.
+ *
+ * @param policy
+ * @param attempt - the attempt that just failed, starting at 1
+ * @param retryAfter - value of the Retry-After header, if any
+ * @returns {number} delay in milliseconds
+ */
+function retryDelay(policy, attempt, retryAfter) {
+    if (policy.respectRetryAfter && retryAfter !== undefined) {
+        const delay = parseRetryAfter(retryAfter);
+        if (delay !== undefined) {
+            return Math.min(delay, policy.maxDelay);
+        }
+    }
+    const backoff = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.backoffFactor, attempt - 1));
+    return policy.jitter ? Math.random() * backoff : backoff;
+}
+
+/**
+ * Parse a Retry-After header value, which is either a number of seconds or an HTTP date.
+ *
+ * @param value
+ * @returns {number|undefined} delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for the given number of milliseconds.  Rejects with an AbortError if the signal is aborted while waiting.
+ */
+function sleep(ms, signal) {
+    return new Promise(function (resolve, reject) {
+        throwIfAborted(signal);
+        const onAbort = function () {
+            clearTimeout(timer);
+            reject(new AbortError());
+        }
+        const timer = setTimeout(function () {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    })
+}
+
+export {
+    DEFAULT_RETRY_POLICY, resolveRetryPolicy, isRetryableMethod, isRetryableStatus, isRetryableError, retryDelay,
+    parseRetryAfter, sleep
+}
@@ -0,0 +1,151 @@
+/**
+ * Utilities for presigned urls (AWS S3, Google Cloud Storage, Azure SAS, CloudFront).
+ */
+
+/**
+ * Return the expiration time of a presigned url in milliseconds since the epoch, or undefined if the url is not
+ * signed or has no recognizable expiration.
+ *
+ * @param url
+ * @returns {number|undefined}
+ */
+function getExpiration(url) {
+    const params = queryParameters(url);
+
+    // AWS and Google V4 signatures: signing date + expires (seconds)
+    for (let prefix of ["x-amz-", "x-goog-"]) {
+        const date = params[prefix + "date"];
+        const expires = params[prefix + "expires"];
+        if (date && expires) {
+            const signed = parseCompactDate(date);
+            if (signed !== undefined && !isNaN(parseInt(expires))) {
+                return signed + parseInt(expires) * 1000;
+            }
+        }
+    }
+
+    // Azure SAS: signed expiry, ISO 8601
+    if (params["se"] && params["sig"]) {
+        const time = Date.parse(params["se"]);
+        if (!isNaN(time)) {
+            return time;
+        }
+    }
+
+    // AWS V2, Google V2, CloudFront: expires (seconds since the epoch)
+    if (params["expires"] && (params["signature"] || params["x-goog-signature"])) {
+        const seconds = parseInt(params["expires"]);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Return true if the url is a presigned url that expires within marginMs milliseconds, or has expired.
+ */
+function isExpiring(url, marginMs) {
+    const expiration = getExpiration(url);
+    return expiration !== undefined && Date.now() >= expiration - (marginMs || 0);
+}
+
+/**
+ * Return true if the url is presigned, i.e. it has a recognizable expiration or a signature parameter.
+ */
+function isPresigned(url) {
+    return getExpiration(url) !== undefined || /[?&](x-amz-signature|x-goog-signature|signature|sig)=/i.test(url);
+}
+
+/**
+ * Tracks replacements for expiring presigned urls.  Urls are refreshed by an application supplied function
+ * refreshUrl(originalUrl) => url (or a promise for it), and the replacement is used for later requests for the
+ * original url.  Concurrent refreshes of the same url share one call.
+ */
+class SignedUrlRefresher {
+
+    constructor() {
+        this.urls = new Map();      // original url -> current replacement
+        this.pending = new Map();   // original url -> Promise for the replacement
+        this.margin = 60 * 1000;    // Refresh urls expiring within a minute
+    }
+
+    /**
+     * Return the url to use for the original url, the latest replacement if it has been refreshed.
+     */
+    current(url) {
+        return this.urls.has(url) ? this.urls.get(url) : url;
+    }
+
+    needsRefresh(url) {
+        return isExpiring(this.current(url), this.margin);
+    }
+
+    /**
+     * Obtain a new url for the original url.
+     *
+     * @param url - original url
+     * @param refreshUrl - function (originalUrl) => url or Promise
+     * @param staleUrl - the url that failed or is expiring.  If it has already been replaced the current replacement
+     *                   is returned without calling refreshUrl.
+     * @returns {Promise<string>}
+     */
+    async refresh(url, refreshUrl, staleUrl) {
+        if (staleUrl !== undefined && this.current(url) !== staleUrl) {
+            return this.current(url);
+        }
+        if (!this.pending.has(url)) {
+            const promise = Promise.resolve(refreshUrl(url)).then((fresh) => {
+                if (typeof fresh !== 'string' || fresh.length === 0) {
+                    throw Error(`refreshUrl did not return a url for ${url}`);
+                }
+                this.urls.set(url, fresh);
+                return fresh;
+            });
+            const done = () => this.pending.delete(url);
+            promise.then(done, done);
+            this.pending.set(url, promise);
+        }
+        return this.pending.get(url);
+    }
+
+    /**
+     * Forget the replacement for the url, or all urls if undefined.
+     */
+    clear(url) {
+        if (url === undefined) {
+            this.urls.clear();
+        } else {
+            this.urls.delete(url);
+        }
+    }
+}
+
+/**
+ * Return the query parameters of the url, keyed by lower-case name.
+ */
+function queryParameters(url) {
+    const params = {};
+    const idx = url.indexOf("?");
+    if (idx < 0) {
+        return params;
+    }
+    const query = url.substring(idx + 1).split("#")[0];
+    for (let p of query.split("&")) {
+        const eq = p.indexOf("=");
+        const name = decodeURIComponent(eq < 0 ? p : p.substring(0, eq)).toLowerCase();
+        params[name] = eq < 0 ? "" : decodeURIComponent(p.substring(eq + 1).replace(/\+/g, " "));
+    }
+    return params;
+}
+
+/**
+ * Parse a date in the compact ISO 8601 form used by V4 signatures, e.g. 20130524T000000Z.
+ */
+function parseCompactDate(date) {
+    const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(date);
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : undefined;
+}
+
+export {getExpiration, isExpiring, isPresigned, SignedUrlRefresher}
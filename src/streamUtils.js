@@ -0,0 +1,151 @@
+/**
+ * Utilities for incrementally processing response bodies.  A "chunk source" is an async iterable of Uint8Arrays.
+ */
+
+import {createTextDecoder} from "./encoding.js";
+import {toUint8Array} from "./byteUtils.js";
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Normalize a response body to a chunk source.  Accepts a ReadableStream, an (async) iterable of chunks, an
+ * ArrayBuffer or typed array, or a string.
+ */
+function toChunks(body) {
+    if (body === undefined || body === null) {
+        return bufferChunks(new Uint8Array(0));
+    } else if (typeof body.getReader === 'function') {
+        return readableStreamChunks(body);
+    } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        return bufferChunks(toUint8Array(body));
+    } else if (typeof body === 'string') {
+        return bufferChunks(new TextEncoder().encode(body));
+    } else if (typeof body[Symbol.asyncIterator] === 'function' || typeof body[Symbol.iterator] === 'function') {
+        return iterableChunks(body);
+    } else {
+        throw Error("Unsupported body type");
+    }
+}
+
+async function* bufferChunks(bytes) {
+    if (bytes.length > 0) {
+        yield bytes;
+    }
+}
+
+async function* iterableChunks(iterable) {
+    for await (let chunk of iterable) {
+        yield toUint8Array(chunk);
+    }
+}
+
+/**
+ * ReadableStreams are not async iterable in all browsers, use a reader.
+ */
+async function* readableStreamChunks(stream) {
+    const reader = stream.getReader();
+    try {
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) break;
+            yield toUint8Array(value);
+        }
+    } finally {
+        reader.cancel().catch(function () {
+        });
+    }
+}
+
+/**
+ * Chunk source for a File or Blob.  Uses blob.stream() when available, otherwise reads successive slices.
+ */
+async function* blobChunks(blob, chunkSize) {
+    if (typeof blob.stream === 'function') {
+        let stream;
+        try {
+            stream = blob.stream();
+        } catch (e) {
+            // Not supported, read slices below
+        }
+        if (stream) {
+            yield* toChunks(stream);
+            return;
+        }
+    }
+    chunkSize = chunkSize || DEFAULT_CHUNK_SIZE;
+    for (let start = 0; start < blob.size; start += chunkSize) {
+        const slice = blob.slice(start, Math.min(blob.size, start + chunkSize));
+        yield new Uint8Array(await slice.arrayBuffer());
+    }
+}
+
+/**
+ * Return the bytes [start, end) of a chunk source.  Used when a server ignores a Range header for a streamed body.
+ */
+async function* sliceChunks(chunks, start, end) {
+    let position = 0;
+    for await (let chunk of chunks) {
+        const chunkStart = position;
+        position += chunk.length;
+        if (position <= start) continue;
+        yield chunk.subarray(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart));
+        if (position >= end) break;
+    }
+}
+
+/**
+ * Split a chunk source of text into lines.  Lines may be terminated by "\n", "\r\n", or "\r", consistent
+ * with StringUtils.splitLines.  A terminator at the very end of the source does not produce a trailing empty line.
+ *
+ * @param chunks - chunk source
+ * @param options - {encoding, encodingFallback}, see encoding.js.  Default is UTF-8, or the encoding given by a byte
+ *                  order mark.
+ */
+async function* splitLines(chunks, options) {
+
+    let partial = "";
+    let pendingCR = false;   // Previous chunk ended with \r, a \n at the start of the next chunk belongs to it
+
+    for await (let text of decodeChunks(chunks, options)) {
+        if (text.length === 0) continue;    // e.g. a chunk ending inside a multi-byte character
+        if (pendingCR && text.startsWith("\n")) {
+            text = text.substring(1);
+        }
+        pendingCR = false;
+        if (text.length === 0) continue;
+
+        let start = 0;
+        const len = text.length;
+        for (let i = 0; i < len; i++) {
+            const c = text.charCodeAt(i);
+            if (c === 10 || c === 13) {
+                const line = partial + text.substring(start, i);
+                partial = "";
+                if (c === 13) {
+                    if (i + 1 < len) {
+                        if (text.charCodeAt(i + 1) === 10) i++;
+                    } else {
+                        pendingCR = true;
+                    }
+                }
+                start = i + 1;
+                yield line;
+            }
+        }
+        partial += text.substring(start);
+    }
+
+    if (partial.length > 0) {
+        yield partial;
+    }
+}
+
+async function* decodeChunks(chunks, options) {
+    const decoder = createTextDecoder(options);
+    for await (let chunk of chunks) {
+        yield decoder.decode(chunk, {stream: true});
+    }
+    yield decoder.decode();
+}
+
+export {toChunks, blobChunks, sliceChunks, splitLines}
@@ -25,16 +25,26 @@
 
 'use strict';
 
+import {AbortError} from "./errors.js"
+
 /**
  * @constructor
  * @param {Object} options A set op options to pass to the throttle function
  *        @param {number} requestsPerSecond The amount of requests per second
- *                                          the library will limit to
+ *                                          the library will limit to.  Pass Infinity for no rate limit.
+ *        @param {number} burst The number of requests that can be started at once before the rate
+ *                              limit applies, default 1
+ *        @param {number} maxConcurrent The maximum number of functions executing at one time, default unlimited
  */
 class Throttle {
     constructor(options) {
         this.requestsPerSecond = options.requestsPerSecond || 10;
-        this.lastStartTime = 0;
+        this.burst = Math.max(1, options.burst || 1);
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.timer = undefined;
         this.queued = [];
     }
 
@@ -42,17 +52,41 @@ class Throttle {
      * Adds a promise
      * @param {Function} async function to be executed
      * @param {Object} options A set of options.
+     * @param {AbortSignal} options.signal An AbortSignal object that can be used to abort the returned promise.  If
+     *                                     aborted while queued the function is removed from the queue without
+     *                                     being executed.
      * @return {Promise} A promise
      */
     add(asyncFunction, options) {
 
         var self = this;
+        const signal = options && options.signal;
         return new Promise(function (resolve, reject) {
-            self.queued.push({
+
+            if (signal && signal.aborted) {
+                reject(new AbortError());
+                return;
+            }
+
+            const candidate = {
                 resolve: resolve,
                 reject: reject,
                 asyncFunction: asyncFunction,
-            });
+            };
+
+            if (signal) {
+                candidate.onAbort = function () {
+                    const idx = self.queued.indexOf(candidate);
+                    if (idx >= 0) {
+                        self.queued.splice(idx, 1);
+                        reject(new AbortError());
+                    }
+                };
+                signal.addEventListener("abort", candidate.onAbort);
+                candidate.signal = signal;
+            }
+
+            self.queued.push(candidate);
             self.dequeue();
         });
     }
@@ -61,7 +95,7 @@ class Throttle {
      * Adds all the promises passed as parameters
      * @param {Function} promises An array of functions that return a promise
      * @param {Object} options A set of options.
-     * @param {number} options.signal An AbortSignal object that can be used to abort the returned promise
+     * @param {AbortSignal} options.signal An AbortSignal object that can be used to abort the returned promise
      * @param {number} options.weight A "weight" of each operation resolving by array of promises
      * @return {Promise} A promise that succeeds when all the promises passed as options do
      */
@@ -74,23 +108,43 @@ class Throttle {
     };
 
     /**
-     * Dequeues a promise
+     * Dequeues promises while the rate and concurrency limits allow
      * @return {void}
      */
     dequeue() {
-        if (this.queued.length > 0) {
-            var now = new Date(),
-                inc = (1000 / this.requestsPerSecond) + 1,
-                elapsed = now - this.lastStartTime;
-
-            if (elapsed >= inc) {
-                this._execute();
-            } else {
+        while (this.queued.length > 0 && this.active < this.maxConcurrent) {
+            const wait = this._acquire();
+            if (wait > 0) {
                 // we have reached the limit, schedule a dequeue operation
-                setTimeout(function () {
-                    this.dequeue();
-                }.bind(this), inc - elapsed);
+                if (!this.timer) {
+                    this.timer = setTimeout(function () {
+                        this.timer = undefined;
+                        this.dequeue();
+                    }.bind(this), wait);
+                }
+                return;
             }
+            this._execute();
+        }
+    }
+
+    /**
+     * Take a token from the bucket
+     * @private
+     * @return {number} 0 if a token was taken, otherwise the milliseconds until one is available
+     */
+    _acquire() {
+        if (this.requestsPerSecond === Infinity) {
+            return 0;
+        }
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000);
+        this.lastRefill = now;
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        } else {
+            return Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
         }
     }
 
@@ -100,16 +154,21 @@ class Throttle {
      * @return {void}
      */
     async _execute() {
-        this.lastStartTime = new Date();
+        this.active++;
         var candidate = this.queued.shift();
+        if (candidate.signal) {
+            candidate.signal.removeEventListener("abort", candidate.onAbort);
+        }
         const f = candidate.asyncFunction;
         try {
             const r = await f();
             candidate.resolve(r);
         } catch (e) {
             candidate.reject(e);
+        } finally {
+            this.active--;
+            this.dequeue();
         }
-
     }
 
 
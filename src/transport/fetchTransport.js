@@ -0,0 +1,198 @@
+import {normalizeHeaders, networkError, timeoutError} from "./transportUtils.js"
+import {AbortError} from "../errors.js"
+
+/**
+ * Transport based on the WHATWG fetch API.  Available in modern browsers, web workers, Deno, and Node >= 18.
+ */
+const fetchTransport = {
+
+    name: "fetch",
+
+    isAvailable: function () {
+        return typeof fetch === 'function';
+    },
+
+    /**
+     * @param request  {url, method, headers, body, responseType, timeout, withCredentials, signal, onProgress}.
+     *                 responseType "stream" returns successful response bodies as an async iterable of Uint8Arrays.
+     * @returns {Promise<{status, headers, response, url}>}
+     */
+    request: async function (request) {
+
+        const url = request.url;
+        const init = {
+            method: request.method || "GET",
+            headers: request.headers || {},
+            credentials: request.withCredentials === true ? "include" : "same-origin"
+        }
+        if (request.body !== undefined && request.body !== null) {
+            init.body = request.body;
+        }
+
+        // A single controller is used for both timeouts and the caller's abort signal
+        const signal = request.signal;
+        if (signal && signal.aborted) {
+            throw new AbortError();
+        }
+        let timer;
+        let timedOut = false;
+        let onAbort;
+        if ((request.timeout || signal) && typeof AbortController !== 'undefined') {
+            const controller = new AbortController();
+            init.signal = controller.signal;
+            if (request.timeout) {
+                timer = setTimeout(function () {
+                    timedOut = true;
+                    controller.abort();
+                }, request.timeout);
+            }
+            if (signal) {
+                onAbort = function () {
+                    controller.abort();
+                }
+                signal.addEventListener("abort", onAbort);
+            }
+        }
+
+        const cleanup = function () {
+            if (timer) {
+                clearTimeout(timer);
+            }
+            if (onAbort) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        }
+
+        let streaming = false;
+        try {
+            let response;
+            try {
+                response = await fetch(url, init);
+            } catch (e) {
+                throw transportError(url, e, timedOut, signal);
+            }
+
+            let body;
+            if (request.responseType === "stream" && response.ok && response.body) {
+                // The timer and abort listener stay active until the body has been consumed
+                streaming = true;
+                body = streamBody(response, url, request.onProgress, cleanup, () => timedOut, signal);
+            } else {
+                try {
+                    // Error bodies (e.g. an html 404 page) are returned as text, they are not parsed as json
+                    const responseType = request.responseType === "stream" ? "arraybuffer" :
+                        request.responseType === "json" && !response.ok ? "text" : request.responseType;
+                    body = typeof request.onProgress === 'function' && response.body ?
+                        await readBodyWithProgress(response, responseType, request.onProgress) :
+                        await readBody(response, responseType);
+                } catch (e) {
+                    throw transportError(url, e, timedOut, signal);
+                }
+            }
+
+            return {
+                status: response.status,
+                headers: normalizeHeaders(response.headers),
+                response: body,
+                url: response.url || url
+            }
+        } finally {
+            if (!streaming) {
+                cleanup();
+            }
+        }
+    }
+}
+
+/**
+ * Return the response body as an async iterable of Uint8Array chunks.
+ */
+async function* streamBody(response, url, onProgress, cleanup, isTimedOut, signal) {
+
+    const contentLength = response.headers.get("content-length");
+    const total = contentLength ? parseInt(contentLength) : undefined;
+    const reader = response.body.getReader();
+    let loaded = 0;
+    try {
+        while (true) {
+            let result;
+            try {
+                result = await reader.read();
+            } catch (e) {
+                throw transportError(url, e, isTimedOut(), signal);
+            }
+            if (result.done) break;
+            loaded += result.value.length;
+            if (typeof onProgress === 'function') {
+                onProgress(loaded, total);
+            }
+            yield result.value;
+        }
+    } finally {
+        reader.cancel().catch(function () {
+        });
+        cleanup();
+    }
+}
+
+function transportError(url, e, timedOut, signal) {
+    if (timedOut) {
+        return timeoutError(url);
+    } else if (signal && signal.aborted) {
+        return new AbortError();
+    } else {
+        return networkError(url, e);
+    }
+}
+
+async function readBody(response, responseType) {
+    switch (responseType) {
+        case "arraybuffer":
+            return response.arrayBuffer();
+        case "blob":
+            return response.blob();
+        case "json":
+            return response.json();
+        default:
+            return response.text();
+    }
+}
+
+/**
+ * Read the response body stream, reporting progress as chunks arrive.
+ */
+async function readBodyWithProgress(response, responseType, onProgress) {
+
+    const contentLength = response.headers.get("content-length");
+    const total = contentLength ? parseInt(contentLength) : undefined;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    while (true) {
+        const {done, value} = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress(loaded, total);
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (let chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    switch (responseType) {
+        case "arraybuffer":
+            return bytes.buffer;
+        case "blob":
+            return new Blob([bytes]);
+        case "json":
+            return JSON.parse(new TextDecoder().decode(bytes));
+        default:
+            return new TextDecoder().decode(bytes);
+    }
+}
+
+export default fetchTransport
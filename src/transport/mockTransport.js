@@ -0,0 +1,262 @@
+import {getHeader, parseRangeHeader, toArrayBuffer, networkError, timeoutError} from "./transportUtils.js"
+import {throwIfAborted} from "../errors.js"
+import {nodeModule, isNode} from "../nodeUtils.js"
+import {sleep} from "../retry.js"
+
+/**
+ * Transport that answers requests from a route table instead of the network, for testing loading logic.
+ *
+ *   const transport = igvxhr.setMockTransport({
+ *       "https://example.org/data/*.bam": "test/data/reads.bam",               // fixture file
+ *       "https://example.org/index.json": {body: '{"tracks": []}', headers: {"Content-Type": "application/json"}},
+ *       "https://example.org/private/*": {status: 403},
+ *       "https://example.org/flaky": {error: "network"},
+ *       "https://example.org/echo": (request) => ({body: request.headers["X-Token"]})
+ *   }, {latency: 20})
+ *   ...
+ *   transport.requests   // [{url, method, headers, range, body, time}]
+ *
+ * Route patterns are matched against the request url in order, the first match is used.  A string pattern matches
+ * the url exactly, or the url without its query string; "*" matches any characters.  Routes can also be given as an
+ * array of [pattern, target] pairs, or a Map, to use RegExp patterns.
+ *
+ * A target is
+ *   - a string, the path of a fixture file.  Fixtures are read with fs under Node, and fetched elsewhere.
+ *   - an ArrayBuffer or typed array, the response body
+ *   - a response object {status, headers, body, file, latency, ranges, error}.  body is a string, ArrayBuffer,
+ *     typed array, or object (serialized as JSON).  ranges: false simulates a server that ignores Range headers.
+ *     error: "network" or "timeout" rejects the request as a network failure.
+ *   - a function (request) => target, or a promise for one.  request is the recorded request.
+ *
+ * Range headers are honoured for 200 responses with a body, returning 206 with Content-Range, or 416 if the range
+ * starts past the end of the body.  Urls without a matching route return 404.
+ */
+
+class MockTransport {
+
+    /**
+     * @param routes - {pattern: target}, [[pattern, target]], or Map
+     * @param options - {latency}.  Default latency in milliseconds, a number or function (request) => number.
+     */
+    constructor(routes, options) {
+        options = options || {};
+        this.name = "mock";
+        this.routes = [];
+        this.latency = options.latency || 0;
+        this.requests = [];
+        this.fixtures = new Map();
+        if (routes) {
+            const entries = routes instanceof Map || Array.isArray(routes) ? routes : Object.entries(routes);
+            for (let [pattern, target] of entries) {
+                this.on(pattern, target);
+            }
+        }
+    }
+
+    /**
+     * Add a route.  Routes added later are matched after earlier routes.
+     */
+    on(pattern, target) {
+        this.routes.push({pattern, matches: matcher(pattern), target});
+        return this;
+    }
+
+    /**
+     * Forget recorded requests.
+     */
+    reset() {
+        this.requests = [];
+    }
+
+    async request(request) {
+
+        throwIfAborted(request.signal);
+
+        const method = request.method || "GET";
+        const headers = Object.assign({}, request.headers);
+        const recorded = {
+            url: request.url,
+            method: method,
+            headers: headers,
+            range: parseRangeHeader(getHeader(headers, "Range")),
+            body: request.body,
+            time: Date.now()
+        };
+        this.requests.push(recorded);
+
+        const route = this.routes.find(r => r.matches(request.url));
+        let target = route ? route.target : {status: 404};
+        if (typeof target === 'function') {
+            target = await target(recorded);
+        }
+        const spec = await this.responseSpec(target);
+
+        const latency = spec.latency !== undefined ? spec.latency : this.latency;
+        const delay = typeof latency === 'function' ? latency(recorded) : latency;
+        if (delay > 0) {
+            if (request.timeout && request.timeout < delay) {
+                await sleep(request.timeout, request.signal);
+                throw timeoutError(request.url);
+            }
+            await sleep(delay, request.signal);
+        }
+
+        if (spec.error === "timeout") {
+            throw timeoutError(request.url);
+        } else if (spec.error) {
+            throw networkError(request.url, spec.error instanceof Error ? spec.error : Error(String(spec.error)));
+        }
+
+        return respond(request, method, recorded.range, spec);
+    }
+
+    /**
+     * Normalize a route target to a response object with an ArrayBuffer body.
+     */
+    async responseSpec(target) {
+        if (target === undefined || target === null) {
+            return {status: 404};
+        }
+        if (typeof target === 'string') {
+            target = {file: target};
+        } else if (target instanceof ArrayBuffer || ArrayBuffer.isView(target)) {
+            target = {body: target};
+        }
+        const spec = Object.assign({}, target);
+        if (spec.file !== undefined) {
+            spec.body = await this.readFixture(spec.file);
+        }
+        spec.body = toBody(spec.body);
+        if (spec.status === undefined) {
+            spec.status = 200;
+        }
+        return spec;
+    }
+
+    async readFixture(file) {
+        if (!this.fixtures.has(file)) {
+            this.fixtures.set(file, readFile(file));
+        }
+        return this.fixtures.get(file);
+    }
+}
+
+function respond(request, method, range, spec) {
+
+    const headers = {};
+    for (let key of Object.keys(spec.headers || {})) {
+        headers[key.toLowerCase()] = String(spec.headers[key]);
+    }
+
+    let status = spec.status;
+    let body = spec.body;
+    if (body && status === 200) {
+        const size = body.byteLength;
+        if (spec.ranges !== false) {
+            if (headers["accept-ranges"] === undefined) {
+                headers["accept-ranges"] = "bytes";
+            }
+            if (range && range.start >= size) {
+                headers["content-range"] = `bytes */${size}`;
+                status = 416;
+                body = new ArrayBuffer(0);
+            } else if (range) {
+                const end = range.end === undefined ? size - 1 : Math.min(range.end, size - 1);
+                headers["content-range"] = `bytes ${range.start}-${end}/${size}`;
+                status = 206;
+                body = body.slice(range.start, end + 1);
+            }
+        }
+    }
+    if (!body) {
+        body = new ArrayBuffer(0);
+    }
+    if (headers["content-type"] === undefined && body.byteLength > 0) {
+        headers["content-type"] = "application/octet-stream";
+    }
+    headers["content-length"] = String(body.byteLength);
+    if (method === "HEAD") {
+        body = new ArrayBuffer(0);
+    }
+
+    if (typeof request.onProgress === 'function') {
+        request.onProgress(body.byteLength, body.byteLength);
+    }
+
+    return {
+        status: status,
+        headers: headers,
+        response: formatBody(body, request.responseType, status),
+        url: request.url
+    }
+}
+
+function formatBody(buffer, responseType, status) {
+    switch (responseType) {
+        case "arraybuffer":
+            return buffer;
+        case "stream":
+            return status >= 200 && status < 300 ? streamBody(buffer) : buffer;
+        case "blob":
+            return new Blob([buffer]);
+        case "json":
+            return buffer.byteLength > 0 ? JSON.parse(new TextDecoder().decode(buffer)) : undefined;
+        default:
+            return new TextDecoder().decode(buffer);
+    }
+}
+
+async function* streamBody(buffer) {
+    if (buffer.byteLength > 0) {
+        yield new Uint8Array(buffer);
+    }
+}
+
+function toBody(body) {
+    if (body === undefined || body === null) {
+        return undefined;
+    } else if (body instanceof ArrayBuffer) {
+        return body;
+    } else if (ArrayBuffer.isView(body)) {
+        return toArrayBuffer(body);
+    } else if (typeof body === 'string') {
+        return toArrayBuffer(new TextEncoder().encode(body));
+    } else {
+        return toArrayBuffer(new TextEncoder().encode(JSON.stringify(body)));
+    }
+}
+
+function matcher(pattern) {
+    if (pattern instanceof RegExp) {
+        return (url) => pattern.test(url);
+    }
+    if (pattern.includes("*")) {
+        const regex = new RegExp("^" + pattern.split("*").map(escapeRegExp).join(".*") + "$");
+        return (url) => regex.test(url) || regex.test(withoutQuery(url));
+    }
+    return (url) => url === pattern || withoutQuery(url) === pattern;
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function withoutQuery(url) {
+    const idx = url.indexOf("?");
+    return idx < 0 ? url : url.substring(0, idx);
+}
+
+async function readFile(file) {
+    if (isNode()) {
+        const fs = await nodeModule("fs");
+        return toArrayBuffer(await fs.promises.readFile(file));
+    } else {
+        const response = await fetch(file);
+        if (!response.ok) {
+            throw Error(`Mock transport fixture not found: ${file}`);
+        }
+        return response.arrayBuffer();
+    }
+}
+
+export default MockTransport
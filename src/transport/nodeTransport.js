@@ -0,0 +1,297 @@
+import {normalizeHeaders, getHeader, parseRangeHeader, toArrayBuffer, networkError, timeoutError} from "./transportUtils.js"
+import {AbortError, TimeoutError, throwIfAborted} from "../errors.js"
+import {nodeModule, isNode} from "../nodeUtils.js"
+
+/**
+ * Transport for Node.js.  Uses the http and https modules for remote urls, and the file system for file:// urls
+ * and plain file paths.  Node modules are loaded with nodeModule(), see nodeUtils.js.
+ */
+
+const MAX_REDIRECTS = 5;
+
+const nodeTransport = {
+
+    name: "node",
+
+    isAvailable: function () {
+        return isNode();
+    },
+
+    /**
+     * @param request  {url, method, headers, body, responseType, timeout, signal, onProgress}.  responseType "stream"
+     *                 returns successful response bodies as an async iterable of Uint8Arrays.
+     * @returns {Promise<{status, headers, response, url}>}
+     */
+    request: async function (request) {
+        throwIfAborted(request.signal);
+        const url = request.url;
+        if (url.startsWith("http://") || url.startsWith("https://")) {
+            return httpRequest(request, url, 0);
+        } else {
+            return fileRequest(request);
+        }
+    }
+}
+
+async function httpRequest(request, url, redirectCount) {
+
+    throwIfAborted(request.signal);
+    const lib = await nodeModule(url.startsWith("https://") ? "https" : "http");
+
+    return new Promise(function (resolve, reject) {
+
+        const signal = request.signal;
+        let streamingResponse;
+        const onAbort = function () {
+            if (streamingResponse) {
+                // The body iterator reports the AbortError
+                streamingResponse.destroy();
+            } else {
+                req.destroy(new AbortError());
+            }
+        }
+        const done = function () {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        }
+
+        const req = lib.request(url, {
+            method: request.method || "GET",
+            headers: request.headers || {}
+        }, function (res) {
+
+            const status = res.statusCode;
+            if (status >= 300 && status < 400 && res.headers.location && redirectCount < MAX_REDIRECTS) {
+                done();
+                res.resume();
+                const location = new URL(res.headers.location, url).toString();
+                httpRequest(redirectRequest(request, status, url, location), location, redirectCount + 1)
+                    .then(resolve, reject);
+                return;
+            }
+
+            const contentLength = res.headers["content-length"];
+            const total = contentLength ? parseInt(contentLength) : undefined;
+
+            if (request.responseType === "stream" && status >= 200 && status < 300) {
+                streamingResponse = res;
+                resolve({
+                    status: status,
+                    headers: normalizeHeaders(res.headers),
+                    response: streamBody(res, url, total, request.onProgress, done, signal),
+                    url: url
+                });
+                return;
+            }
+
+            const chunks = [];
+            let loaded = 0;
+            res.on('data', function (chunk) {
+                chunks.push(chunk);
+                loaded += chunk.length;
+                if (typeof request.onProgress === 'function') {
+                    request.onProgress(loaded, total);
+                }
+            });
+            res.on('end', function () {
+                done();
+                const b = Buffer.concat(chunks);
+                // Error bodies (e.g. an html 404 page) are returned as text, they are not parsed as json
+                const responseType = request.responseType === "json" && (status < 200 || status >= 300) ?
+                    "text" : request.responseType;
+                let body;
+                try {
+                    body = formatBody(b, responseType);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                resolve({
+                    status: status,
+                    headers: normalizeHeaders(res.headers),
+                    response: body,
+                    url: url
+                });
+            });
+            res.on('error', function (e) {
+                done();
+                reject(e instanceof AbortError ? e : networkError(url, e));
+            });
+        });
+
+        if (request.timeout) {
+            req.setTimeout(request.timeout, function () {
+                req.destroy(timeoutError(url));
+            });
+        }
+
+        req.on('error', function (e) {
+            done();
+            reject((e instanceof TimeoutError || e instanceof AbortError) ? e : networkError(url, e));
+        });
+
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+
+        if (request.body !== undefined && request.body !== null) {
+            req.write(request.body);
+        }
+        req.end();
+    })
+}
+
+/**
+ * Return the request to send to a redirect location.  As with fetch, a 303 redirect is followed with a GET without
+ * body, and credentials are not sent to another origin.
+ */
+function redirectRequest(request, status, url, location) {
+    let headers = request.headers || {};
+    let method = request.method || "GET";
+    let body = request.body;
+    if (status === 303 && method !== "HEAD") {
+        method = "GET";
+        body = undefined;
+        headers = omitHeaders(headers, (key) => key === "content-type" || key === "content-length");
+    }
+    if (new URL(location).origin !== new URL(url).origin) {
+        headers = omitHeaders(headers, isCredentialHeader);
+    }
+    return Object.assign({}, request, {method, headers, body});
+}
+
+function isCredentialHeader(key) {
+    return key === "authorization" || key === "proxy-authorization" || key === "cookie" || key.startsWith("x-amz-");
+}
+
+function omitHeaders(headers, test) {
+    const result = {};
+    for (let key of Object.keys(headers)) {
+        if (!test(key.toLowerCase())) {
+            result[key] = headers[key];
+        }
+    }
+    return result;
+}
+
+async function fileRequest(request) {
+
+    const fs = await nodeModule("fs");
+    const url = request.url;
+    const path = url.startsWith("file://") ? decodeURIComponent(new URL(url).pathname) : url;
+
+    const method = request.method || "GET";
+    if (method !== "GET" && method !== "HEAD") {
+        throw Error(`${request.method} not supported for local files`);
+    }
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(path);
+    } catch (e) {
+        return {status: 404, headers: {}, response: formatBody(Buffer.alloc(0), request.responseType), url: url};
+    }
+
+    const headers = {"last-modified": stat.mtime.toUTCString(), "accept-ranges": "bytes"};
+    if (method === "HEAD") {
+        headers["content-length"] = String(stat.size);
+        return {status: 200, headers: headers, response: formatBody(Buffer.alloc(0), request.responseType), url: url};
+    }
+
+    const range = parseRangeHeader(getHeader(request.headers, "Range"));
+    if (range && range.start >= stat.size) {
+        return {status: 416, headers: {"content-range": `bytes */${stat.size}`}, response: formatBody(Buffer.alloc(0), request.responseType), url: url};
+    }
+
+    if (request.responseType === "stream") {
+        const start = range ? range.start : 0;
+        const end = range && range.end !== undefined ? Math.min(range.end, stat.size - 1) : stat.size - 1;
+        headers["content-length"] = String(Math.max(0, end - start + 1));
+        if (range) {
+            headers["content-range"] = `bytes ${start}-${end}/${stat.size}`;
+        }
+        const stream = fs.createReadStream(path, {start, end: Math.max(start, end)});
+        return {
+            status: range ? 206 : 200,
+            headers: headers,
+            response: end < start ? emptyStream(stream) : streamBody(stream, url, end - start + 1, request.onProgress, undefined, request.signal),
+            url: url
+        }
+    }
+
+    let b;
+    let status;
+    if (range) {
+        const end = range.end === undefined ? stat.size - 1 : Math.min(range.end, stat.size - 1);
+        const length = end - range.start + 1;
+        b = Buffer.alloc(length);
+        const fh = await fs.promises.open(path, 'r');
+        try {
+            throwIfAborted(request.signal);
+            await fh.read(b, 0, length, range.start);
+        } finally {
+            await fh.close();
+        }
+        status = 206;
+        headers["content-range"] = `bytes ${range.start}-${end}/${stat.size}`;
+    } else {
+        b = await fs.promises.readFile(path);
+        status = 200;
+    }
+    headers["content-length"] = String(b.length);
+    if (typeof request.onProgress === 'function') {
+        request.onProgress(b.length, b.length);
+    }
+
+    return {
+        status: status,
+        headers: headers,
+        response: formatBody(b, request.responseType),
+        url: url
+    }
+}
+
+/**
+ * Return a readable stream as an async iterable of Uint8Array chunks.
+ */
+async function* streamBody(stream, url, total, onProgress, done, signal) {
+    let loaded = 0;
+    try {
+        for await (let chunk of stream) {
+            throwIfAborted(signal);
+            loaded += chunk.length;
+            if (typeof onProgress === 'function') {
+                onProgress(loaded, total);
+            }
+            yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+        }
+    } catch (e) {
+        if (signal && signal.aborted) {
+            throw new AbortError();
+        }
+        throw (e instanceof AbortError || e instanceof TimeoutError) ? e : networkError(url, e);
+    } finally {
+        stream.destroy();
+        if (done) {
+            done();
+        }
+    }
+}
+
+async function* emptyStream(stream) {
+    stream.destroy();
+}
+
+function formatBody(b, responseType) {
+    switch (responseType) {
+        case "arraybuffer":
+            return toArrayBuffer(b);
+        case "json":
+            return b.length > 0 ? JSON.parse(b.toString()) : null;
+        default:
+            return b.toString();
+    }
+}
+
+export default nodeTransport
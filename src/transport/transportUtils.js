@@ -0,0 +1,128 @@
+/**
+ * Helpers shared by the transport implementations.
+ */
+
+import {NetworkError, TimeoutError} from "../errors.js"
+
+/**
+ * Parse the raw header block returned by XMLHttpRequest.getAllResponseHeaders() into an object keyed by
+ * lower-case header name.
+ *
+ * @param headerString
+ * @returns {{}}
+ */
+function parseHeaderString(headerString) {
+    const headers = {};
+    if (headerString) {
+        for (let line of headerString.trim().split(/[\r\n]+/)) {
+            const idx = line.indexOf(":");
+            if (idx > 0) {
+                const key = line.substring(0, idx).trim().toLowerCase();
+                const value = line.substring(idx + 1).trim();
+                headers[key] = headers[key] === undefined ? value : headers[key] + ", " + value;
+            }
+        }
+    }
+    return headers;
+}
+
+/**
+ * Normalize a fetch Headers object, Node IncomingHttpHeaders, or plain object to an object keyed by lower-case
+ * header name.
+ *
+ * @param headers
+ * @returns {{}}
+ */
+function normalizeHeaders(headers) {
+    const result = {};
+    if (!headers) {
+        return result;
+    }
+    if (typeof headers.forEach === 'function' && typeof headers.get === 'function') {
+        headers.forEach(function (value, key) {
+            result[key.toLowerCase()] = value;
+        })
+    } else {
+        for (let key of Object.keys(headers)) {
+            const value = headers[key];
+            if (value !== undefined) {
+                result[key.toLowerCase()] = Array.isArray(value) ? value.join(", ") : String(value);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Return the value of the header (case insensitive) from a request header object.
+ */
+function getHeader(headers, name) {
+    if (headers) {
+        const lcName = name.toLowerCase();
+        for (let key of Object.keys(headers)) {
+            if (key.toLowerCase() === lcName) {
+                return headers[key];
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parse a single "bytes=start-end" range header.  Returns undefined for multi-range or malformed values.
+ *
+ * @param rangeString
+ * @returns {{start: number, end: (number|undefined)}|undefined}
+ */
+function parseRangeHeader(rangeString) {
+    if (!rangeString || !rangeString.startsWith("bytes=")) {
+        return undefined;
+    }
+    const spec = rangeString.substring(6);
+    if (spec.includes(",")) {
+        return undefined;
+    }
+    const tokens = spec.split("-");
+    const start = parseInt(tokens[0]);
+    const end = tokens[1] ? parseInt(tokens[1]) : undefined;
+    return isNaN(start) ? undefined : {start, end};
+}
+
+/**
+ * Parse a Content-Range response header, e.g. "bytes 0-99/1234".  The range is "*" for unsatisfiable ranges.
+ *
+ * @param value
+ * @returns {{start: (number|undefined), end: (number|undefined), size: (number|undefined)}|undefined}
+ */
+function parseContentRange(value) {
+    const match = value ? /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec(value.trim()) : null;
+    if (!match) {
+        return undefined;
+    }
+    return {
+        start: match[1] !== undefined ? parseInt(match[1]) : undefined,
+        end: match[2] !== undefined ? parseInt(match[2]) : undefined,
+        size: match[3] !== "*" ? parseInt(match[3]) : undefined
+    }
+}
+
+/**
+ * Convert a Node Buffer or Uint8Array to a standalone ArrayBuffer.  Small node buffers can use shared backing
+ * buffers, thus the slice is necessary.
+ */
+function toArrayBuffer(b) {
+    return b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+}
+
+function networkError(url, cause) {
+    return new NetworkError(url, {cause});
+}
+
+function timeoutError(url) {
+    return new TimeoutError(url);
+}
+
+export {
+    parseHeaderString, normalizeHeaders, getHeader, parseRangeHeader, parseContentRange, toArrayBuffer, networkError,
+    timeoutError
+}
@@ -0,0 +1,83 @@
+import xhrTransport from "./xhrTransport.js"
+import fetchTransport from "./fetchTransport.js"
+import nodeTransport from "./nodeTransport.js"
+
+/**
+ * Registry of transports used by igvxhr.  A transport is an object with a "request" function that takes a request
+ * description
+ *
+ *   {url, method, headers, body, responseType, contentType, mimeType, timeout, withCredentials}
+ *
+ * and returns a promise for a response object
+ *
+ *   {status, headers, response, url}
+ *
+ * where "headers" is an object keyed by lower-case header name.  The promise should be rejected only for
+ * network-level failures (including timeouts), HTTP error statuses are returned as responses.
+ *
+ * If no transport has been selected explicitly one is chosen from the environment: XMLHttpRequest if
+ * available, the Node http/https/fs modules under Node, and fetch otherwise (e.g. Deno).  XMLHttpRequest cannot
+ * stream, so "stream" requests use fetch where it is available.
+ */
+
+const transports = new Map();
+transports.set(xhrTransport.name, xhrTransport);
+transports.set(fetchTransport.name, fetchTransport);
+transports.set(nodeTransport.name, nodeTransport);
+
+let selectedTransport;
+
+/**
+ * Register a transport under the given name.  The transport can then be selected with setTransport(name).
+ *
+ * @param name
+ * @param transport
+ */
+function registerTransport(name, transport) {
+    if (!transport || typeof transport.request !== 'function') {
+        throw Error(`Transport '${name}' must define a 'request' function`);
+    }
+    transports.set(name, transport);
+}
+
+/**
+ * Select the transport to use for all requests.
+ *
+ * @param transport - a registered transport name, a transport object, or undefined to restore automatic selection
+ */
+function setTransport(transport) {
+    if (transport === undefined || transport === null) {
+        selectedTransport = undefined;
+    } else if (typeof transport === 'string') {
+        if (!transports.has(transport)) {
+            throw Error(`Unknown transport: ${transport}`);
+        }
+        selectedTransport = transports.get(transport);
+    } else if (typeof transport.request === 'function') {
+        selectedTransport = transport;
+    } else {
+        throw Error("Transport must be a registered name or define a 'request' function");
+    }
+}
+
+/**
+ * Return the selected transport, or the transport chosen from the environment for the request.
+ *
+ * @param request - optional, the request to be sent
+ */
+function getTransport(request) {
+    if (selectedTransport) {
+        return selectedTransport;
+    } else if (xhrTransport.isAvailable()) {
+        const stream = request !== undefined && request.responseType === "stream";
+        return stream && fetchTransport.isAvailable() ? fetchTransport : xhrTransport;
+    } else if (nodeTransport.isAvailable()) {
+        return nodeTransport;
+    } else if (fetchTransport.isAvailable()) {
+        return fetchTransport;
+    } else {
+        throw Error("No transport available.  Register one with igvxhr.registerTransport()");
+    }
+}
+
+export {registerTransport, setTransport, getTransport}
@@ -0,0 +1,114 @@
+import {parseHeaderString, networkError, timeoutError} from "./transportUtils.js"
+import {AbortError} from "../errors.js"
+
+/**
+ * Transport based on the browser XMLHttpRequest object.
+ */
+const xhrTransport = {
+
+    name: "xhr",
+
+    isAvailable: function () {
+        return typeof XMLHttpRequest !== 'undefined';
+    },
+
+    /**
+     * @param request  {url, method, headers, body, responseType, mimeType, timeout, withCredentials, signal,
+     *                    onProgress}
+     * @returns {Promise<{status, headers, response, url}>}
+     */
+    request: function (request) {
+
+        return new Promise(function (resolve, reject) {
+
+            const signal = request.signal;
+            if (signal && signal.aborted) {
+                reject(new AbortError());
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            const url = request.url;
+
+            xhr.open(request.method || "GET", url);
+
+            if (request.timeout) {
+                xhr.timeout = request.timeout;
+            }
+            if (request.mimeType) {
+                xhr.overrideMimeType(request.mimeType);
+            }
+            if (request.responseType) {
+                // XMLHttpRequest cannot stream, the body is returned as a single ArrayBuffer.  Automatic transport
+                // selection uses fetch for streams where available, see transports.js.
+                xhr.responseType = request.responseType === "stream" ? "arraybuffer" : request.responseType;
+            }
+            if (request.headers) {
+                for (let key of Object.keys(request.headers)) {
+                    xhr.setRequestHeader(key, request.headers[key]);
+                }
+            }
+
+            // NOTE: using withCredentials with servers that return "*" for access-allowed-origin will fail
+            if (request.withCredentials === true) {
+                xhr.withCredentials = true;
+            }
+
+            const onAbort = function () {
+                xhr.abort();
+                reject(new AbortError());
+            }
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+            const done = function () {
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            }
+
+            if (typeof request.onProgress === 'function') {
+                xhr.onprogress = function (event) {
+                    request.onProgress(event.loaded, event.lengthComputable ? event.total : undefined);
+                };
+            }
+
+            xhr.onload = function (event) {
+                done();
+                const headers = typeof xhr.getAllResponseHeaders === 'function' ?
+                    parseHeaderString(xhr.getAllResponseHeaders()) :
+                    {};
+                resolve({
+                    status: xhr.status,
+                    headers: headers,
+                    response: xhr.response,
+                    url: xhr.responseURL || url
+                });
+            };
+
+            xhr.onerror = function (event) {
+                done();
+                reject(networkError(url));
+            };
+
+            xhr.ontimeout = function (event) {
+                done();
+                reject(timeoutError(url));
+            };
+
+            xhr.onabort = function (event) {
+                done();
+                reject(new AbortError());
+            };
+
+            try {
+                xhr.send(request.body);
+            } catch (e) {
+                done();
+                reject(e);
+            }
+        })
+    }
+}
+
+export default xhrTransport
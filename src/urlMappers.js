@@ -0,0 +1,158 @@
+import * as GoogleUtils from './google/googleUtils.js'
+
+/**
+ * Registry of url rewrite rules applied by igvxhr before a url is loaded.  Rules are applied in order of their
+ * "order" value (ascending, ties in registration order), each rule is applied to the result of the previous one.
+ *
+ * A rule consists of a matcher and a transform:
+ *
+ *   matcher   - a string (the url must contain it), a RegExp, or a function (url) => boolean
+ *   transform - a string replacement, or a function (url, match) => url.  A string replacement replaces the
+ *               matched text (string matcher) or is passed to String.replace (RegExp matcher), so "$1" style
+ *               references are supported.  With a function matcher the transform must be a function.
+ *
+ * The well-known rewrites below are registered as default rules, which can be removed individually by name or
+ * disabled as a group.
+ */
+
+const DEFAULT_ORDER = 0;
+const DEFAULT_RULE_ORDER = 100;
+
+const defaultRules = [
+    {
+        name: "dropbox",
+        matcher: "//www.dropbox.com",
+        transform: "//dl.dropboxusercontent.com"
+    },
+    {
+        name: "googleDrive",
+        matcher: "//drive.google.com",
+        transform: (url) => GoogleUtils.driveDownloadURL(url)
+    },
+    {
+        name: "broadIgvdata",
+        matcher: "//www.broadinstitute.org/igvdata",
+        transform: "//data.broadinstitute.org/igvdata"
+    },
+    {
+        name: "igvdata",
+        matcher: "//igvdata.broadinstitute.org",
+        transform: "//dn7ywbm9isq8j.cloudfront.net"
+    },
+    {
+        name: "ncbiGeoFtp",
+        matcher: /^ftp:\/\/ftp\.ncbi\.nlm\.nih\.gov\/geo/,
+        transform: (url) => url.replace("ftp://", "https://")
+    }
+]
+
+let rules = [];
+let nextId = 1;
+let defaultsEnabled = true;
+
+/**
+ * Register a url rewrite rule.
+ *
+ * @param matcher - string, RegExp, or function (url) => boolean
+ * @param transform - string or function (url, match) => url
+ * @param options - {name, order}.  Rules with lower order run first, the default is 0.  Default rules have
+ *                  order 100, so custom rules run before them unless a larger order is given.
+ * @returns the rule name, which can be passed to removeUrlMapper.  If no name is given one is generated.
+ */
+function registerUrlMapper(matcher, transform, options) {
+    options = options || {};
+    if (typeof matcher === 'function' && typeof transform !== 'function') {
+        throw Error("A function matcher requires a function transform");
+    }
+    if (!(typeof matcher === 'string' || matcher instanceof RegExp || typeof matcher === 'function')) {
+        throw Error("Url mapper matcher must be a string, RegExp, or function");
+    }
+    if (!(typeof transform === 'string' || typeof transform === 'function')) {
+        throw Error("Url mapper transform must be a string or function");
+    }
+    const name = options.name || `urlMapper${nextId++}`;
+    removeUrlMapper(name);
+    rules.push({
+        name,
+        matcher,
+        transform,
+        order: options.order !== undefined ? options.order : DEFAULT_ORDER,
+        isDefault: options.isDefault === true
+    });
+    rules.sort((a, b) => a.order - b.order);    // Array.sort is stable, ties stay in registration order
+    return name;
+}
+
+/**
+ * Remove a rule by name.
+ *
+ * @returns {boolean} true if a rule was removed
+ */
+function removeUrlMapper(name) {
+    const length = rules.length;
+    rules = rules.filter(r => r.name !== name);
+    return rules.length < length;
+}
+
+/**
+ * Enable or disable the default rules as a group.
+ */
+function setDefaultUrlMappersEnabled(enabled) {
+    defaultsEnabled = enabled !== false;
+}
+
+/**
+ * Remove all custom rules and restore the default rules.
+ */
+function resetUrlMappers() {
+    rules = [];
+    defaultsEnabled = true;
+    for (let rule of defaultRules) {
+        registerUrlMapper(rule.matcher, rule.transform, {name: rule.name, order: DEFAULT_RULE_ORDER, isDefault: true});
+    }
+}
+
+/**
+ * Return the registered rules, in the order they are applied.
+ */
+function getUrlMappers() {
+    return rules.map(r => ({name: r.name, order: r.order, isDefault: r.isDefault}));
+}
+
+/**
+ * Apply the rules to the url.
+ *
+ * @param url
+ * @returns {string}
+ */
+function mapUrl(url) {
+    for (let rule of rules) {
+        if (rule.isDefault && !defaultsEnabled) {
+            continue;
+        }
+        url = applyRule(rule, url);
+    }
+    return url;
+}
+
+function applyRule(rule, url) {
+    const {matcher, transform} = rule;
+    if (typeof matcher === 'string') {
+        if (url.includes(matcher)) {
+            return typeof transform === 'function' ? transform(url, matcher) : url.replace(matcher, transform);
+        }
+    } else if (matcher instanceof RegExp) {
+        matcher.lastIndex = 0;
+        const match = matcher.exec(url);
+        if (match) {
+            return typeof transform === 'function' ? transform(url, match) : url.replace(matcher, transform);
+        }
+    } else if (matcher(url)) {
+        return transform(url);
+    }
+    return url;
+}
+
+resetUrlMappers();
+
+export {registerUrlMapper, removeUrlMapper, setDefaultUrlMappersEnabled, resetUrlMappers, getUrlMappers, mapUrl}
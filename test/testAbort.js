@@ -0,0 +1,84 @@
+import "./utils/mockObjects.js"
+import igvxhr, {AbortError} from "../src/igvxhr.js";
+import Throttle from "../src/throttle.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testAbort", function () {
+
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+        // Responds slowly, requests are aborted before the response arrives
+        server.on("slow", function (req, res) {
+            setTimeout(() => res.end("done"), 2000);
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    teardown(function () {
+        igvxhr.setTransport(undefined);
+    })
+
+    async function expectAbort(promise) {
+        try {
+            await promise;
+            assert.fail("Expected AbortError");
+        } catch (e) {
+            assert.instanceOf(e, AbortError);
+            assert.equal(e.name, "AbortError");
+        }
+    }
+
+    test("already aborted", async function () {
+        const controller = new AbortController();
+        controller.abort();
+        const url = require.resolve("./data/json/example.json");
+        await expectAbort(igvxhr.loadString(url, {signal: controller.signal}));
+        await expectAbort(igvxhr.loadJson(url, {signal: controller.signal}));
+        await expectAbort(igvxhr.loadArrayBuffer(url, {signal: controller.signal}));
+    })
+
+    test("abort in-flight - node transport", async function () {
+        igvxhr.setTransport("node");
+        const controller = new AbortController();
+        const promise = igvxhr.loadString(server.url("slow"), {signal: controller.signal});
+        setTimeout(() => controller.abort(), 20);
+        await expectAbort(promise);
+    })
+
+    test("abort in-flight - fetch transport", async function () {
+        igvxhr.setTransport("fetch");
+        const controller = new AbortController();
+        const promise = igvxhr.load(server.url("slow"), {signal: controller.signal});
+        setTimeout(() => controller.abort(), 20);
+        await expectAbort(promise);
+    })
+
+    test("throttle removes aborted jobs", async function () {
+        const throttle = new Throttle({requestsPerSecond: 10});
+        const executed = [];
+        const controller = new AbortController();
+        const p1 = throttle.add(async () => executed.push(1));
+        const p2 = throttle.add(async () => executed.push(2), {signal: controller.signal});
+        const p3 = throttle.add(async () => executed.push(3));
+        controller.abort();
+        await p1;
+        await expectAbort(p2);
+        await p3;
+        assert.deepEqual(executed, [1, 3]);
+    })
+
+    test("throttle addAll with signal", async function () {
+        const throttle = new Throttle({requestsPerSecond: 10});
+        const controller = new AbortController();
+        const promise = throttle.addAll([async () => 1, async () => 2, async () => 3], {signal: controller.signal});
+        controller.abort();
+        await expectAbort(promise);
+    })
+})
@@ -0,0 +1,78 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import azure from "../src/azure/azure.js";
+import {isAzureURL, parseAzureURL, translateAzureURL, isSASSigned} from "../src/azure/azureUtils.js";
+import {assert} from 'chai';
+
+suite("testAzure", function () {
+
+    const requests = [];
+
+    suiteSetup(function () {
+        igvxhr.registerTransport("azureTest", {
+            request: async function (request) {
+                requests.push(request);
+                return {status: 206, headers: {}, response: "ok", url: request.url};
+            }
+        });
+    })
+
+    suiteTeardown(function () {
+        igvxhr.setTransport(undefined);
+        azure.sasTokens = {};
+    })
+
+    setup(function () {
+        igvxhr.setTransport("azureTest");
+        requests.length = 0;
+    })
+
+    test("parse and translate", function () {
+        assert.ok(isAzureURL("az://account/container/dir/file.bam"));
+        assert.ok(isAzureURL("https://account.blob.core.windows.net/container/file.bam"));
+        assert.notOk(isAzureURL("https://www.example.org/file.bam"));
+
+        assert.deepEqual(parseAzureURL("az://account/container/dir/file.bam"),
+            {account: "account", container: "container", blob: "dir/file.bam"});
+        assert.deepEqual(parseAzureURL("https://account.blob.core.windows.net/container/dir/my%20file.bam?sv=1"),
+            {account: "account", container: "container", blob: "dir/my file.bam"});
+        assert.throws(() => parseAzureURL("az://account"));
+
+        assert.equal(translateAzureURL("az://account/container/dir/my file.bam"),
+            "https://account.blob.core.windows.net/container/dir/my%20file.bam");
+
+        assert.ok(isSASSigned("https://account.blob.core.windows.net/c/f.bam?sv=2021&sig=abc"));
+        assert.notOk(isSASSigned("https://account.blob.core.windows.net/c/f.bam"));
+    })
+
+    test("SAS token per container", async function () {
+        azure.setSasToken("?sv=1&sig=account", "account");
+        azure.setSasToken(async () => "sv=1&sig=container", "account/private");
+        try {
+            await igvxhr.loadString("az://account/private/file.bed", {range: {start: 0, size: 10}});
+            await igvxhr.loadString("az://account/public/file.bed");
+            await igvxhr.loadString("https://other.blob.core.windows.net/public/file.bed");
+
+            assert.equal(requests[0].url, "https://account.blob.core.windows.net/private/file.bed?sv=1&sig=container");
+            assert.equal(requests[0].headers["x-ms-version"], azure.version);
+            assert.equal(requests[0].headers["Range"], "bytes=0-9");
+            assert.equal(requests[1].url, "https://account.blob.core.windows.net/public/file.bed?sv=1&sig=account");
+            assert.equal(requests[2].url, "https://other.blob.core.windows.net/public/file.bed");
+            assert.equal(requests[2].headers["x-ms-version"], azure.version);
+        } finally {
+            azure.removeSasToken("account");
+            azure.removeSasToken("account/private");
+        }
+    })
+
+    test("existing SAS signature is preserved", async function () {
+        azure.setSasToken("sv=1&sig=other", "account");
+        try {
+            const url = "https://account.blob.core.windows.net/c/file.bed?sv=1&sig=mine";
+            await igvxhr.loadString(url);
+            assert.equal(requests[0].url, url);
+        } finally {
+            azure.removeSasToken("account");
+        }
+    })
+})
@@ -0,0 +1,100 @@
+import "./utils/mockObjects.js"
+import igvxhr, {ResourceChangedError} from "../src/igvxhr.js";
+import {File} from "./utils/File.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testConsistency", function () {
+
+    const server = new TestServer();
+    let version = 1;
+
+    suiteSetup(async function () {
+        await server.start();
+        // Honors If-Match
+        server.on("versioned", function (req, res) {
+            const etag = `"v${version}"`;
+            const ifMatch = req.headers["if-match"];
+            if (ifMatch && ifMatch !== etag) {
+                res.writeHead(412);
+                res.end();
+            } else {
+                res.writeHead(206, {"ETag": etag});
+                res.end(`version ${version}`);
+            }
+        });
+        // Weak ETag, If-Match cannot be used
+        server.on("weak", function (req, res) {
+            res.writeHead(206, {"ETag": `W/"v${version}"`});
+            res.end(`version ${version}`);
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.setConsistencyCheck(false);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        igvxhr.setConsistencyCheck(true);
+        igvxhr.clearResourceValidators();
+        server.requests = [];
+        version = 1;
+    })
+
+    async function expectChanged(promise) {
+        try {
+            await promise;
+            assert.fail("Expected ResourceChangedError");
+        } catch (e) {
+            assert.instanceOf(e, ResourceChangedError);
+            return e;
+        }
+    }
+
+    test("If-Match on range reads", async function () {
+        const url = server.url("versioned");
+        assert.equal(await igvxhr.loadString(url, {range: {start: 0, size: 10}}), "version 1");
+        assert.equal(await igvxhr.loadString(url, {range: {start: 10, size: 10}}), "version 1");
+        assert.equal(server.requests[1].headers["if-match"], "\"v1\"");
+
+        version = 2;
+        const e = await expectChanged(igvxhr.loadString(url, {range: {start: 20, size: 10}}));
+        assert.equal(e.url, url);
+        assert.equal(e.previous.etag, "\"v1\"");
+
+        // Accept the new version
+        igvxhr.clearResourceValidators(url);
+        assert.equal(await igvxhr.loadString(url, {range: {start: 0, size: 10}}), "version 2");
+    })
+
+    test("weak ETag comparison", async function () {
+        const url = server.url("weak");
+        await igvxhr.loadString(url, {range: {start: 0, size: 10}});
+        await igvxhr.loadString(url, {range: {start: 0, size: 10}});
+        assert.equal(server.requests[1].headers["if-match"], undefined);
+        version = 2;
+        const e = await expectChanged(igvxhr.loadString(url, {range: {start: 0, size: 10}}));
+        assert.equal(e.current.etag, "W/\"v2\"");
+    })
+
+    test("disabled per call", async function () {
+        const url = server.url("versioned");
+        await igvxhr.loadString(url, {range: {start: 0, size: 10}});
+        version = 2;
+        assert.equal(await igvxhr.loadString(url, {range: {start: 0, size: 10}, consistency: false}), "version 2");
+        assert.equal(server.requests[1].headers["if-match"], undefined);
+    })
+
+    test("changed File", async function () {
+        const file = new File(Buffer.from("some file contents"), "test.txt");
+        file.lastModified = 1000;
+        assert.equal(await igvxhr.loadString(file, {range: {start: 0, size: 4}}), "some");
+        await igvxhr.loadArrayBuffer(file, {range: {start: 5, size: 4}});
+        file.lastModified = 2000;
+        const e = await expectChanged(igvxhr.loadArrayBuffer(file, {range: {start: 5, size: 4}}));
+        assert.equal(e.url, "test.txt");
+    })
+})
@@ -0,0 +1,174 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {decompress, findDecompressor, isCompressed, decompressChunks} from "../src/decompressors.js";
+import {bunzip2} from "../src/compression/bzip2.js";
+import {unzstd} from "../src/compression/zstd.js";
+import {decodeDataURI, gzip, inflate, ungzip, isgzipped} from "../src/bgzf.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {fileToDataURL} from "./utils/dataURL.js";
+import {TestServer} from "./utils/testServer.js";
+
+suite("testDecompressors", function () {
+
+    const server = new TestServer();
+    const gwas = "data/misc/GWAS_catalog_SNPs_Pval5E08_hg19_040115_subset.txt";
+    const expectedGwas = fs.readFileSync(require.resolve("./" + gwas), "utf8");
+    const expectedJson = fs.readFileSync(require.resolve("./data/json/example.json"), "utf8");
+
+    function read(path) {
+        return new Uint8Array(fs.readFileSync(require.resolve("./" + path)));
+    }
+
+    function text(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    function concat(a, b) {
+        const result = new Uint8Array(a.length + b.length);
+        result.set(a);
+        result.set(b, a.length);
+        return result;
+    }
+
+    async function collect(iterable) {
+        const result = [];
+        for await (let item of iterable) {
+            result.push(item);
+        }
+        return result;
+    }
+
+    async function* chunked(bytes, chunkSize) {
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            yield bytes.subarray(i, i + chunkSize);
+        }
+    }
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.resetDecompressors();
+        await server.stop();
+    })
+
+    teardown(function () {
+        igvxhr.resetDecompressors();
+    })
+
+    test("magic bytes", function () {
+        assert.equal(findDecompressor(read("data/json/example.json.gz")).name, "gzip");
+        assert.equal(findDecompressor(read("data/json/example.json.bgz")).name, "bgzf");
+        assert.equal(findDecompressor(read("data/json/example.json.bz2")).name, "bzip2");
+        assert.equal(findDecompressor(read("data/json/example.json.zst")).name, "zstd");
+        assert.isFalse(isCompressed(read("data/json/example.json")));
+        assert.isFalse(isCompressed(new Uint8Array(0)));
+    })
+
+    test("bzip2", function () {
+        assert.equal(text(bunzip2(read(gwas + ".bz2"))), expectedGwas);
+        assert.equal(text(bunzip2(read("data/json/example.json.bz2"))), expectedJson);
+
+        // Concatenated streams, as written by pbzip2
+        const bz2 = read("data/json/example.json.bz2");
+        assert.equal(text(bunzip2(concat(bz2, bz2))), expectedJson + expectedJson);
+    })
+
+    test("bzip2 - corrupt data", function () {
+        const bz2 = read(gwas + ".bz2");
+        bz2[bz2.length >> 1] ^= 0xFF;
+        assert.throws(() => bunzip2(bz2));
+    })
+
+    test("zstd", function () {
+        assert.equal(text(unzstd(read(gwas + ".zst"))), expectedGwas);
+        assert.equal(text(unzstd(read("data/json/example.json.zst"))), expectedJson);
+
+        // Concatenated frames, and a skippable frame
+        const zst = read("data/json/example.json.zst");
+        const skippable = new Uint8Array([0x50, 0x2A, 0x4D, 0x18, 3, 0, 0, 0, 1, 2, 3]);
+        assert.equal(text(unzstd(concat(concat(zst, skippable), zst))), expectedJson + expectedJson);
+    })
+
+    test("multi-block BGZF", async function () {
+        // 8 bgzip blocks of 64 KB each
+        const bgz = read("data/misc/features.bed.bgz");
+        assert.equal(findDecompressor(bgz).name, "bgzf");
+        const expected = text(ungzip(bgz));
+        assert.equal(expected.length, 518724);
+        assert.isTrue(isgzipped(bgz));
+        assert.equal(text(decompress(bgz)), expected);
+        assert.equal(await igvxhr.loadString(require.resolve("./data/misc/features.bed.bgz")), expected);
+        assert.equal(await igvxhr.loadString(new Blob([bgz])), expected);
+    })
+
+    test("decompress", function () {
+        for (let ext of ["gz", "bgz", "bz2", "zst"]) {
+            assert.equal(text(decompress(read(`data/json/example.json.${ext}`))), expectedJson, ext);
+        }
+        assert.equal(text(decompress(read("data/json/example.json").buffer)), expectedJson);
+    })
+
+    test("loadString", async function () {
+        igvxhr.setTransport("node");
+        for (let ext of ["bz2", "zst"]) {
+            assert.equal(await igvxhr.loadString(server.url(`${gwas}.${ext}`)), expectedGwas, ext);
+            assert.equal(await igvxhr.loadString(require.resolve(`./${gwas}.${ext}`)), expectedGwas, ext);
+            assert.deepEqual(await igvxhr.loadJson(require.resolve(`./data/json/example.json.${ext}`)), JSON.parse(expectedJson));
+        }
+    })
+
+    test("loadLines", async function () {
+        igvxhr.setTransport("node");
+        const expected = expectedGwas.split("\n");
+        if (expected[expected.length - 1] === "") expected.pop();
+        for (let ext of ["bz2", "zst"]) {
+            const lines = await collect(igvxhr.loadLines(server.url(`${gwas}.${ext}`)));
+            assert.deepEqual(lines, expected, ext);
+        }
+
+        // Magic bytes split across chunks
+        const chunks = await collect(decompressChunks(chunked(read("data/json/example.json.zst"), 1)));
+        assert.equal(chunks.map(text).join(""), expectedJson);
+    })
+
+    test("data URI", async function () {
+        const dataURI = (await fileToDataURL(require.resolve("./data/json/example.json.zst"))).replace(";base64", ";gzip;base64");
+        assert.equal(text(decodeDataURI(dataURI)), expectedJson);
+    })
+
+    test("register a decompressor", async function () {
+        // A toy format: "REV" followed by the reversed content
+        igvxhr.registerDecompressor({
+            name: "reverse",
+            magic: [0x52, 0x45, 0x56],
+            decompress: (bytes) => bytes.slice(3).reverse()
+        });
+        assert.equal(igvxhr.getDecompressors()[0], "reverse");
+
+        const content = new TextEncoder().encode("REV" + "\n2 enil\n1 enil");
+        const dataURL = "data:application/octet-stream;base64," + Buffer.from(content).toString("base64");
+        assert.equal(await igvxhr.loadString(dataURL), "line 1\nline 2\n");
+
+        // Applications can replace a built-in decompressor
+        let calls = 0;
+        igvxhr.registerDecompressor({
+            name: "gzip",
+            magic: [31, 139],
+            decompress: (bytes) => {
+                calls++;
+                return inflate(bytes);
+            }
+        });
+        assert.equal(text(decompress(gzip("abc"))), "abc");
+        assert.equal(calls, 1);
+
+        igvxhr.removeDecompressor("reverse");
+        assert.notInclude(igvxhr.getDecompressors(), "reverse");
+
+        assert.throws(() => igvxhr.registerDecompressor({name: "bad", decompress: (b) => b}));
+    })
+})
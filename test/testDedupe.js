@@ -0,0 +1,131 @@
+import "./utils/mockObjects.js"
+import igvxhr, {AbortError} from "../src/igvxhr.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testDedupe", function () {
+
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("slow", function (req, res) {
+            setTimeout(() => res.end(req.headers["authorization"] || "ok"), 30);
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        server.requests = [];
+    })
+
+    test("identical concurrent requests are shared", async function () {
+        const url = server.url("data/misc/BufferedReaderTest.bin");
+        const range = {start: 10, size: 20};
+        const results = await Promise.all([
+            igvxhr.loadArrayBuffer(url, {range}),
+            igvxhr.loadArrayBuffer(url, {range}),
+            igvxhr.loadArrayBuffer(url, {range})
+        ]);
+        assert.equal(server.requests.length, 1);
+        assert.deepEqual(new Uint8Array(results[1]), new Uint8Array(results[0]));
+
+        // Each caller gets its own buffer
+        new Uint8Array(results[0])[0] = 0;
+        assert.notEqual(new Uint8Array(results[1])[0], 0);
+
+        // Completed requests are not reused
+        await igvxhr.loadArrayBuffer(url, {range});
+        assert.equal(server.requests.length, 2);
+    })
+
+    test("shared in Chrome", async function () {
+        // Chrome range requests carry a random cache-busting parameter, it is not part of the key
+        const userAgent = navigator.userAgent;
+        navigator.userAgent = "Mozilla/5.0 Chrome/120.0.0.0";
+        try {
+            const url = server.url("data/misc/BufferedReaderTest.bin");
+            const range = {start: 10, size: 20};
+            const results = await Promise.all([
+                igvxhr.loadArrayBuffer(url, {range}),
+                igvxhr.loadArrayBuffer(url, {range}),
+                igvxhr.loadArrayBuffer(url, {range})
+            ]);
+            assert.equal(server.requests.length, 1);
+            assert.include(server.requests[0].url, "someRandomSeed=");
+            assert.equal(results[2].byteLength, 20);
+        } finally {
+            navigator.userAgent = userAgent;
+        }
+    })
+
+    test("different range, responseType, or credentials are not shared", async function () {
+        const url = server.url("slow");
+        await Promise.all([
+            igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 10}}),
+            igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 20}}),
+            igvxhr.load(url, {range: {start: 0, size: 10}}),
+            igvxhr.loadString(url, {oauthToken: "a"}),
+            igvxhr.loadString(url, {oauthToken: "b"})
+        ]);
+        assert.equal(server.requests.length, 5);
+        const results = await Promise.all([
+            igvxhr.loadString(url, {oauthToken: "a"}),
+            igvxhr.loadString(url, {oauthToken: "b"}),
+            igvxhr.loadString(url, {oauthToken: "b"})
+        ]);
+        assert.deepEqual(results, ["Bearer a", "Bearer b", "Bearer b"]);
+        assert.equal(server.requests.length, 7);
+    })
+
+    test("opt out", async function () {
+        const url = server.url("slow");
+        await Promise.all([igvxhr.loadString(url, {dedupe: false}), igvxhr.loadString(url, {dedupe: false})]);
+        assert.equal(server.requests.length, 2);
+    })
+
+    test("callers abort independently", async function () {
+        const url = server.url("slow");
+        const controller = new AbortController();
+        const p1 = igvxhr.loadString(url, {signal: controller.signal});
+        const p2 = igvxhr.loadString(url);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        controller.abort();
+        try {
+            await p1;
+            assert.fail("Expected AbortError");
+        } catch (e) {
+            assert.instanceOf(e, AbortError);
+        }
+        assert.equal(await p2, "ok");
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("shared request is aborted when all callers abort", async function () {
+        let aborted = false;
+        server.on("hang", function (req, res) {
+            req.on("close", () => aborted = !res.writableEnded);
+            setTimeout(() => res.end("late"), 200);
+        });
+        const url = server.url("hang");
+        const c1 = new AbortController();
+        const c2 = new AbortController();
+        const promises = [
+            igvxhr.loadString(url, {signal: c1.signal}).catch(e => e),
+            igvxhr.loadString(url, {signal: c2.signal}).catch(e => e)
+        ];
+        await new Promise(resolve => setTimeout(resolve, 20));
+        c1.abort();
+        c2.abort();
+        const errors = await Promise.all(promises);
+        assert.instanceOf(errors[0], AbortError);
+        assert.instanceOf(errors[1], AbortError);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.ok(aborted);
+    })
+})
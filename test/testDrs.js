@@ -0,0 +1,117 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import drs from "../src/ga4gh/drs.js";
+import {getExpiration} from "../src/signedUrls.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testDrs", function () {
+
+    const server = new TestServer();
+    const bytes = fs.readFileSync(require.resolve("./data/misc/BufferedReaderTest.bin"));
+    let accessURL;
+
+    function compactDate(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    }
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("ga4gh/drs/v1/objects/obj1", function (req, res) {
+            res.end(JSON.stringify({
+                id: "obj1",
+                access_methods: [
+                    {type: "s3", access_url: {url: "s3://bucket/obj1.bin"}},
+                    {type: "gs", access_id: "gs1"},
+                    {type: "https", access_id: "a1"}
+                ]
+            }));
+        });
+        server.on("ga4gh/drs/v1/objects/obj1/access/a1", function (req, res) {
+            res.end(JSON.stringify({url: accessURL(), headers: ["X-Drs-Token: abc"]}));
+        });
+        server.on("ga4gh/drs/v1/objects/obj2", function (req, res) {
+            res.end(JSON.stringify({
+                id: "obj2",
+                access_methods: [{type: "https", access_url: {url: server.url("data/misc/BufferedReaderTest.bin")}}]
+            }));
+        });
+        server.on("ga4gh/drs/v1/objects/obj3", function (req, res) {
+            res.end(JSON.stringify({id: "obj3", access_methods: [{type: "file", access_url: {url: "file:///tmp/x"}}]}));
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        drs.removePrefix("test");
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        drs.registerPrefix("test", server.url("ga4gh/drs/v1/objects/"));
+        drs.clearCache();
+        server.requests = [];
+        accessURL = () => server.url(`data/misc/BufferedReaderTest.bin?X-Amz-Date=${compactDate(Date.now())}&X-Amz-Expires=3600&X-Amz-Signature=abc`);
+    })
+
+    test("object url", async function () {
+        assert.equal(await drs.objectURL("drs://drs.example.org/abc-123"),
+            "https://drs.example.org/ga4gh/drs/v1/objects/abc-123");
+        assert.equal(await drs.objectURL("drs://TEST:abc"), server.url("ga4gh/drs/v1/objects/abc"));
+        try {
+            await drs.objectURL("drs://nonsense");
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.ok(e.message.includes("Invalid DRS uri"));
+        }
+    })
+
+    test("load through access endpoint", async function () {
+        const range = {start: 10, size: 20};
+        const data = await igvxhr.loadArrayBuffer("drs://test:obj1", {range});
+        assert.deepEqual(new Uint8Array(data), new Uint8Array(bytes.subarray(10, 30)));
+        const dataRequest = server.requests[server.requests.length - 1];
+        assert.ok(dataRequest.url.startsWith("/data/misc/BufferedReaderTest.bin"));
+        assert.equal(dataRequest.headers["x-drs-token"], "abc");
+
+        // The resolved url is cached
+        await igvxhr.loadArrayBuffer("drs://test:obj1", {range});
+        assert.equal(server.requests.length, 4);
+    })
+
+    test("access url", async function () {
+        const text = await igvxhr.loadArrayBuffer("drs://test:obj2");
+        assert.equal(text.byteLength, bytes.length);
+        const info = await igvxhr.getResourceInfo("drs://test:obj2");
+        assert.equal(info.size, bytes.length);
+    })
+
+    test("expired urls are resolved again", async function () {
+        accessURL = () => server.url(`data/misc/BufferedReaderTest.bin?X-Amz-Date=${compactDate(Date.now() - 3600000)}&X-Amz-Expires=60&X-Amz-Signature=abc`);
+        await igvxhr.loadArrayBuffer("drs://test:obj1");
+        await igvxhr.loadArrayBuffer("drs://test:obj1");
+        assert.equal(server.requests.filter(r => r.url.endsWith("/access/a1")).length, 2);
+    })
+
+    test("no supported access method", async function () {
+        try {
+            await igvxhr.loadArrayBuffer("drs://test:obj3");
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.ok(e.message.includes("No supported access method"));
+        }
+    })
+
+    test("signed url expiration", function () {
+        assert.equal(getExpiration("https://b.s3.amazonaws.com/k?X-Amz-Date=20130524T000000Z&X-Amz-Expires=86400&X-Amz-Signature=x"),
+            Date.UTC(2013, 4, 25));
+        assert.equal(getExpiration("https://storage.googleapis.com/b/o?X-Goog-Date=20190101T120000Z&X-Goog-Expires=60&X-Goog-Signature=x"),
+            Date.UTC(2019, 0, 1, 12, 1));
+        assert.equal(getExpiration("https://a.blob.core.windows.net/c/b?sv=2021-08-06&se=2030-01-01T00%3A00%3A00Z&sig=x"),
+            Date.UTC(2030, 0, 1));
+        assert.equal(getExpiration("https://d.cloudfront.net/f?Expires=1700000000&Signature=x&Key-Pair-Id=k"), 1700000000000);
+        assert.isUndefined(getExpiration("https://data.example.org/f.bam"));
+    })
+})
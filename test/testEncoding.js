@@ -0,0 +1,136 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {decodeText, createTextDecoder} from "../src/encoding.js";
+import {splitLines} from "../src/streamUtils.js";
+import {gzip} from "../src/bgzf.js";
+import {assert} from 'chai';
+
+suite("testEncoding", function () {
+
+    const text = "sample\tnäme\nPatient–Ø\t€ 5\n";
+
+    function utf16le(s, bom) {
+        const bytes = new Uint8Array((bom ? 2 : 0) + s.length * 2);
+        let offset = 0;
+        if (bom) {
+            bytes[0] = 0xFF;
+            bytes[1] = 0xFE;
+            offset = 2;
+        }
+        for (let i = 0; i < s.length; i++) {
+            const c = s.charCodeAt(i);
+            bytes[offset + 2 * i] = c & 0xFF;
+            bytes[offset + 2 * i + 1] = c >> 8;
+        }
+        return bytes;
+    }
+
+    function utf16be(s, bom) {
+        const le = utf16le(s, false);
+        const bytes = new Uint8Array((bom ? 2 : 0) + le.length);
+        if (bom) {
+            bytes[0] = 0xFE;
+            bytes[1] = 0xFF;
+        }
+        for (let i = 0; i < le.length; i += 2) {
+            bytes[bytes.length - le.length + i] = le[i + 1];
+            bytes[bytes.length - le.length + i + 1] = le[i];
+        }
+        return bytes;
+    }
+
+    // "näme ü € –" in windows-1252
+    const cp1252 = new Uint8Array([0x6E, 0xE4, 0x6D, 0x65, 0x20, 0xFC, 0x20, 0x80, 0x20, 0x96]);
+
+    function dataURL(bytes) {
+        return "data:application/octet-stream;base64," + Buffer.from(bytes).toString("base64");
+    }
+
+    async function collect(iterable) {
+        const result = [];
+        for await (let item of iterable) {
+            result.push(item);
+        }
+        return result;
+    }
+
+    async function* chunked(bytes, chunkSize) {
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            yield bytes.subarray(i, i + chunkSize);
+        }
+    }
+
+    test("utf-8 BOM is removed", function () {
+        const bytes = new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode(text)]);
+        assert.equal(decodeText(bytes), text);
+    })
+
+    test("utf-16 with BOM", function () {
+        assert.equal(decodeText(utf16le(text, true)), text);
+        assert.equal(decodeText(utf16be(text, true)), text);
+
+        // The BOM takes precedence over the encoding option
+        assert.equal(decodeText(utf16le(text, true), {encoding: "windows-1252"}), text);
+    })
+
+    test("explicit encodings", function () {
+        assert.equal(decodeText(utf16le(text, false), {encoding: "utf-16le"}), text);
+        assert.equal(decodeText(utf16be(text, false), {encoding: "UTF-16BE"}), text);
+        assert.equal(decodeText(cp1252, {encoding: "windows-1252"}), "näme ü € –");
+        assert.equal(decodeText(cp1252, {encoding: "latin1"}), "näme ü € –");
+        assert.throws(() => decodeText(cp1252, {encoding: "no-such-encoding"}), /Unsupported encoding/);
+    })
+
+    test("invalid utf-8 fallback", function () {
+        // Without the fallback invalid bytes are replaced
+        assert.equal(decodeText(cp1252), "n�me � � �");
+        assert.equal(decodeText(cp1252, {encodingFallback: true}), "näme ü € –");
+        assert.equal(decodeText(cp1252, {encodingFallback: "latin1"}), "näme ü € –");
+
+        // Valid utf-8 is not affected
+        assert.equal(decodeText(new TextEncoder().encode(text), {encodingFallback: true}), text);
+    })
+
+    test("streamed decoding", function () {
+        for (let [bytes, options] of [
+            [new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode(text)]), undefined],
+            [utf16le(text, true), undefined],
+            [utf16be(text, false), {encoding: "utf-16be"}],
+            [new TextEncoder().encode(text), {encodingFallback: true}]
+        ]) {
+            const decoder = createTextDecoder(options);
+            let result = "";
+            for (let i = 0; i < bytes.length; i++) {
+                result += decoder.decode(bytes.subarray(i, i + 1), {stream: true});
+            }
+            result += decoder.decode();
+            assert.equal(result, text);
+        }
+    })
+
+    test("loadString", async function () {
+        assert.equal(await igvxhr.loadString(dataURL(utf16le(text, true))), text);
+        assert.equal(await igvxhr.loadString(dataURL(utf16be(text, false)), {encoding: "utf-16be"}), text);
+        assert.equal(await igvxhr.loadString(dataURL(cp1252), {encodingFallback: true}), "näme ü € –");
+
+        // Compressed text is decoded after decompression
+        assert.equal(await igvxhr.loadString(dataURL(gzip(utf16le(text, true)))), text);
+    })
+
+    test("loadJson with BOM", async function () {
+        const json = new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('{"a": 1}')]);
+        assert.deepEqual(await igvxhr.loadJson(dataURL(json)), {a: 1});
+    })
+
+    test("loadLines", async function () {
+        assert.deepEqual(await collect(igvxhr.loadLines(dataURL(utf16le(text, true)))),
+            ["sample\tnäme", "Patient–Ø\t€ 5"]);
+
+        // Invalid utf-8 in a later chunk switches to the fallback encoding
+        const bytes = new Uint8Array([...new TextEncoder().encode("a\r"), 0x0A, ...cp1252, 0x0A]);
+        for (let chunkSize of [1, 2, 100]) {
+            const lines = await collect(splitLines(chunked(bytes, chunkSize), {encodingFallback: true}));
+            assert.deepEqual(lines, ["a", "näme ü € –"], `chunk size ${chunkSize}`);
+        }
+    })
+})
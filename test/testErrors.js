@@ -0,0 +1,96 @@
+import "./utils/mockObjects.js"
+import igvxhr, {
+    HttpError, RangeNotSatisfiableError, AuthRequiredError, NetworkError, TimeoutError
+} from "../src/igvxhr.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testErrors", function () {
+
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("forbidden", function (req, res) {
+            res.writeHead(403, {"X-Reason": "nope"});
+            res.end("Forbidden by policy");
+        });
+        server.on("slow", function (req, res) {
+            setTimeout(() => res.end("done"), 1000);
+        });
+        // Ignores range headers and returns a large body
+        server.on("noRanges", function (req, res) {
+            res.writeHead(200);
+            res.end(Buffer.alloc(200000));
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+    })
+
+    async function expectError(promise, errorClass) {
+        try {
+            await promise;
+        } catch (e) {
+            assert.instanceOf(e, errorClass);
+            return e;
+        }
+        assert.fail(`Expected ${errorClass.name}`);
+    }
+
+    test("404", async function () {
+        const url = server.url("data/noSuchFile.bin");
+        const e = await expectError(igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 10}}), HttpError);
+        assert.equal(e.status, 404);
+        assert.equal(e.url, url);
+        assert.deepEqual(e.range, {start: 0, size: 10});
+        assert.notInstanceOf(e, AuthRequiredError);
+    })
+
+    test("403", async function () {
+        const url = server.url("forbidden");
+        const e = await expectError(igvxhr.loadString(url), AuthRequiredError);
+        assert.instanceOf(e, HttpError);
+        assert.equal(e.status, 403);
+        assert.equal(e.headers["x-reason"], "nope");
+        assert.equal(e.body, "Forbidden by policy");
+    })
+
+    test("416", async function () {
+        const url = server.url("data/misc/BufferedReaderTest.bin");
+        const e = await expectError(igvxhr.loadArrayBuffer(url, {range: {start: 1000, size: 10}}), RangeNotSatisfiableError);
+        assert.equal(e.status, 416);
+        assert.equal(e.headers["content-range"], "bytes */256");
+    })
+
+    test("network error", async function () {
+        const e = await expectError(igvxhr.loadString("http://127.0.0.1:1/foo"), NetworkError);
+        assert.equal(e.url, "http://127.0.0.1:1/foo");
+    })
+
+    test("timeout", async function () {
+        await expectError(igvxhr.loadString(server.url("slow"), {timeout: 20}), TimeoutError);
+    })
+
+    test("range ignored warning", async function () {
+        const warnings = [];
+        const listener = (w) => warnings.push(w);
+        igvxhr.on("warning", listener);
+        try {
+            const url = server.url("noRanges");
+            const data = await igvxhr.loadArrayBuffer(url, {range: {start: 100, size: 10}});
+            assert.equal(data.byteLength, 10);
+            assert.equal(warnings.length, 1);
+            assert.equal(warnings[0].type, "rangeIgnored");
+            assert.equal(warnings[0].url, url);
+        } finally {
+            igvxhr.off("warning", listener);
+        }
+    })
+})
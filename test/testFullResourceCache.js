@@ -0,0 +1,94 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import FullResourceCache from "../src/fullResourceCache.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testFullResourceCache", function () {
+
+    const server = new TestServer();
+    const bytes = fs.readFileSync(require.resolve("./data/misc/BufferedReaderTest.bin"));
+    const events = [];
+    const listener = (e) => events.push(e);
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("noRanges", function (req, res) {
+            res.writeHead(200, {"Content-Length": bytes.length});
+            res.end(bytes);
+        });
+        igvxhr.on("fullDownload", listener);
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.off("fullDownload", listener);
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(async function () {
+        igvxhr.setTransport("node");
+        await igvxhr.clearCache();
+        server.requests = [];
+        events.length = 0;
+    })
+
+    test("range reads are answered from the full response", async function () {
+        const url = server.url("noRanges");
+        const first = await igvxhr.loadArrayBuffer(url, {range: {start: 10, size: 20}});
+        assert.deepEqual(new Uint8Array(first), new Uint8Array(bytes.subarray(10, 30)));
+        assert.deepEqual(events, [{url, size: bytes.length}]);
+
+        const second = await igvxhr.loadArrayBuffer(url, {range: {start: 100, size: 50}});
+        assert.deepEqual(new Uint8Array(second), new Uint8Array(bytes.subarray(100, 150)));
+        assert.equal(server.requests.length, 1);
+        assert.equal(events.length, 1);
+
+        // Range through the end of the file
+        const tail = await igvxhr.loadArrayBuffer(url, {range: {start: 200}});
+        assert.equal(tail.byteLength, bytes.length - 200);
+
+        // Ranges starting at 0 are sliced too
+        const head = await igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 16}});
+        assert.deepEqual(new Uint8Array(head), new Uint8Array(bytes.subarray(0, 16)));
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("servers supporting ranges are not affected", async function () {
+        const url = server.url("data/misc/BufferedReaderTest.bin");
+        await igvxhr.loadArrayBuffer(url, {range: {start: 10, size: 20}});
+        await igvxhr.loadArrayBuffer(url, {range: {start: 100, size: 20}});
+        assert.equal(server.requests.length, 2);
+        assert.equal(events.length, 0);
+    })
+
+    test("full download repeated without Range header when the buffer is too large", async function () {
+        const cache = igvxhr.fullResourceCache;
+        igvxhr.fullResourceCache = new FullResourceCache({maxBytes: 10});
+        try {
+            const url = server.url("noRanges");
+            await igvxhr.loadArrayBuffer(url, {range: {start: 10, size: 20}});
+            const data = await igvxhr.loadArrayBuffer(url, {range: {start: 100, size: 20}});
+            assert.deepEqual(new Uint8Array(data), new Uint8Array(bytes.subarray(100, 120)));
+            assert.equal(server.requests.length, 2);
+            assert.isUndefined(server.requests[1].headers["range"]);
+            assert.equal(events.length, 2);
+        } finally {
+            igvxhr.fullResourceCache = cache;
+        }
+    })
+
+    test("lru eviction", function () {
+        const cache = new FullResourceCache({maxBytes: 100});
+        cache.add("a", new ArrayBuffer(40));
+        cache.add("b", new ArrayBuffer(40));
+        cache.get("a");
+        cache.add("c", new ArrayBuffer(40));
+        assert.ok(cache.get("a"));
+        assert.notOk(cache.get("b"));
+        assert.ok(cache.rangesUnsupported("b"));
+        cache.clear("b");
+        assert.notOk(cache.rangesUnsupported("b"));
+    })
+})
@@ -0,0 +1,85 @@
+import "./utils/mockObjects.js"
+import igvxhr, {HttpError} from "../src/igvxhr.js";
+import * as Htsget from "../src/ga4gh/htsget.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testHtsget", function () {
+
+    const server = new TestServer();
+    const bytes = fs.readFileSync(require.resolve("./data/misc/BufferedReaderTest.bin"));
+    const header = Buffer.from("HEADER");
+    let ticketRequest;
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("htsget/reads/sample1", function (req, res) {
+            ticketRequest = req;
+            res.writeHead(200, {"Content-Type": "application/vnd.ga4gh.htsget.v1.2.0+json"});
+            res.end(JSON.stringify({
+                htsget: {
+                    format: "BAM",
+                    urls: [
+                        {url: `data:application/vnd.ga4gh.bam;base64,${header.toString("base64")}`, class: "header"},
+                        {url: server.url("data/misc/BufferedReaderTest.bin"), headers: {Range: "bytes=10-19"}, class: "body"},
+                        {url: server.url("data/misc/BufferedReaderTest.bin"), headers: {Range: "bytes=100-149"}, class: "body"}
+                    ]
+                }
+            }));
+        });
+        server.on("htsget/variants/missing", function (req, res) {
+            res.writeHead(404, {"Content-Type": "application/json"});
+            res.end(JSON.stringify({htsget: {error: "NotFound", message: "No such accession"}}));
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+    })
+
+    const expected = () => Buffer.concat([header, bytes.subarray(10, 20), bytes.subarray(100, 150)]);
+
+    test("ticket url", function () {
+        assert.equal(Htsget.ticketURL("https://htsget.example.org/", "NA12878", {
+                referenceName: "chr1", start: 100, end: 200, fields: ["QNAME", "POS"]
+            }),
+            "https://htsget.example.org/reads/NA12878?format=BAM&referenceName=chr1&start=100&end=200&fields=QNAME%2CPOS");
+        assert.equal(Htsget.ticketURL("https://htsget.example.org", "v1", {type: "variants", class: "header"}),
+            "https://htsget.example.org/variants/v1?format=VCF&class=header");
+        assert.throws(() => Htsget.ticketURL("https://htsget.example.org", "x", {type: "sequences"}));
+    })
+
+    test("load", async function () {
+        const data = await Htsget.load(server.url("htsget"), "sample1", {
+            referenceName: "chr1", start: 0, end: 1000, headers: {"X-Test": "ticket"}
+        });
+        assert.deepEqual(new Uint8Array(data), new Uint8Array(expected()));
+        assert.equal(ticketRequest.headers["x-test"], "ticket");
+        assert.ok(ticketRequest.url.includes("referenceName=chr1"));
+    })
+
+    test("stream", async function () {
+        const chunks = [];
+        for await (let chunk of Htsget.stream(server.url("htsget"), "sample1", {referenceName: "chr1"})) {
+            chunks.push(Buffer.from(chunk));
+        }
+        assert.deepEqual(new Uint8Array(Buffer.concat(chunks)), new Uint8Array(expected()));
+    })
+
+    test("error", async function () {
+        try {
+            await Htsget.load(server.url("htsget"), "missing", {type: "variants"});
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.instanceOf(e, HttpError);
+            assert.equal(e.status, 404);
+            assert.equal(e.message, "htsget error NotFound: No such accession");
+        }
+    })
+})
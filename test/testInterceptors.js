@@ -0,0 +1,107 @@
+import "./utils/mockObjects.js"
+import igvxhr, {HttpError} from "../src/igvxhr.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testInterceptors", function () {
+
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        server.requests = [];
+    })
+
+    teardown(function () {
+        igvxhr.clearInterceptors();
+    })
+
+    test("request interceptor adds headers and rewrites url", async function () {
+        igvxhr.use({
+            request: (request) => {
+                request.headers["X-Trace-Id"] = "trace-1";
+            }
+        });
+        igvxhr.use({
+            request: (request) => Object.assign({}, request, {url: request.url.replace("nowhere", "data")})
+        });
+        const result = await igvxhr.loadJson(server.url("nowhere/json/example.json"));
+        assert.ok(result.hasOwnProperty("employees"));
+        assert.equal(server.requests[0].headers["x-trace-id"], "trace-1");
+        assert.equal(server.requests[0].url, "/data/json/example.json");
+    })
+
+    test("order", async function () {
+        const calls = [];
+        const interceptor = (name) => ({
+            request: async () => {
+                calls.push(`request ${name}`)
+            },
+            response: async () => {
+                calls.push(`response ${name}`)
+            }
+        });
+        igvxhr.use(interceptor("b"), {order: 2});
+        igvxhr.use(interceptor("a"), {order: 1});
+        igvxhr.use(interceptor("c"), {order: 2});
+        await igvxhr.loadString(server.url("data/json/example.json"));
+        assert.deepEqual(calls, ["request a", "request b", "request c", "response c", "response b", "response a"]);
+    })
+
+    test("response interceptor transforms response", async function () {
+        igvxhr.use({
+            response: (response) => Object.assign({}, response, {
+                response: new TextEncoder().encode(JSON.stringify({status: response.status})).buffer
+            })
+        });
+        const result = await igvxhr.loadJson(server.url("data/json/example.json"));
+        assert.deepEqual(result, {status: 200});
+    })
+
+    test("error interceptor inspects and recovers", async function () {
+        const errors = [];
+        igvxhr.use({
+            error: (error) => {
+                errors.push(error);
+                throw error;
+            }
+        });
+        try {
+            await igvxhr.loadString(server.url("data/noSuchFile.txt"));
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.instanceOf(e, HttpError);
+        }
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].status, 404);
+
+        igvxhr.use({
+            error: (error, request) => ({status: 200, headers: {}, response: "fallback", url: request.url})
+        });
+        assert.equal(await igvxhr.load(server.url("data/noSuchFile.txt")), "fallback");
+    })
+
+    test("remove interceptors", async function () {
+        let count = 0;
+        const interceptor = {request: () => count++};
+        const remove = igvxhr.use(interceptor);
+        await igvxhr.loadString(server.url("data/json/example.json"));
+        remove();
+        await igvxhr.loadString(server.url("data/json/example.json"));
+        assert.equal(count, 1);
+
+        igvxhr.use(interceptor);
+        assert.ok(igvxhr.eject(interceptor));
+        assert.notOk(igvxhr.eject(interceptor));
+        assert.throws(() => igvxhr.use({}));
+    })
+})
@@ -0,0 +1,180 @@
+import "./utils/mockObjects.js"
+import igvxhr, {AbortError, HttpError} from "../src/igvxhr.js";
+import {splitLines} from "../src/streamUtils.js";
+import {decompressChunks} from "../src/decompressors.js";
+import {gzip} from "../src/bgzf.js";
+import * as StringUtils from "../src/stringUtils.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {fileToDataURL} from "./utils/dataURL.js";
+import {createFile} from "./utils/File.js";
+import {TestServer} from "./utils/testServer.js";
+
+suite("testLoadLines", function () {
+
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    async function collect(iterable) {
+        const result = [];
+        for await (let item of iterable) {
+            result.push(item);
+        }
+        return result;
+    }
+
+    async function* chunked(bytes, chunkSize) {
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            yield bytes.subarray(i, i + chunkSize);
+        }
+    }
+
+    function expectedLines(string) {
+        const lines = StringUtils.splitLines(string);
+        if (lines[lines.length - 1] === "") lines.pop();
+        return lines;
+    }
+
+    test("line endings split across chunks", async function () {
+        const text = "a\r\nbb\rccc\n\nd\r\r\ne";
+        const bytes = new TextEncoder().encode(text);
+        for (let chunkSize of [1, 2, 3, 100]) {
+            const lines = await collect(splitLines(chunked(bytes, chunkSize)));
+            assert.deepEqual(lines, ["a", "bb", "ccc", "", "d", "", "e"], `chunk size ${chunkSize}`);
+        }
+    })
+
+    test("multi-byte characters split across chunks", async function () {
+        const text = "größe\tµm\n日本語\n";
+        const lines = await collect(splitLines(chunked(new TextEncoder().encode(text), 1)));
+        assert.deepEqual(lines, ["größe\tµm", "日本語"]);
+    })
+
+    test("concatenated gzip members", async function () {
+        const parts = ["line 1\nline 2\n", "line 3\n", "line 4"];
+        const members = parts.map(p => gzip(p));
+        const bytes = new Uint8Array(members.reduce((n, m) => n + m.length, 0));
+        let offset = 0;
+        for (let m of members) {
+            bytes.set(m, offset);
+            offset += m.length;
+        }
+        for (let chunkSize of [5, members[0].length, 1000]) {
+            const lines = await collect(splitLines(decompressChunks(chunked(bytes, chunkSize))));
+            assert.deepEqual(lines, ["line 1", "line 2", "line 3", "line 4"], `chunk size ${chunkSize}`);
+        }
+    })
+
+    test("multi-block BGZF", async function () {
+        // 8 bgzip blocks of 64 KB each, with an EOF block
+        const bytes = new Uint8Array(fs.readFileSync(require.resolve("./data/misc/features.bed.bgz")));
+        const expected = expectedLines(await igvxhr.loadString(new Blob([bytes])));
+        assert.equal(expected.length, 12000);
+        for (let chunkSize of [7, 16 * 1024, 100000, bytes.length]) {
+            const lines = await collect(splitLines(decompressChunks(chunked(bytes, chunkSize))));
+            assert.deepEqual(lines, expected, `chunk size ${chunkSize}`);
+        }
+
+        // Truncated stream
+        try {
+            await collect(decompressChunks(chunked(bytes.subarray(0, 100000), 16 * 1024)));
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.include(e.message, "truncated");
+        }
+    })
+
+    for (let transport of ["node", "fetch"]) {
+
+        test(`lines from url - ${transport}`, async function () {
+            igvxhr.setTransport(transport);
+            const expected = expectedLines(await igvxhr.loadString(server.url("data/misc/pedigree.fam")));
+            const lines = await collect(igvxhr.loadLines(server.url("data/misc/pedigree.fam")));
+            assert.deepEqual(lines, expected);
+        })
+
+        test(`gzip and bgzf from url - ${transport}`, async function () {
+            igvxhr.setTransport(transport);
+            const expected = expectedLines(await igvxhr.loadString(server.url("data/json/example.json")));
+            for (let file of ["example.json.gz", "example.json.bgz"]) {
+                const lines = await collect(igvxhr.loadLines(server.url(`data/json/${file}`)));
+                assert.deepEqual(lines, expected, file);
+            }
+        })
+
+        test(`multi-block BGZF from url - ${transport}`, async function () {
+            igvxhr.setTransport(transport);
+            const url = server.url("data/misc/features.bed.bgz");
+            const expected = expectedLines(await igvxhr.loadString(url));
+            const lines = await collect(igvxhr.loadLines(url));
+            assert.equal(lines.length, 12000);
+            assert.deepEqual(lines, expected);
+        })
+
+        test(`range - ${transport}`, async function () {
+            igvxhr.setTransport(transport);
+            const range = {start: 10, size: 50};
+            const expected = expectedLines(await igvxhr.loadString(server.url("data/misc/pedigree.fam"), {range}));
+            const lines = await collect(igvxhr.loadLines(server.url("data/misc/pedigree.fam"), {range}));
+            assert.deepEqual(lines, expected);
+        })
+
+        test(`http error - ${transport}`, async function () {
+            igvxhr.setTransport(transport);
+            try {
+                await collect(igvxhr.loadLines(server.url("data/noSuchFile.txt")));
+                assert.fail("Expected error");
+            } catch (e) {
+                assert.instanceOf(e, HttpError);
+                assert.equal(e.status, 404);
+            }
+        })
+    }
+
+    test("lines from local path", async function () {
+        igvxhr.setTransport("node");
+        const path = require.resolve("./data/json/example.json.gz");
+        const expected = expectedLines(await igvxhr.loadString(path));
+        const lines = await collect(igvxhr.loadLines(path));
+        assert.deepEqual(lines, expected);
+        assert.ok(lines.length > 1);
+    })
+
+    test("lines from File", async function () {
+        const file = createFile(require.resolve("./data/json/example.json.bgz"));
+        const expected = expectedLines(await igvxhr.loadString(file));
+        const lines = await collect(igvxhr.loadLines(file));
+        assert.deepEqual(lines, expected);
+    })
+
+    test("lines from data URI", async function () {
+        const url = fileToDataURL(require.resolve("./data/json/example.json.gz"));
+        const expected = expectedLines(await igvxhr.loadString(url));
+        const lines = await collect(igvxhr.loadLines(url));
+        assert.deepEqual(lines, expected);
+    })
+
+    test("abort while iterating", async function () {
+        igvxhr.setTransport("node");
+        const controller = new AbortController();
+        const lines = [];
+        try {
+            for await (let line of igvxhr.loadLines(server.url("data/misc/pedigree.fam"), {signal: controller.signal})) {
+                lines.push(line);
+                controller.abort();
+            }
+            assert.fail("Expected AbortError");
+        } catch (e) {
+            assert.instanceOf(e, AbortError);
+        }
+        assert.equal(lines.length, 1);
+    })
+})
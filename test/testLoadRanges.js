@@ -0,0 +1,125 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {getBoundary, parseMultipart, rangeHeader} from "../src/multipart.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testLoadRanges", function () {
+
+    const server = new TestServer();
+    const bytes = fs.readFileSync(require.resolve("./data/misc/BufferedReaderTest.bin"));
+    const boundary = "3d6b6a416f9b5";
+
+    // Multipart response for a "bytes=a-b,c-d" header, optionally merging overlapping or adjacent ranges
+    function multipart(rangeString) {
+        const chunks = [];
+        for (let r of rangeString.substring(6).split(",")) {
+            const [a, b] = r.split("-");
+            const start = parseInt(a);
+            const end = b ? Math.min(parseInt(b), bytes.length - 1) : bytes.length - 1;
+            chunks.push(Buffer.from(`\r\n--${boundary}\r\nContent-Type: application/octet-stream\r\n` +
+                `Content-Range: bytes ${start}-${end}/${bytes.length}\r\n\r\n`));
+            chunks.push(bytes.subarray(start, end + 1));
+        }
+        chunks.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+        return Buffer.concat(chunks);
+    }
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("multipart", function (req, res) {
+            const range = req.headers["range"];
+            if (range.includes(",")) {
+                res.writeHead(206, {"Content-Type": `multipart/byteranges; boundary=${boundary}`});
+                res.end(multipart(range));
+            } else {
+                const [a, b] = range.substring(6).split("-");
+                res.writeHead(206, {"Content-Range": `bytes ${a}-${b}/${bytes.length}`});
+                res.end(bytes.subarray(parseInt(a), parseInt(b) + 1));
+            }
+        });
+        server.on("merged", function (req, res) {
+            res.writeHead(206, {"Content-Range": `bytes 0-199/${bytes.length}`});
+            res.end(bytes.subarray(0, 200));
+        });
+        server.on("noRanges", function (req, res) {
+            res.writeHead(200);
+            res.end(bytes);
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(async function () {
+        igvxhr.setTransport("node");
+        await igvxhr.clearCache();
+        server.requests = [];
+    })
+
+    const ranges = [{start: 100, size: 20}, {start: 10, size: 5}, {start: 200, size: 10}];
+
+    function verify(buffers, expected) {
+        expected = expected || ranges;
+        assert.equal(buffers.length, expected.length);
+        for (let i = 0; i < expected.length; i++) {
+            const {start, size} = expected[i];
+            assert.deepEqual(new Uint8Array(buffers[i]), new Uint8Array(bytes.subarray(start, start + size)));
+        }
+    }
+
+    test("range header and boundary", function () {
+        assert.equal(rangeHeader([{start: 0, size: 10}, {start: 100}]), "bytes=0-9,100-");
+        assert.equal(getBoundary("multipart/byteranges; boundary=abc"), "abc");
+        assert.equal(getBoundary('multipart/byteranges; boundary="a b"'), "a b");
+        assert.isUndefined(getBoundary("application/octet-stream"));
+    })
+
+    test("parse multipart with boundary in the data", function () {
+        const data = Buffer.from(`xx--${boundary}yy`);
+        const body = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Range: bytes 5-${5 + data.length - 1}/100\r\n\r\n`),
+            data,
+            Buffer.from(`\r\n--${boundary}--`)
+        ]);
+        const parts = parseMultipart(body.buffer.slice(body.byteOffset, body.byteOffset + body.length), boundary);
+        assert.equal(parts.length, 1);
+        assert.equal(parts[0].start, 5);
+        assert.equal(Buffer.from(parts[0].data).toString(), data.toString());
+    })
+
+    test("multipart response", async function () {
+        verify(await igvxhr.loadRanges(server.url("multipart"), ranges));
+        assert.equal(server.requests.length, 1);
+        assert.equal(server.requests[0].headers["range"], "bytes=100-119,10-14,200-209");
+    })
+
+    test("single range response, missing ranges requested separately", async function () {
+        // The test server answers only the first range of a multiple-range request
+        verify(await igvxhr.loadRanges(server.url("data/misc/BufferedReaderTest.bin"), ranges));
+        assert.equal(server.requests.length, 3);
+    })
+
+    test("merged range response", async function () {
+        const merged = [ranges[0], ranges[1]];
+        verify(await igvxhr.loadRanges(server.url("merged"), merged), merged);
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("ranges ignored", async function () {
+        const url = server.url("noRanges");
+        verify(await igvxhr.loadRanges(url, ranges));
+        verify(await igvxhr.loadRanges(url, ranges));
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("local file and single range", async function () {
+        const path = require.resolve("./data/misc/BufferedReaderTest.bin");
+        verify(await igvxhr.loadRanges(path, ranges));
+        const [one] = await igvxhr.loadRanges(server.url("multipart"), [{start: 3, size: 4}]);
+        assert.equal(one.byteLength, 4);
+    })
+})
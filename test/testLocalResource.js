@@ -0,0 +1,209 @@
+import "./utils/mockObjects.js"
+import igvxhr, {HttpError, ResourceChangedError} from "../src/igvxhr.js";
+import {LocalResource, getLocalResource, isLocalResource, isNodePath} from "../src/localResource.js";
+import {createFile} from "./utils/File.js";
+import {assert} from 'chai';
+import fs from 'fs';
+import os from 'os';
+import pathModule from 'path';
+
+suite("testLocalResource", function () {
+
+    const path = require.resolve("./data/misc/BufferedReaderTest.bin");
+    const bytes = new Uint8Array(fs.readFileSync(path));
+    const jsonPath = require.resolve("./data/json/example.json.gz");
+    const range = {start: 25, size: 100};
+
+    const tmpDir = fs.mkdtempSync(pathModule.join(os.tmpdir(), "igvutils-"));
+
+    /**
+     * Minimal FileSystemFileHandle, see https://developer.mozilla.org/en-US/docs/Web/API/FileSystemFileHandle
+     */
+    function fileHandle(file) {
+        return {
+            kind: "file",
+            name: file.name,
+            getFile: async () => file
+        }
+    }
+
+    // All supported kinds of local resources for the BufferedReaderTest.bin bytes
+    function resources() {
+        const file = createFile(path);
+        return {
+            "File": file,
+            "Blob": new Blob([bytes]),
+            "FileSystemFileHandle": fileHandle(file),
+            "path": path,
+            "file url": "file://" + path
+        }
+    }
+
+    function verifyBytes(arrayBuffer, range, label) {
+        assert.equal(arrayBuffer.byteLength, range.size, label);
+        assert.deepEqual(new Uint8Array(arrayBuffer), bytes.slice(range.start, range.start + range.size), label);
+    }
+
+    async function collect(iterable) {
+        const result = [];
+        for await (let item of iterable) {
+            result.push(item);
+        }
+        return result;
+    }
+
+    suiteTeardown(function () {
+        igvxhr.setConsistencyCheck(false);
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+    })
+
+    test("detect local resources", function () {
+        for (let [label, resource] of Object.entries(resources())) {
+            assert.instanceOf(getLocalResource(resource), LocalResource, label);
+        }
+        assert.isTrue(isLocalResource(new Blob([])));
+        assert.isFalse(isLocalResource(path));      // Paths require a file system
+
+        for (let url of ["https://foo.com/bar.bed", "data:,abc", "drs://foo/bar", "gs://foo/bar", "//host/file.bed"]) {
+            assert.isFalse(isNodePath(url), url);
+            assert.equal(getLocalResource(url), undefined, url);
+        }
+        assert.isTrue(isNodePath("relative/path.bed"));
+        assert.isTrue(isNodePath("C:\\data\\file.bed"));
+        assert.equal(getLocalResource(undefined), undefined);
+        assert.equal(getLocalResource({name: "foo"}), undefined);
+    })
+
+    test("name, size, lastModified", async function () {
+        for (let [label, resource] of Object.entries(resources())) {
+            const info = await igvxhr.getResourceInfo(resource);
+            assert.equal(info.size, 256, label);
+            assert.equal(info.acceptsRanges, true, label);
+            if (label !== "Blob") {
+                assert.equal(getLocalResource(resource).name.split("/").pop(), "BufferedReaderTest.bin", label);
+            }
+        }
+        const info = await igvxhr.getResourceInfo(path);
+        assert.equal(info.lastModified.getTime(), Math.floor(fs.statSync(path).mtimeMs));
+    })
+
+    test("loadArrayBuffer", async function () {
+        for (let [label, resource] of Object.entries(resources())) {
+            verifyBytes(await igvxhr.loadArrayBuffer(resource), {start: 0, size: 256}, label);
+            verifyBytes(await igvxhr.loadArrayBuffer(resource, {range}), range, label);
+
+            // Open-ended and truncated ranges
+            verifyBytes(await igvxhr.loadArrayBuffer(resource, {range: {start: 200}}), {start: 200, size: 56}, label);
+            verifyBytes(await igvxhr.loadArrayBuffer(resource, {range: {start: 250, size: 100}}), {start: 250, size: 6}, label);
+        }
+    })
+
+    test("loadRanges", async function () {
+        const ranges = [{start: 0, size: 10}, {start: 100, size: 20}];
+        for (let [label, resource] of Object.entries(resources())) {
+            const buffers = await igvxhr.loadRanges(resource, ranges);
+            verifyBytes(buffers[0], ranges[0], label);
+            verifyBytes(buffers[1], ranges[1], label);
+        }
+    })
+
+    test("loadString and loadLines", async function () {
+        const expected = await igvxhr.loadString(jsonPath);
+        assert.ok(expected.startsWith("{\"employees\""));
+        const gz = new Uint8Array(fs.readFileSync(jsonPath));
+        const file = createFile(jsonPath);
+        for (let resource of [file, new Blob([gz]), fileHandle(file), "file://" + jsonPath]) {
+            assert.equal(await igvxhr.loadString(resource), expected);
+            assert.deepEqual(await igvxhr.loadJson(resource), JSON.parse(expected));
+            assert.deepEqual(await collect(igvxhr.loadLines(resource)), expected.split(/\r?\n/).filter(l => l.length > 0));
+        }
+    })
+
+    test("stream", async function () {
+        for (let [label, resource] of Object.entries(resources())) {
+            const chunks = await collect(getLocalResource(resource).stream(range));
+            const data = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+            let offset = 0;
+            for (let c of chunks) {
+                data.set(c, offset);
+                offset += c.length;
+            }
+            verifyBytes(data.buffer, range, label);
+        }
+    })
+
+    test("function and promise", async function () {
+        const blob = new Blob([bytes]);
+        verifyBytes(await igvxhr.loadArrayBuffer(() => blob, {range}), range);
+        verifyBytes(await igvxhr.loadArrayBuffer(Promise.resolve(fileHandle(createFile(path))), {range}), range);
+    })
+
+    test("missing file", async function () {
+        const missing = pathModule.join(tmpDir, "noSuchFile.bin");
+        for (let load of [() => igvxhr.loadArrayBuffer(missing), () => igvxhr.getResourceInfo(missing)]) {
+            try {
+                await load();
+                assert.fail("Expected error");
+            } catch (e) {
+                assert.instanceOf(e, HttpError);
+                assert.equal(e.status, 404);
+            }
+        }
+    })
+
+    test("changed file", async function () {
+        igvxhr.setConsistencyCheck(true);
+        const tmp = pathModule.join(tmpDir, "changing.txt");
+        fs.writeFileSync(tmp, "version 1");
+        assert.equal(await igvxhr.loadString(tmp, {range: {start: 0, size: 7}}), "version");
+        fs.writeFileSync(tmp, "version 22");
+        try {
+            await igvxhr.loadString(tmp, {range: {start: 0, size: 7}});
+            assert.fail("Expected ResourceChangedError");
+        } catch (e) {
+            assert.instanceOf(e, ResourceChangedError);
+            assert.equal(e.url, "changing.txt");
+        }
+        igvxhr.clearResourceValidators();
+        assert.equal(await igvxhr.loadString(tmp), "version 22");
+
+        // Validators of a path can be cleared with its file:// url
+        const url = "file://" + tmp;
+        fs.writeFileSync(tmp, "version 333");
+        try {
+            await igvxhr.loadString(url);
+            assert.fail("Expected ResourceChangedError");
+        } catch (e) {
+            assert.instanceOf(e, ResourceChangedError);
+        }
+        igvxhr.clearResourceValidators(url);
+        assert.equal(await igvxhr.loadString(url), "version 333");
+    })
+
+    test("custom LocalResource", async function () {
+        class MemoryResource extends LocalResource {
+            get name() {
+                return "memory.txt";
+            }
+
+            async stat() {
+                return {size: this.source.length, lastModified: undefined, type: "text/plain"};
+            }
+
+            async read(range) {
+                const end = range && range.size !== undefined ? range.start + range.size : this.source.length;
+                return this.source.slice(range ? range.start : 0, end).buffer;
+            }
+
+            async* stream(range) {
+                yield new Uint8Array(await this.read(range));
+            }
+        }
+
+        const resource = new MemoryResource(new TextEncoder().encode("line 1\nline 2\n"));
+        assert.equal(getLocalResource(resource), resource);
+        assert.equal(await igvxhr.loadString(resource, {range: {start: 7, size: 6}}), "line 2");
+        assert.deepEqual(await collect(igvxhr.loadLines(resource)), ["line 1", "line 2"]);
+        assert.equal((await igvxhr.getResourceInfo(resource)).contentType, "text/plain");
+    })
+})
@@ -0,0 +1,143 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {AbortError, NetworkError, TimeoutError} from "../src/errors.js";
+import {assert} from 'chai';
+
+suite("testMockTransport", function () {
+
+    const fixture = require.resolve("./data/misc/BufferedReaderTest.bin");
+
+    teardown(function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.fullResourceCache.clear();
+    })
+
+    function verifyBytes(arrayBuffer, range) {
+        assert.equal(arrayBuffer.byteLength, range.size);
+        const dataView = new DataView(arrayBuffer);
+        for (let i = 0; i < range.size; i++) {
+            assert.equal(dataView.getInt8(i), -128 + range.start + i);
+        }
+    }
+
+    test("fixture file with range", async function () {
+        const transport = igvxhr.setMockTransport({"https://example.org/data/*.bin": fixture});
+        const range = {start: 25, size: 100};
+        const data = await igvxhr.loadArrayBuffer("https://example.org/data/test.bin", {range});
+        verifyBytes(data, range);
+
+        assert.equal(transport.requests.length, 1);
+        assert.equal(transport.requests[0].url, "https://example.org/data/test.bin");
+        assert.deepEqual(transport.requests[0].range, {start: 25, end: 124});
+    })
+
+    test("response headers and status", async function () {
+        igvxhr.setMockTransport({"https://example.org/file.bin": fixture});
+        const info = await igvxhr.getResourceInfo("https://example.org/file.bin");
+        assert.equal(info.size, 256);
+        assert.isTrue(info.acceptsRanges);
+
+        const response = await igvxhr.load("https://example.org/file.bin", {range: {start: 250, size: 100}, responseType: "arraybuffer"});
+        assert.equal(response.byteLength, 6);
+    })
+
+    test("range past end of body", async function () {
+        igvxhr.setMockTransport({"https://example.org/file.bin": fixture});
+        try {
+            await igvxhr.loadArrayBuffer("https://example.org/file.bin", {range: {start: 1000, size: 10}});
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.equal(e.status, 416);
+        }
+    })
+
+    test("body, json, and error statuses", async function () {
+        igvxhr.setMockTransport({
+            "https://example.org/index.json": {body: {tracks: ["a", "b"]}, headers: {"Content-Type": "application/json"}},
+            "https://example.org/hello.txt": {body: "hello"},
+            "https://example.org/private/*": {status: 403}
+        });
+        assert.deepEqual(await igvxhr.loadJson("https://example.org/index.json"), {tracks: ["a", "b"]});
+        assert.equal(await igvxhr.loadString("https://example.org/hello.txt?v=1"), "hello");
+
+        for (let [url, status] of [["https://example.org/private/a.bin", 403], ["https://example.org/missing", 404]]) {
+            try {
+                await igvxhr.loadArrayBuffer(url, {retry: false});
+                assert.fail("expected an error");
+            } catch (e) {
+                assert.equal(e.status, status);
+            }
+        }
+    })
+
+    test("handler functions", async function () {
+        const transport = igvxhr.setMockTransport([
+            [/\/echo$/, (request) => ({body: request.headers["X-Token"]})],
+            ["https://example.org/later", async (request) => new Uint8Array([1, 2, 3])]
+        ]);
+        assert.equal(await igvxhr.loadString("https://example.org/echo", {headers: {"X-Token": "abc"}}), "abc");
+        const buffer = await igvxhr.loadArrayBuffer("https://example.org/later", {range: {start: 1, size: 1}});
+        assert.deepEqual(Array.from(new Uint8Array(buffer)), [2]);
+        assert.equal(transport.requests.length, 2);
+    })
+
+    test("server that ignores ranges", async function () {
+        const transport = igvxhr.setMockTransport({"https://example.org/file.bin": {file: fixture, ranges: false}});
+        const range = {start: 10, size: 10};
+        const data = await igvxhr.loadArrayBuffer("https://example.org/file.bin", {range});
+        verifyBytes(data, range);
+        assert.deepEqual(transport.requests[0].range, {start: 10, end: 19});
+    })
+
+    test("network errors", async function () {
+        igvxhr.setMockTransport({
+            "https://example.org/flaky": {error: "network"},
+            "https://example.org/slow": {error: "timeout"}
+        });
+        try {
+            await igvxhr.loadArrayBuffer("https://example.org/flaky", {retry: false});
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.instanceOf(e, NetworkError);
+        }
+        try {
+            await igvxhr.loadArrayBuffer("https://example.org/slow", {retry: false});
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.instanceOf(e, TimeoutError);
+        }
+    })
+
+    test("latency", async function () {
+        igvxhr.setMockTransport({"https://example.org/file.bin": fixture}, {latency: 50});
+        const t0 = Date.now();
+        await igvxhr.loadArrayBuffer("https://example.org/file.bin", {range: {start: 0, size: 10}});
+        assert.isAtLeast(Date.now() - t0, 45);
+
+        try {
+            await igvxhr.loadArrayBuffer("https://example.org/file.bin", {timeout: 10, retry: false});
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.instanceOf(e, TimeoutError);
+        }
+
+        const controller = new AbortController();
+        const promise = igvxhr.loadArrayBuffer("https://example.org/file.bin", {signal: controller.signal});
+        controller.abort();
+        try {
+            await promise;
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.instanceOf(e, AbortError);
+        }
+    })
+
+    test("streams", async function () {
+        igvxhr.setMockTransport({"https://example.org/lines.txt": {body: "a\nb\nc\n"}});
+        const lines = [];
+        for await (let line of igvxhr.loadLines("https://example.org/lines.txt")) {
+            lines.push(line);
+        }
+        assert.deepEqual(lines, ["a", "b", "c"]);
+    })
+})
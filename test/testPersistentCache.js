@@ -0,0 +1,157 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {MemoryStore} from "../src/cacheStores.js";
+import oauth from "../src/oauth.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testPersistentCache", function () {
+
+    const server = new TestServer();
+    let store;
+    let version = 1;
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("versioned", function (req, res) {
+            const etag = `"v${version}"`;
+            if (req.headers["if-none-match"] === etag) {
+                res.writeHead(304, {"ETag": etag});
+                res.end();
+            } else {
+                res.writeHead(200, {"ETag": etag});
+                res.end(`version ${version}`);
+            }
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        store = new MemoryStore();
+        igvxhr.enablePersistentCache({store});
+        server.requests = [];
+        version = 1;
+    })
+
+    teardown(function () {
+        igvxhr.disablePersistentCache();
+    })
+
+    test("revalidate with conditional request", async function () {
+        const url = server.url("data/misc/pedigree.fam");
+        const expected = await igvxhr.loadString(url);
+        assert.equal(store.entries.size, 1);
+
+        // Simulate a new session
+        igvxhr.enablePersistentCache({store});
+        const result = await igvxhr.loadString(url);
+        assert.equal(result, expected);
+        assert.equal(server.requests.length, 2);
+        assert.ok(server.requests[1].headers["if-none-match"]);
+    })
+
+    test("range entries", async function () {
+        const url = server.url("data/misc/BufferedReaderTest.bin");
+        const range = {start: 25, size: 100};
+        const first = await igvxhr.loadArrayBuffer(url, {range});
+        const second = await igvxhr.loadArrayBuffer(url, {range});
+        assert.deepEqual(new Uint8Array(second), new Uint8Array(first));
+        assert.equal(second.byteLength, 100);
+        assert.equal(server.requests[1].headers["range"], "bytes=25-124");
+        assert.ok(server.requests[1].headers["if-none-match"]);
+
+        await igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 10}});
+        assert.equal(store.entries.size, 2);
+    })
+
+    test("range entries in Chrome", async function () {
+        // Chrome range requests carry a random cache-busting parameter, it is not part of the cache key
+        const userAgent = navigator.userAgent;
+        navigator.userAgent = "Mozilla/5.0 Chrome/120.0.0.0";
+        try {
+            const url = server.url("data/misc/BufferedReaderTest.bin");
+            const range = {start: 25, size: 100};
+            igvxhr.enablePersistentCache({store, maxAge: 60000});
+            await igvxhr.loadArrayBuffer(url, {range});
+            const second = await igvxhr.loadArrayBuffer(url, {range});
+            assert.equal(second.byteLength, 100);
+            assert.include(server.requests[0].url, "someRandomSeed=");
+            assert.equal(server.requests.length, 1);
+            assert.equal(store.entries.size, 1);
+        } finally {
+            navigator.userAgent = userAgent;
+        }
+    })
+
+    test("changed resource is replaced", async function () {
+        const url = server.url("versioned");
+        assert.equal(await igvxhr.loadString(url), "version 1");
+        assert.equal(await igvxhr.loadString(url), "version 1");
+        version = 2;
+        assert.equal(await igvxhr.loadString(url), "version 2");
+        assert.equal(await igvxhr.loadString(url), "version 2");
+        assert.equal(store.entries.size, 1);
+    })
+
+    test("maxAge", async function () {
+        igvxhr.enablePersistentCache({store, maxAge: 60000});
+        const url = server.url("versioned");
+        await igvxhr.loadString(url);
+        version = 2;
+        assert.equal(await igvxhr.loadString(url), "version 1");
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("quota and LRU eviction", async function () {
+        igvxhr.enablePersistentCache({store, maxBytes: 200});
+        const url = server.url("data/misc/BufferedReaderTest.bin");
+        await igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 80}});
+        await igvxhr.loadArrayBuffer(url, {range: {start: 80, size: 80}});
+        await igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 80}});   // touch first block
+        await igvxhr.loadArrayBuffer(url, {range: {start: 160, size: 80}});
+        const ranges = Array.from(store.entries.values()).map(e => e.range.start).sort();
+        assert.deepEqual(ranges, [0, 160]);
+        assert.equal(await igvxhr.persistentCache.size(), 160);
+    })
+
+    test("clearCache", async function () {
+        const url1 = server.url("data/misc/pedigree.fam");
+        const url2 = server.url("versioned");
+        await igvxhr.loadString(url1);
+        await igvxhr.loadString(url2);
+        await igvxhr.clearCache(url1);
+        assert.equal(store.entries.size, 1);
+        await igvxhr.clearCache();
+        assert.equal(store.entries.size, 0);
+    })
+
+    test("bypass for signed urls, oauth, and cache: false", async function () {
+        const signed = server.url("versioned?X-Amz-Signature=abc&X-Amz-Expires=60");
+        await igvxhr.loadString(signed);
+        await igvxhr.loadString(server.url("versioned"), {oauthToken: "token"});
+        await igvxhr.loadString(server.url("versioned"), {cache: false});
+        assert.equal(store.entries.size, 0);
+
+        oauth.setToken("token", "127.0.0.1");
+        try {
+            await igvxhr.loadString(server.url("versioned"));
+            assert.equal(store.entries.size, 0);
+        } finally {
+            oauth.removeToken("127.0.0.1");
+        }
+    })
+
+    test("opt in for signed urls", async function () {
+        igvxhr.enablePersistentCache({store, allowSigned: true});
+        await igvxhr.loadString(server.url("versioned?X-Amz-Signature=abc&X-Amz-Expires=60"));
+        await igvxhr.loadString(server.url("versioned?X-Amz-Signature=def&X-Amz-Expires=60"));
+        assert.equal(store.entries.size, 1);
+        assert.equal(Array.from(store.entries.keys())[0], server.url("versioned"));
+        assert.ok(server.requests[1].headers["if-none-match"]);
+    })
+})
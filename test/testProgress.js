@@ -0,0 +1,132 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import ProgressMonitor from "../src/progress.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testProgress", function () {
+
+    const server = new TestServer();
+    const path = "data/misc/GWAS_catalog_SNPs_Pval5E08_hg19_040115_subset.txt";
+    const size = 16690;
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    for (let transport of ["node", "fetch"]) {
+
+        test(`onProgress - ${transport} transport`, async function () {
+            igvxhr.setTransport(transport);
+            const events = [];
+            const url = server.url(path);
+            const result = await igvxhr.loadString(url, {onProgress: (e) => events.push(e)});
+            assert.equal(result.length, size);
+            assert.ok(events.length > 0);
+            const last = events[events.length - 1];
+            assert.equal(last.loaded, size);
+            assert.equal(last.total, size);
+            assert.equal(last.url, url);
+            for (let i = 1; i < events.length; i++) {
+                assert.ok(events[i].loaded >= events[i - 1].loaded);
+            }
+        })
+    }
+
+    test("aggregate progress", async function () {
+        igvxhr.setTransport("node");
+        const events = [];
+        const listener = (e) => events.push(e);
+        igvxhr.progress.addListener(listener);
+        try {
+            await Promise.all([
+                igvxhr.loadArrayBuffer(server.url(path)),
+                igvxhr.loadArrayBuffer(server.url("data/misc/BufferedReaderTest.bin"))
+            ]);
+        } finally {
+            igvxhr.progress.removeListener(listener);
+        }
+        assert.ok(events.length > 0);
+        assert.ok(events.some(e => e.requests === 2));
+        assert.equal(events[events.length - 1].requests, 0);
+    })
+
+    test("streamed bodies stay active until read", async function () {
+        igvxhr.setTransport("node");
+        const events = [];
+        const listener = (e) => events.push(e);
+        igvxhr.progress.addListener(listener);
+        let lines = 0;
+        try {
+            for await (let line of igvxhr.loadLines(server.url(path))) {
+                if (lines++ === 0) {
+                    assert.equal(events[events.length - 1].requests, 1);
+                }
+            }
+        } finally {
+            igvxhr.progress.removeListener(listener);
+        }
+        assert.ok(lines > 1);
+        const last = events[events.length - 1];
+        assert.equal(last.requests, 0);
+        assert.equal(events[events.length - 2].loaded, size);
+    })
+
+    test("shared requests report progress to every caller", async function () {
+        igvxhr.setTransport("node");
+        const url = server.url(path);
+        const events = [[], [], []];
+        await Promise.all(events.map(e => igvxhr.loadArrayBuffer(url, {onProgress: (p) => e.push(p)})));
+        for (let e of events) {
+            assert.ok(e.length > 0);
+            assert.equal(e[e.length - 1].loaded, size);
+            assert.equal(e[e.length - 1].url, url);
+        }
+    })
+
+    test("local resources", async function () {
+        const file = require.resolve("./" + path);
+        const events = [];
+        const aggregate = [];
+        const listener = (e) => aggregate.push(e);
+        igvxhr.progress.addListener(listener);
+        try {
+            const data = await igvxhr.loadArrayBuffer(file, {onProgress: (e) => events.push(e)});
+            assert.equal(data.byteLength, size);
+            assert.deepEqual(events.pop(), {loaded: size, total: size, url: path.split("/").pop()});
+
+            let lines = 0;
+            for await (let line of igvxhr.loadLines(file, {onProgress: (e) => events.push(e)})) {
+                if (lines++ === 0) {
+                    assert.equal(aggregate[aggregate.length - 1].requests, 1);
+                }
+            }
+            assert.ok(lines > 1);
+            assert.equal(events[events.length - 1].loaded, size);
+        } finally {
+            igvxhr.progress.removeListener(listener);
+        }
+        assert.equal(aggregate[aggregate.length - 1].requests, 0);
+    })
+
+    test("progress monitor totals", function () {
+        const monitor = new ProgressMonitor();
+        const events = [];
+        monitor.addListener((e) => events.push(e));
+        const id1 = monitor.start("a");
+        const id2 = monitor.start("b");
+        monitor.update(id1, 10, 100);
+        assert.deepEqual(events.pop(), {loaded: 10, total: undefined, requests: 2, url: "a"});
+        monitor.update(id2, 5, 50);
+        assert.deepEqual(events.pop(), {loaded: 15, total: 150, requests: 2, url: "b"});
+        monitor.end(id1);
+        assert.deepEqual(events.pop(), {loaded: 5, total: 50, requests: 1, url: "a"});
+        monitor.end(id2);
+        assert.equal(events.pop().requests, 0);
+    })
+})
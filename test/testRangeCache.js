@@ -0,0 +1,174 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import RangeCache from "../src/rangeCache.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testRangeCache", function () {
+
+    const server = new TestServer();
+    const path = "data/misc/BufferedReaderTest.bin";
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.disableRangeCache();
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        igvxhr.enableRangeCache();
+        server.requests = [];
+    })
+
+    function verifyBytes(arrayBuffer, range) {
+        assert.equal(arrayBuffer.byteLength, range.size);
+        const dataView = new DataView(arrayBuffer);
+        for (let i = 0; i < range.size; i++) {
+            assert.equal(dataView.getInt8(i), -128 + range.start + i);
+        }
+    }
+
+    test("coalesce adjacent and overlapping ranges", async function () {
+        const url = server.url(path);
+        const ranges = [{start: 50, size: 20}, {start: 0, size: 30}, {start: 20, size: 30}, {start: 200, size: 10}];
+        const results = await Promise.all(ranges.map(range => igvxhr.loadArrayBuffer(url, {range})));
+        for (let i = 0; i < ranges.length; i++) {
+            verifyBytes(results[i], ranges[i]);
+        }
+        // [0,70) merged into one request, [200,210) separate
+        assert.equal(server.requests.length, 2);
+        const rangeHeaders = server.requests.map(r => r.headers.range).sort();
+        assert.deepEqual(rangeHeaders, ["bytes=0-69", "bytes=200-209"]);
+    })
+
+    test("serve sub-ranges from memory", async function () {
+        const url = server.url(path);
+        verifyBytes(await igvxhr.loadArrayBuffer(url, {range: {start: 0, size: 100}}), {start: 0, size: 100});
+        verifyBytes(await igvxhr.loadArrayBuffer(url, {range: {start: 10, size: 20}}), {start: 10, size: 20});
+        verifyBytes(await igvxhr.loadArrayBuffer(url, {range: {start: 90, size: 10}}), {start: 90, size: 10});
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("bypass cache per call", async function () {
+        const url = server.url(path);
+        const range = {start: 0, size: 10};
+        await igvxhr.loadArrayBuffer(url, {range});
+        verifyBytes(await igvxhr.loadArrayBuffer(url, {range, cache: false}), range);
+        assert.equal(server.requests.length, 2);
+    })
+
+    test("byte budget", async function () {
+        const cache = new RangeCache({maxBytes: 100});
+        const fetcher = async (range) => new ArrayBuffer(range.size);
+        await cache.get("a", {start: 0, size: 60}, fetcher);
+        await cache.get("b", {start: 0, size: 30}, fetcher);
+        assert.equal(cache.size, 90);
+        await cache.get("a", {start: 0, size: 10}, fetcher);      // touch "a"
+        await cache.get("c", {start: 0, size: 30}, fetcher);      // evicts "b"
+        assert.equal(cache.size, 90);
+        assert.ok(cache.findBlock("a", 0, 60));
+        assert.notOk(cache.findBlock("b", 0, 30));
+        assert.ok(cache.findBlock("c", 0, 30));
+
+        cache.clear("a");
+        assert.equal(cache.size, 30);
+        cache.clear();
+        assert.equal(cache.size, 0);
+    })
+
+    test("fetch errors are propagated to all callers", async function () {
+        const cache = new RangeCache();
+        const fetcher = async () => {
+            throw Error("boom");
+        };
+        const results = await Promise.allSettled([
+            cache.get("a", {start: 0, size: 10}, fetcher),
+            cache.get("a", {start: 10, size: 10}, fetcher)
+        ]);
+        assert.ok(results.every(r => r.status === "rejected" && r.reason.message === "boom"));
+        assert.equal(cache.size, 0);
+    })
+
+    test("merged requests are aborted when every caller aborts", async function () {
+        const cache = new RangeCache();
+        const signals = [];
+        const fetcher = (range, signal) => new Promise((resolve, reject) => {
+            signals.push(signal);
+            signal.addEventListener("abort", () => reject(Error("aborted")));
+        });
+        const controllers = [new AbortController(), new AbortController(), new AbortController()];
+        const results = Promise.allSettled([
+            cache.get("a", {start: 0, size: 10}, fetcher, controllers[0].signal),
+            cache.get("a", {start: 10, size: 10}, fetcher, controllers[1].signal)
+        ]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.equal(signals.length, 1);
+
+        // A caller joining the inflight request also keeps it alive
+        const joined = cache.get("a", {start: 5, size: 10}, fetcher, controllers[2].signal).catch(e => e);
+        controllers[0].abort();
+        controllers[1].abort();
+        assert.isFalse(signals[0].aborted);
+        controllers[2].abort();
+        assert.isTrue(signals[0].aborted);
+
+        assert.ok((await results).every(r => r.status === "rejected" && r.reason.name === "AbortError"));
+        assert.equal((await joined).name, "AbortError");
+
+        // Callers aborted while queued are not fetched
+        const controller = new AbortController();
+        const queued = cache.get("a", {start: 0, size: 10}, fetcher, controller.signal).catch(e => e);
+        controller.abort();
+        assert.equal((await queued).name, "AbortError");
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.equal(signals.length, 1);
+    })
+
+    test("aborting every caller cancels the http request", async function () {
+        let closed;
+        const connectionClosed = new Promise(resolve => closed = resolve);
+        server.on("slow.bin", (req, res) => {
+            res.writeHead(206, {"Content-Range": "bytes 0-19/256"});
+            req.on("close", closed);
+        })
+        const url = server.url("slow.bin");
+        const controllers = [new AbortController(), new AbortController()];
+        const results = Promise.allSettled(controllers.map((c, i) =>
+            igvxhr.loadArrayBuffer(url, {range: {start: i * 10, size: 10}, signal: c.signal})));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(server.requests.length, 1);
+        controllers.forEach(c => c.abort());
+        await connectionClosed;
+        assert.ok((await results).every(r => r.status === "rejected" && r.reason.name === "AbortError"));
+    })
+
+    test("callers with different credentials or headers do not share data", async function () {
+        const url = server.url(path);
+        const range = {start: 0, size: 20};
+        await Promise.all([
+            igvxhr.loadArrayBuffer(url, {range, oauthToken: "a"}),
+            igvxhr.loadArrayBuffer(url, {range, oauthToken: "b"}),
+            igvxhr.loadArrayBuffer(url, {range, headers: {"X-Custom": "1"}}),
+            igvxhr.loadArrayBuffer(url, {range})
+        ]);
+        assert.equal(server.requests.length, 4);
+        assert.deepEqual(server.requests.map(r => r.headers["authorization"]).sort(),
+            ["Bearer a", "Bearer b", undefined, undefined]);
+
+        // Served from memory only for the same identity
+        await igvxhr.loadArrayBuffer(url, {range: {start: 5, size: 10}, oauthToken: "a"});
+        await igvxhr.loadArrayBuffer(url, {range: {start: 5, size: 10}, headers: {"X-Custom": "1"}});
+        assert.equal(server.requests.length, 4);
+        await igvxhr.loadArrayBuffer(url, {range: {start: 5, size: 10}, oauthToken: "c"});
+        assert.equal(server.requests.length, 5);
+
+        // Clearing the url removes the blocks of all identities
+        igvxhr.clearRangeCache(url);
+        assert.equal(igvxhr.rangeCache.size, 0);
+    })
+})
@@ -0,0 +1,117 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import Throttle from "../src/throttle.js";
+import {getThrottle} from "../src/rateLimits.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testRateLimits", function () {
+
+    const server = new TestServer();
+    let active = 0;
+    let maxActive = 0;
+
+    suiteSetup(async function () {
+        await server.start();
+        server.on("slow", function (req, res) {
+            active++;
+            maxActive = Math.max(active, maxActive);
+            setTimeout(function () {
+                active--;
+                res.end("ok");
+            }, 30);
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        maxActive = 0;
+    })
+
+    teardown(function () {
+        igvxhr.resetRateLimits();
+    })
+
+    test("default limits", function () {
+        const limits = igvxhr.getRateLimits();
+        assert.equal(limits["www.dropbox.com"].requestsPerSecond, 8);
+        assert.ok(getThrottle("https://www.googleapis.com/drive/v3/files/abc?alt=media"));
+        assert.ok(getThrottle("https://drive.google.com/file/d/abc/view"));
+        assert.notOk(getThrottle("https://www.googleapis.com/storage/v1/b/bucket/o/object"));
+        assert.notOk(getThrottle("https://data.example.org/file.bam"));
+        assert.notOk(getThrottle("/local/file.bam"));
+    })
+
+    test("host patterns", function () {
+        igvxhr.setRateLimits({
+            "*.example.org": {maxConcurrent: 4},
+            "data.example.org": {requestsPerSecond: 50}
+        });
+        const exact = getThrottle("https://data.example.org/a.bam");
+        assert.equal(exact.requestsPerSecond, 50);
+        assert.equal(exact.maxConcurrent, Infinity);
+        const wildcard = getThrottle("https://ftp.example.org/a.bam");
+        assert.equal(wildcard.maxConcurrent, 4);
+
+        // Limits are per host
+        assert.strictEqual(getThrottle("https://ftp.example.org/b.bam"), wildcard);
+        assert.notStrictEqual(getThrottle("https://www.example.org/a.bam"), wildcard);
+
+        assert.ok(igvxhr.removeRateLimit("*.example.org"));
+        assert.notOk(getThrottle("https://ftp.example.org/a.bam"));
+        assert.throws(() => igvxhr.setRateLimit("example.com", {maxConcurrent: 0}));
+    })
+
+    test("concurrency limit", async function () {
+        igvxhr.setRateLimit("127.0.0.1", {maxConcurrent: 2});
+        const results = await Promise.all([1, 2, 3, 4, 5, 6].map(i => igvxhr.loadString(server.url(`slow?i=${i}`))));
+        assert.deepEqual(results, ["ok", "ok", "ok", "ok", "ok", "ok"]);
+        assert.equal(maxActive, 2);
+    })
+
+    test("concurrency limit holds slots while streaming", async function () {
+        let streaming = 0;
+        let maxStreaming = 0;
+        server.on("stream", function (req, res) {
+            streaming++;
+            maxStreaming = Math.max(streaming, maxStreaming);
+            res.on("close", () => streaming--);
+            res.writeHead(200, {"Content-Type": "text/plain"});
+            res.write("line 1\n");
+            setTimeout(() => res.end("line 2\n"), 30);
+        });
+        igvxhr.setRateLimit("127.0.0.1", {maxConcurrent: 2});
+        const results = await Promise.all([1, 2, 3, 4, 5, 6].map(async function (i) {
+            const lines = [];
+            for await (let line of igvxhr.loadLines(server.url(`stream?i=${i}`))) {
+                lines.push(line);
+            }
+            return lines;
+        }));
+        for (let lines of results) {
+            assert.deepEqual(lines, ["line 1", "line 2"]);
+        }
+        assert.equal(maxStreaming, 2);
+    })
+
+    test("no limit", async function () {
+        await Promise.all([1, 2, 3, 4].map(i => igvxhr.loadString(server.url(`slow?i=${i}`))));
+        assert.equal(maxActive, 4);
+    })
+
+    test("rate limit and burst", async function () {
+        const throttle = new Throttle({requestsPerSecond: 20, burst: 3});
+        const start = Date.now();
+        const times = await Promise.all([1, 2, 3, 4, 5].map(() => throttle.add(async () => Date.now() - start)));
+        for (let i = 0; i < 3; i++) {
+            assert.isBelow(times[i], 40);
+        }
+        assert.isAtLeast(times[3], 40);
+        assert.isAtLeast(times[4], 90);
+    })
+})
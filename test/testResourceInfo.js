@@ -0,0 +1,111 @@
+import "./utils/mockObjects.js"
+import igvxhr, {HttpError} from "../src/igvxhr.js";
+import {createFile} from "./utils/File.js";
+import {fileToDataURL} from "./utils/dataURL.js";
+import {parseContentRange} from "../src/transport/transportUtils.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testResourceInfo", function () {
+
+    const server = new TestServer();
+    const path = "data/misc/BufferedReaderTest.bin";
+
+    suiteSetup(async function () {
+        await server.start();
+        // Rejects HEAD requests, as urls presigned for GET do
+        server.on("noHead", function (req, res) {
+            if (req.method === "HEAD") {
+                res.writeHead(403);
+                res.end();
+            } else {
+                res.writeHead(206, {"Content-Range": "bytes 0-0/1000", "ETag": "\"abc\""});
+                res.end("x");
+            }
+        });
+        // Ignores range requests
+        server.on("noRanges", function (req, res) {
+            if (req.method === "HEAD") {
+                res.writeHead(405);
+                res.end();
+            } else {
+                res.writeHead(200, {"Content-Length": "3"});
+                res.end("abc");
+            }
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        server.requests = [];
+    })
+
+    test("HEAD request", async function () {
+        const info = await igvxhr.getResourceInfo(server.url(path));
+        assert.equal(info.size, 256);
+        assert.ok(info.etag);
+        assert.instanceOf(info.lastModified, Date);
+        assert.equal(info.acceptsRanges, true);
+        assert.equal(info.contentType, "application/octet-stream");
+        assert.equal(server.requests.length, 1);
+        assert.equal(server.requests[0].method, "HEAD");
+    })
+
+    test("fallback to range request", async function () {
+        const info = await igvxhr.getResourceInfo(server.url("noHead"));
+        assert.equal(info.size, 1000);
+        assert.equal(info.etag, "\"abc\"");
+        assert.equal(info.acceptsRanges, true);
+        assert.deepEqual(server.requests.map(r => r.method), ["HEAD", "GET"]);
+        assert.equal(server.requests[1].headers.range, "bytes=0-0");
+    })
+
+    test("range requests not supported", async function () {
+        const info = await igvxhr.getResourceInfo(server.url("noRanges"));
+        assert.equal(info.size, 3);
+        assert.equal(info.acceptsRanges, false);
+    })
+
+    test("not found", async function () {
+        try {
+            await igvxhr.getResourceInfo(server.url("data/noSuchFile.bin"));
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.instanceOf(e, HttpError);
+            assert.equal(e.status, 404);
+        }
+        assert.equal(server.requests.length, 1);
+    })
+
+    test("local file path", async function () {
+        const info = await igvxhr.getResourceInfo(require.resolve("./data/misc/BufferedReaderTest.bin"));
+        assert.equal(info.size, 256);
+        assert.equal(info.acceptsRanges, true);
+        assert.instanceOf(info.lastModified, Date);
+    })
+
+    test("File and data URI", async function () {
+        const file = createFile(require.resolve("./data/misc/BufferedReaderTest.bin"));
+        const fileInfo = await igvxhr.getResourceInfo(file);
+        assert.equal(fileInfo.size, 256);
+        assert.equal(fileInfo.contentType, "text/plain");
+
+        const dataURL = await fileToDataURL(require.resolve("./data/misc/BufferedReaderTest.bin"));
+        const dataInfo = await igvxhr.getResourceInfo(dataURL);
+        assert.equal(dataInfo.size, 256);
+        assert.equal(dataInfo.contentType, "application/octet-stream");
+    })
+
+    test("parse Content-Range", function () {
+        assert.deepEqual(parseContentRange("bytes 0-99/1234"), {start: 0, end: 99, size: 1234});
+        assert.deepEqual(parseContentRange("bytes */1234"), {start: undefined, end: undefined, size: 1234});
+        assert.deepEqual(parseContentRange("bytes 0-99/*"), {start: 0, end: 99, size: undefined});
+        assert.equal(parseContentRange("garbage"), undefined);
+        assert.equal(parseContentRange(undefined), undefined);
+    })
+})
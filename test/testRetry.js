@@ -0,0 +1,140 @@
+import "./utils/mockObjects.js"
+import igvxhr, {AbortError} from "../src/igvxhr.js";
+import {parseRetryAfter, resolveRetryPolicy, retryDelay, DEFAULT_RETRY_POLICY} from "../src/retry.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testRetry", function () {
+
+    const server = new TestServer();
+    const fastRetry = {maxAttempts: 3, initialDelay: 1, maxDelay: 10, jitter: false};
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.setRetryPolicy({});
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+    })
+
+    teardown(function () {
+        igvxhr.setRetryPolicy({});
+    })
+
+    /**
+     * Register a handler that fails with the given status "failures" times, then succeeds
+     */
+    function flaky(path, failures, status, headers) {
+        let count = 0;
+        server.on(path, function (req, res) {
+            count++;
+            if (count <= failures) {
+                res.writeHead(status, headers || {});
+                res.end();
+            } else {
+                res.end("ok");
+            }
+        });
+        return () => count;
+    }
+
+    test("retry 503 per call", async function () {
+        const count = flaky("flaky503", 2, 503);
+        const result = await igvxhr.loadString(server.url("flaky503"), {retry: fastRetry});
+        assert.equal(result, "ok");
+        assert.equal(count(), 3);
+    })
+
+    test("retry global policy", async function () {
+        const count = flaky("flaky429", 1, 429, {"Retry-After": "0"});
+        igvxhr.setRetryPolicy(fastRetry);
+        const result = await igvxhr.loadString(server.url("flaky429"));
+        assert.equal(result, "ok");
+        assert.equal(count(), 2);
+    })
+
+    test("attempts exhausted", async function () {
+        const count = flaky("flaky500", 5, 500);
+        try {
+            await igvxhr.loadString(server.url("flaky500"), {retry: fastRetry});
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.equal(e.status, 500);
+        }
+        assert.equal(count(), 3);
+    })
+
+    test("retry disabled per call", async function () {
+        const count = flaky("flaky502", 1, 502);
+        igvxhr.setRetryPolicy(fastRetry);
+        try {
+            await igvxhr.loadString(server.url("flaky502"), {retry: false});
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.equal(e.status, 502);
+        }
+        assert.equal(count(), 1);
+    })
+
+    test("non-retryable status and method", async function () {
+        const count404 = flaky("flaky404", 1, 404);
+        try {
+            await igvxhr.loadString(server.url("flaky404"), {retry: fastRetry});
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.equal(e.status, 404);
+        }
+        assert.equal(count404(), 1);
+
+        const countPost = flaky("flakyPost", 1, 503);
+        try {
+            await igvxhr.loadString(server.url("flakyPost"), {method: "POST", sendData: "x", retry: fastRetry});
+            assert.fail("Expected error");
+        } catch (e) {
+            assert.equal(e.status, 503);
+        }
+        assert.equal(countPost(), 1);
+    })
+
+    test("abort during backoff", async function () {
+        flaky("flakyAbort", 5, 503);
+        const controller = new AbortController();
+        const promise = igvxhr.loadString(server.url("flakyAbort"),
+            {signal: controller.signal, retry: {maxAttempts: 5, initialDelay: 5000, jitter: false}});
+        setTimeout(() => controller.abort(), 50);
+        try {
+            await promise;
+            assert.fail("Expected AbortError");
+        } catch (e) {
+            assert.instanceOf(e, AbortError);
+        }
+    })
+
+    test("parse Retry-After", function () {
+        assert.equal(parseRetryAfter("2"), 2000);
+        assert.equal(parseRetryAfter(undefined), undefined);
+        assert.equal(parseRetryAfter("garbage"), undefined);
+        const date = new Date(Date.now() + 10000).toUTCString();
+        const delay = parseRetryAfter(date);
+        assert.ok(delay > 5000 && delay <= 10000);
+    })
+
+    test("backoff delay", function () {
+        const policy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, {initialDelay: 100, maxDelay: 1000, jitter: false});
+        assert.equal(retryDelay(policy, 1), 100);
+        assert.equal(retryDelay(policy, 2), 200);
+        assert.equal(retryDelay(policy, 10), 1000);
+        assert.equal(retryDelay(policy, 1, "5"), 1000);     // Retry-After capped at maxDelay
+        const jittered = resolveRetryPolicy(policy, {jitter: true});
+        for (let i = 0; i < 20; i++) {
+            const d = retryDelay(jittered, 3);
+            assert.ok(d >= 0 && d <= 400);
+        }
+    })
+})
@@ -0,0 +1,171 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {isExpiring, isPresigned} from "../src/signedUrls.js";
+import {assert} from 'chai';
+import {TestServer, serveFile} from "./utils/testServer.js";
+
+suite("testSignedUrls", function () {
+
+    const server = new TestServer();
+    const file = require.resolve("./data/misc/BufferedReaderTest.bin");
+    let expiredTokens;
+    let token;
+
+    function compactDate(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    }
+
+    function signedURL(signedAt, tkn) {
+        return server.url(`signed/file.bin?X-Amz-Date=${compactDate(signedAt)}&X-Amz-Expires=3600&X-Amz-Signature=${tkn}`);
+    }
+
+    suiteSetup(async function () {
+        await server.start();
+        // Simulates an S3 presigned url, tokens in expiredTokens are rejected as expired
+        server.on("signed/file.bin", function (req, res) {
+            const signature = /X-Amz-Signature=([^&]+)/.exec(req.url)[1];
+            if (expiredTokens.has(signature)) {
+                res.writeHead(403, {"Content-Type": "application/xml"});
+                res.end("<Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>");
+            } else if (signature === "denied") {
+                res.writeHead(403, {"Content-Type": "application/xml"});
+                res.end("<Error><Code>AccessDenied</Code><Message>Access Denied</Message></Error>");
+            } else {
+                serveFile(file, req, res);
+            }
+        });
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        igvxhr.setRefreshUrl(undefined);
+        await server.stop();
+    })
+
+    setup(function () {
+        igvxhr.setTransport("node");
+        igvxhr.setRefreshUrl(undefined);
+        igvxhr.clearRefreshedUrls();
+        expiredTokens = new Set();
+        token = 0;
+        server.requests = [];
+    })
+
+    test("isExpiring", function () {
+        const url = signedURL(Date.now(), "a");
+        assert.isFalse(isExpiring(url, 0));
+        assert.isTrue(isExpiring(url, 3601 * 1000));
+        assert.isTrue(isExpiring(signedURL(Date.now() - 7200 * 1000, "a"), 0));
+        assert.isFalse(isExpiring("https://example.org/file.bin", 0));
+    })
+
+    test("refresh after expired 403", async function () {
+        const original = signedURL(Date.now(), "t0");
+        expiredTokens.add("t0");
+        const calls = [];
+        igvxhr.setRefreshUrl(function (url) {
+            calls.push(url);
+            return signedURL(Date.now(), `t${++token}`);
+        });
+
+        const buffer = await igvxhr.loadArrayBuffer(original, {range: {start: 0, size: 10}});
+        assert.equal(buffer.byteLength, 10);
+        assert.deepEqual(calls, [original]);
+
+        // The refreshed url is used for later requests
+        await igvxhr.loadArrayBuffer(original, {range: {start: 10, size: 10}});
+        assert.equal(calls.length, 1);
+        assert.include(server.requests[server.requests.length - 1].url, "X-Amz-Signature=t1");
+
+        // The refreshed url expires in turn, the callback receives the original url
+        expiredTokens.add("t1");
+        await igvxhr.loadArrayBuffer(original, {range: {start: 20, size: 10}});
+        assert.deepEqual(calls, [original, original]);
+    })
+
+    test("refresh before expiration", async function () {
+        const original = signedURL(Date.now() - 3590 * 1000, "t0");    // Expires in 10 seconds
+        let calls = 0;
+        igvxhr.setRefreshUrl(async function (url) {
+            calls++;
+            return signedURL(Date.now(), `t${++token}`);
+        });
+
+        await igvxhr.loadArrayBuffer(original, {range: {start: 0, size: 10}});
+        assert.equal(calls, 1);
+        assert.equal(server.requests.length, 1);
+        assert.include(server.requests[0].url, "X-Amz-Signature=t1");
+    })
+
+    test("concurrent requests share a refresh", async function () {
+        const original = signedURL(Date.now(), "t0");
+        expiredTokens.add("t0");
+        let calls = 0;
+        const refreshUrl = async function (url) {
+            calls++;
+            return signedURL(Date.now(), `t${++token}`);
+        };
+
+        const buffers = await Promise.all([0, 10, 20, 30].map(start =>
+            igvxhr.loadArrayBuffer(original, {range: {start, size: 10}, refreshUrl})));
+        assert.equal(buffers.length, 4);
+        assert.equal(calls, 1);
+    })
+
+    test("403 that is not expiry is not refreshed", async function () {
+        const original = signedURL(Date.now(), "denied");
+        let calls = 0;
+        igvxhr.setRefreshUrl(function (url) {
+            calls++;
+            return url;
+        });
+
+        try {
+            await igvxhr.loadArrayBuffer(original);
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.equal(e.status, 403);
+        }
+        assert.equal(calls, 0);
+    })
+
+    test("urls that are not presigned are not refreshed", async function () {
+        server.on("plain.bin", function (req, res) {
+            res.writeHead(401, {"Content-Type": "application/json"});
+            res.end('{"error": "access token expired"}');
+        });
+        let calls = 0;
+        igvxhr.setRefreshUrl(function (url) {
+            calls++;
+            return url;
+        });
+
+        try {
+            await igvxhr.loadArrayBuffer(server.url("plain.bin"));
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.equal(e.status, 401);
+        }
+        assert.equal(calls, 0);
+        assert.isTrue(isPresigned(signedURL(Date.now(), "a")));
+        assert.isTrue(isPresigned("https://account.blob.core.windows.net/c/f.bam?sv=2020-08-04&sig=abc"));
+        assert.isFalse(isPresigned(server.url("plain.bin")));
+    })
+
+    test("refresh is retried once", async function () {
+        const original = signedURL(Date.now(), "t0");
+        expiredTokens.add("t0");
+        expiredTokens.add("t1");
+        igvxhr.setRefreshUrl(function (url) {
+            return signedURL(Date.now(), `t${++token}`);
+        });
+
+        try {
+            await igvxhr.loadArrayBuffer(original);
+            assert.fail("expected an error");
+        } catch (e) {
+            assert.equal(e.status, 403);
+        }
+        assert.equal(token, 1);
+    })
+})
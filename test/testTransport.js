@@ -0,0 +1,202 @@
+import "./utils/mockObjects.js"
+import igvxhr, {HttpError} from "../src/igvxhr.js";
+import {assert} from 'chai';
+import {TestServer} from "./utils/testServer.js";
+
+suite("testTransport", function () {
+
+    const range = {start: 25, size: 100};
+    const server = new TestServer();
+
+    suiteSetup(async function () {
+        await server.start();
+    })
+
+    suiteTeardown(async function () {
+        igvxhr.setTransport(undefined);
+        await server.stop();
+    })
+
+    teardown(function () {
+        igvxhr.setTransport(undefined);
+    })
+
+    function verifyBytes(arrayBuffer, range) {
+        assert.ok(arrayBuffer);
+        assert.equal(arrayBuffer.byteLength, range.size);
+        const dataView = new DataView(arrayBuffer);
+        for (let i = 0; i < range.size; i++) {
+            assert.equal(dataView.getInt8(i), -128 + range.start + i);
+        }
+    }
+
+    test("node transport - local file range", async function () {
+        igvxhr.setTransport("node");
+        const url = require.resolve("./data/misc/BufferedReaderTest.bin");
+        const data = await igvxhr.loadArrayBuffer(url, {range});
+        verifyBytes(data, range);
+    })
+
+    test("node transport - http range", async function () {
+        igvxhr.setTransport("node");
+        const data = await igvxhr.loadArrayBuffer(server.url("data/misc/BufferedReaderTest.bin"), {range});
+        verifyBytes(data, range);
+    })
+
+    test("node transport - http string", async function () {
+        igvxhr.setTransport("node");
+        const result = await igvxhr.loadString(server.url("data/json/example.json.gz"));
+        assert.ok(result.startsWith("{\"employees\""));
+    })
+
+    test("fetch transport - http range", async function () {
+        igvxhr.setTransport("fetch");
+        const data = await igvxhr.loadArrayBuffer(server.url("data/misc/BufferedReaderTest.bin"), {range});
+        verifyBytes(data, range);
+    })
+
+    test("fetch transport - json", async function () {
+        igvxhr.setTransport("fetch");
+        const result = await igvxhr.loadJson(server.url("data/json/example.json"));
+        assert.ok(result.hasOwnProperty("employees"));
+    })
+
+    test("fetch transport - error status", async function () {
+        igvxhr.setTransport("fetch");
+        try {
+            await igvxhr.loadString(server.url("data/noSuchFile.txt"));
+            assert.fail("Expected an error");
+        } catch (e) {
+            assert.equal(e.status, 404);
+        }
+    })
+
+    for (let transport of ["node", "fetch"]) {
+
+        test(`json error status - ${transport} transport`, async function () {
+            igvxhr.setTransport(transport);
+            server.on("notFound.json", (req, res) => {
+                res.writeHead(404, {"Content-Type": "text/html"});
+                res.end("<html><body>Not found</body></html>");
+            })
+            try {
+                await igvxhr.load(server.url("notFound.json"), {responseType: "json"});
+                assert.fail("Expected an error");
+            } catch (e) {
+                assert.instanceOf(e, HttpError);
+                assert.equal(e.status, 404);
+            }
+        })
+    }
+
+    test("node transport - invalid json", async function () {
+        igvxhr.setTransport("node");
+        server.on("invalid.json", (req, res) => {
+            res.writeHead(200, {"Content-Type": "application/json"});
+            res.end("<html></html>");
+        })
+        try {
+            await igvxhr.load(server.url("invalid.json"), {responseType: "json"});
+            assert.fail("Expected an error");
+        } catch (e) {
+            assert.instanceOf(e, SyntaxError);
+        }
+    })
+
+    test("node transport - redirects", async function () {
+        igvxhr.setTransport("node");
+        const file = "data/misc/BufferedReaderTest.bin";
+        const otherOrigin = server.url(file).replace("127.0.0.1", "localhost");
+        server.on("sameOrigin", (req, res) => {
+            res.writeHead(302, {"Location": "/" + file});
+            res.end();
+        })
+        server.on("otherOrigin", (req, res) => {
+            res.writeHead(302, {"Location": otherOrigin});
+            res.end();
+        })
+        const headers = {"Authorization": "Bearer SECRET", "Cookie": "session=1", "X-Amz-Date": "20240101T000000Z", "X-Test": "1"};
+
+        server.requests = [];
+        verifyBytes(await igvxhr.loadArrayBuffer(server.url("sameOrigin"), {range, headers}), range);
+        assert.equal(server.requests[1].headers["authorization"], "Bearer SECRET");
+
+        server.requests = [];
+        verifyBytes(await igvxhr.loadArrayBuffer(server.url("otherOrigin"), {range, headers}), range);
+        const redirected = server.requests[1].headers;
+        assert.equal(redirected["x-test"], "1");
+        assert.equal(redirected["range"], "bytes=25-124");
+        for (let name of ["authorization", "cookie", "x-amz-date"]) {
+            assert.isUndefined(redirected[name], name);
+        }
+    })
+
+    test("node transport - 303 redirect", async function () {
+        igvxhr.setTransport("node");
+        server.on("seeOther", (req, res) => {
+            res.writeHead(303, {"Location": "/data/json/example.json"});
+            res.end();
+        })
+        server.requests = [];
+        const result = await igvxhr.loadJson(server.url("seeOther"), {sendData: JSON.stringify({a: 1})});
+        assert.ok(result.hasOwnProperty("employees"));
+        assert.equal(server.requests[0].method, "POST");
+        assert.equal(server.requests[1].method, "GET");
+        assert.isUndefined(server.requests[1].headers["content-type"]);
+    })
+
+    test("automatic selection streams with fetch", async function () {
+        const fetchUrls = [];
+        const xhrUrls = [];
+        const originalFetch = global.fetch;
+        const originalXhr = global.XMLHttpRequest;
+        global.fetch = function (url, init) {
+            fetchUrls.push(url);
+            return originalFetch(url, init);
+        }
+        global.XMLHttpRequest = class extends originalXhr {
+            open(method, url) {
+                xhrUrls.push(url);
+                super.open(method, url);
+            }
+        }
+        try {
+            const url = server.url("data/misc/GWAS_catalog_SNPs_Pval5E08_hg19_040115_subset.txt");
+            const lines = [];
+            for await (let line of igvxhr.loadLines(url)) {
+                lines.push(line);
+            }
+            assert.ok(lines.length > 1);
+            assert.deepEqual(fetchUrls, [url]);
+            assert.deepEqual(xhrUrls, []);
+
+            // Other requests still use XMLHttpRequest
+            await igvxhr.loadString(url);
+            assert.deepEqual(xhrUrls, [url]);
+        } finally {
+            global.fetch = originalFetch;
+            global.XMLHttpRequest = originalXhr;
+        }
+    })
+
+    test("custom transport", async function () {
+        const requests = [];
+        igvxhr.registerTransport("custom", {
+            request: async function (request) {
+                requests.push(request);
+                return {status: 200, headers: {}, response: "hello", url: request.url};
+            }
+        })
+        igvxhr.setTransport("custom");
+        const result = await igvxhr.load("https://example.org/foo.txt", {headers: {"X-Test": "1"}});
+        assert.equal(result, "hello");
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].method, "GET");
+        assert.equal(requests[0].headers["X-Test"], "1");
+    })
+
+    test("register invalid transport", function () {
+        assert.throws(() => igvxhr.registerTransport("bad", {}));
+        assert.throws(() => igvxhr.setTransport("noSuchTransport"));
+    })
+})
@@ -0,0 +1,96 @@
+import "./utils/mockObjects.js"
+import igvxhr from "../src/igvxhr.js";
+import {mapUrl} from "../src/urlMappers.js";
+import {assert} from 'chai';
+
+suite("testUrlMappers", function () {
+
+    teardown(function () {
+        igvxhr.resetUrlMappers();
+        igvxhr.setTransport(undefined);
+    })
+
+    test("default rules", function () {
+        assert.equal(mapUrl("https://www.dropbox.com/s/abc/foo.bed?dl=0"), "https://dl.dropboxusercontent.com/s/abc/foo.bed?dl=0");
+        assert.equal(mapUrl("https://www.broadinstitute.org/igvdata/foo.bed"), "https://data.broadinstitute.org/igvdata/foo.bed");
+        assert.equal(mapUrl("https://igvdata.broadinstitute.org/foo.bed"), "https://dn7ywbm9isq8j.cloudfront.net/foo.bed");
+        assert.equal(mapUrl("ftp://ftp.ncbi.nlm.nih.gov/geo/foo.bed"), "https://ftp.ncbi.nlm.nih.gov/geo/foo.bed");
+        assert.equal(mapUrl("https://drive.google.com/file/d/abc123/view?usp=sharing"),
+            "https://www.googleapis.com/drive/v3/files/abc123?alt=media&supportsTeamDrives=true");
+        assert.equal(mapUrl("https://www.example.org/foo.bed"), "https://www.example.org/foo.bed");
+    })
+
+    test("disable default rules", function () {
+        const url = "https://www.dropbox.com/s/abc/foo.bed";
+        igvxhr.setDefaultUrlMappersEnabled(false);
+        assert.equal(mapUrl(url), url);
+        igvxhr.setDefaultUrlMappersEnabled(true);
+        assert.notEqual(mapUrl(url), url);
+        assert.ok(igvxhr.removeUrlMapper("dropbox"));
+        assert.equal(mapUrl(url), url);
+    })
+
+    test("custom rules", function () {
+        igvxhr.registerUrlMapper("//data.example.org", "//mirror.example.org", {name: "mirror"});
+        igvxhr.registerUrlMapper(/^ftp:\/\/(.*)$/, "https://$1");
+        igvxhr.registerUrlMapper((url) => url.endsWith(".bed"), (url) => url + "?cdn=1");
+
+        assert.equal(mapUrl("https://data.example.org/foo.bam"), "https://mirror.example.org/foo.bam");
+        assert.equal(mapUrl("ftp://ftp.example.org/foo.bam"), "https://ftp.example.org/foo.bam");
+        assert.equal(mapUrl("ftp://data.example.org/foo.bed"), "https://mirror.example.org/foo.bed?cdn=1");
+
+        assert.ok(igvxhr.removeUrlMapper("mirror"));
+        assert.notOk(igvxhr.removeUrlMapper("mirror"));
+        assert.equal(mapUrl("https://data.example.org/foo.bam"), "https://data.example.org/foo.bam");
+    })
+
+    test("rule order", function () {
+        igvxhr.registerUrlMapper("a.org", "b.org", {name: "second", order: 2});
+        igvxhr.registerUrlMapper("a.org", "c.org", {name: "first", order: 1});
+        assert.equal(mapUrl("https://a.org/x"), "https://c.org/x");
+
+        // Custom rules run before the defaults unless given a larger order
+        igvxhr.registerUrlMapper("//www.dropbox.com", "//dropbox-mirror.example.org", {name: "dropboxMirror"});
+        assert.equal(mapUrl("https://www.dropbox.com/x"), "https://dropbox-mirror.example.org/x");
+        const names = igvxhr.getUrlMappers().map(r => r.name);
+        assert.ok(names.indexOf("first") < names.indexOf("second"));
+        assert.ok(names.indexOf("dropboxMirror") < names.indexOf("dropbox"));
+    })
+
+    test("invalid rules", function () {
+        assert.throws(() => igvxhr.registerUrlMapper((url) => true, "x"));
+        assert.throws(() => igvxhr.registerUrlMapper(42, "x"));
+        assert.throws(() => igvxhr.registerUrlMapper("x", 42));
+    })
+
+    test("rules applied by load", async function () {
+        const requests = [];
+        igvxhr.registerTransport("mapperTest", {
+            request: async function (request) {
+                requests.push(request);
+                return {status: 200, headers: {}, response: "ok", url: request.url};
+            }
+        });
+        igvxhr.setTransport("mapperTest");
+        igvxhr.registerUrlMapper("//data.example.org", "//mirror.example.org");
+        await igvxhr.loadString("https://data.example.org/foo.bed");
+        assert.equal(requests[0].url, "https://mirror.example.org/foo.bed");
+    })
+
+    test("google drive links are mapped by a default rule", async function () {
+        const requests = [];
+        igvxhr.setTransport({
+            request: async function (request) {
+                requests.push(request);
+                return {status: 200, headers: {}, response: "ok", url: request.url};
+            }
+        });
+        const link = "https://drive.google.com/file/d/abc123/view?usp=sharing";
+        await igvxhr.loadString(link);
+        assert.ok(requests[0].url.startsWith("https://www.googleapis.com/drive/v3/files/abc123?alt=media"));
+
+        igvxhr.setDefaultUrlMappersEnabled(false);
+        await igvxhr.loadString(link);
+        assert.equal(requests[1].url, link);
+    })
+})
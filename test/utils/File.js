@@ -16,7 +16,7 @@ class File {
 
     //var newBlob = blob.slice(start, end, contentType);
     slice(start, end, contentType) {
-        return this.buffer.slice(start, end);
+        return new File(this.buffer.slice(start, end), this.name);
     }
 
     async arrayBuffer() {
@@ -29,7 +29,19 @@ class File {
     }
 
     stream() {
-        throw Error("Not implemented")
+        const buffer = this.buffer;
+        const chunkSize = 64;
+        let offset = 0;
+        return new ReadableStream({
+            pull(controller) {
+                if (offset >= buffer.length) {
+                    controller.close();
+                } else {
+                    controller.enqueue(new Uint8Array(buffer.subarray(offset, offset + chunkSize)));
+                    offset += chunkSize;
+                }
+            }
+        });
     }
 }
 
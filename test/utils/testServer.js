@@ -0,0 +1,97 @@
+/**
+ * Minimal http server for unit tests.  Serves files from the test directory with support for single byte-range
+ * requests.  Custom handlers can be registered for specific paths to simulate server behaviors.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+class TestServer {
+
+    constructor(root) {
+        this.root = root || path.resolve(__dirname, "..");
+        this.handlers = new Map();
+        this.requests = [];
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = undefined;
+        }
+    }
+
+    url(p) {
+        return `http://127.0.0.1:${this.port}/${p}`;
+    }
+
+    /**
+     * Register a handler for the given path (without leading slash).  Handler signature is (req, res).
+     */
+    on(p, handler) {
+        this.handlers.set("/" + p, handler);
+    }
+
+    handle(req, res) {
+        this.requests.push({method: req.method, url: req.url, headers: req.headers});
+        const pathname = req.url.split("?")[0];
+        const handler = this.handlers.get(pathname);
+        if (handler) {
+            handler(req, res);
+        } else {
+            serveFile(path.join(this.root, decodeURIComponent(pathname)), req, res);
+        }
+    }
+}
+
+function serveFile(file, req, res) {
+
+    if (!fs.existsSync(file)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    const b = fs.readFileSync(file);
+    const stat = fs.statSync(file);
+    const rangeString = req.headers['range'];
+    const headers = {
+        "Accept-Ranges": "bytes",
+        "Content-Type": "application/octet-stream",
+        "ETag": `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+        "Last-Modified": stat.mtime.toUTCString()
+    };
+    if (req.headers['if-none-match'] === headers["ETag"]) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    if (rangeString && rangeString.startsWith("bytes=")) {
+        const tokens = rangeString.substring(6).split("-");
+        const start = parseInt(tokens[0]);
+        const end = tokens[1] ? Math.min(parseInt(tokens[1]), b.length - 1) : b.length - 1;
+        if (start >= b.length) {
+            headers["Content-Range"] = `bytes */${b.length}`;
+            res.writeHead(416, headers);
+            res.end();
+            return;
+        }
+        headers["Content-Range"] = `bytes ${start}-${end}/${b.length}`;
+        res.writeHead(206, headers);
+        res.end(req.method === "HEAD" ? undefined : b.slice(start, end + 1));
+    } else {
+        headers["Content-Length"] = b.length;
+        res.writeHead(200, headers);
+        res.end(req.method === "HEAD" ? undefined : b);
+    }
+}
+
+export {TestServer, serveFile}